@@ -1,8 +1,45 @@
 // Get references to all DOM elements
 const dropZone = document.getElementById('drop-zone');
 const fileInput = document.getElementById('file-input');
+const appContainer = document.getElementById('app-container');
+const presetSelect = document.getElementById('preset-select');
+const savePresetBtn = document.getElementById('save-preset-btn');
+const deletePresetBtn = document.getElementById('delete-preset-btn');
+const stereoModeSelect = document.getElementById('stereo-mode-select');
+const widthControl = document.getElementById('width-control');
+const widthInput = document.getElementById('width-input');
+const widthValue = document.getElementById('width-value');
+const midSamplerateLabel = document.getElementById('mid-samplerate-label');
+const streamLabels = document.querySelectorAll('.stream-label');
+const downmixSelect = document.getElementById('downmix-select');
+const downmixControl = document.querySelector('.downmix-control');
+const downmixCustomControl = document.getElementById('downmix-custom-control');
+const downmixMatrixInput = document.getElementById('downmix-matrix-input');
+const rateUnitsSelect = document.getElementById('rate-units-select');
 const midSamplerateSelect = document.getElementById('mid-samplerate-select');
 const sideSamplerateSelect = document.getElementById('side-samplerate-select');
+const qualitySelect = document.getElementById('quality-select');
+const resamplerSelect = document.getElementById('resampler-select');
+const ditherSelect = document.getElementById('dither-select');
+const loudnessSelect = document.getElementById('loudness-select');
+const emphasisInput = document.getElementById('emphasis-input');
+const emphasisValue = document.getElementById('emphasis-value');
+const emphasisPlot = document.getElementById('emphasis-plot');
+const emphasisResponseCanvas = document.getElementById('emphasis-response');
+const emphasisRateSpan = document.getElementById('emphasis-rate');
+const rateModeSelect = document.getElementById('rate-mode-select');
+const budgetInput = document.getElementById('budget-input');
+const midPriorityInput = document.getElementById('mid-priority-input');
+const midPriorityValue = document.getElementById('mid-priority-value');
+const budgetControls = document.querySelectorAll('.budget-control');
+const trimStartInput = document.getElementById('trim-start-input');
+const trimEndInput = document.getElementById('trim-end-input');
+const autoTrimSelect = document.getElementById('auto-trim-select');
+const fadeInInput = document.getElementById('fade-in-input');
+const fadeOutInput = document.getElementById('fade-out-input');
+const fadeCurveSelect = document.getElementById('fade-curve-select');
+const loopStartInput = document.getElementById('loop-start-input');
+const loopEndInput = document.getElementById('loop-end-input');
 const fileInfo = document.getElementById('file-info');
 const fileNameSpan = document.getElementById('file-name');
 const audioDetails = document.getElementById('audio-details');
@@ -18,8 +55,52 @@ const downloadSideBrrBtn = document.getElementById('download-side-brr-btn');
 const downloadSideWavBtn = document.getElementById('download-side-wav-btn');
 const downloadFullWavBtn = document.getElementById('download-full-wav-btn');
 const encodingStats = document.getElementById('encoding-stats');
+const rateInfoSpan = document.getElementById('rate-info');
 const encodedSizeSpan = document.getElementById('encoded-size');
 const bitrateSpan = document.getElementById('bitrate');
+const snrInfoSpan = document.getElementById('snr-info');
+const trimStats = document.getElementById('trim-stats');
+const trimInfoSpan = document.getElementById('trim-info');
+const loopStats = document.getElementById('loop-stats');
+const loopOffsetsSpan = document.getElementById('loop-offsets');
+const budgetStats = document.getElementById('budget-stats');
+const budgetInfoSpan = document.getElementById('budget-info');
+const qualityTableBody = document.querySelector('#quality-table tbody');
+const downloadReportBtn = document.getElementById('download-report-btn');
+const downloadProjectBtn = document.getElementById('download-project-btn');
+const downloadIncludesBtn = document.getElementById('download-includes-btn');
+const romMappingSelect = document.getElementById('rom-mapping-select');
+const romSizeSelect = document.getElementById('rom-size-select');
+const romTitleInput = document.getElementById('rom-title-input');
+const romWarning = document.getElementById('rom-warning');
+const buildRomBtn = document.getElementById('build-rom-btn');
+const spcTitleInput = document.getElementById('spc-title-input');
+const spcArtistInput = document.getElementById('spc-artist-input');
+const spcWarning = document.getElementById('spc-warning');
+const buildSpcBtn = document.getElementById('build-spc-btn');
+const streamPacketSizeInput = document.getElementById('stream-packet-size-input');
+const streamRoutineSelect = document.getElementById('stream-routine-select');
+const streamInfo = document.getElementById('stream-info');
+const streamWarning = document.getElementById('stream-warning');
+const buildStreamBtn = document.getElementById('build-stream-btn');
+const msuSimulateToggle = document.getElementById('msu-simulate-toggle');
+const buildMsuBtn = document.getElementById('build-msu-btn');
+const waveformCanvases = {
+    mid: document.getElementById('mid-waveform'),
+    side: document.getElementById('side-waveform')
+};
+const errorStripCanvases = {
+    mid: document.getElementById('mid-error-strip'),
+    side: document.getElementById('side-error-strip')
+};
+const brrInspector = document.getElementById('brr-inspector');
+const brrSamplerateSelect = document.getElementById('brr-samplerate-select');
+const playBrrBtn = document.getElementById('play-brr-btn');
+const brrBlockTableBody = document.querySelector('#brr-block-table tbody');
+const batchArea = document.getElementById('batch-area');
+const batchTableBody = document.querySelector('#batch-table tbody');
+const batchConvertBtn = document.getElementById('batch-convert-btn');
+const batchZipBtn = document.getElementById('batch-zip-btn');
 
 // --- Web Audio API & State ---
 const AudioContext = window.AudioContext || window.webkitAudioContext;
@@ -27,32 +108,133 @@ let audioContext;
 let currentlyPlayingSource = null;
 let playingChannel = null;
 let currentFileObject = null;
+let currentJob = null; // { worker, reject } of the running encode
+let processingRunId = 0;
+
+// How many extra passes through the loop the previews render
+const LOOP_PREVIEW_PASSES = 2;
 
 // --- Data Storage ---
-let decodedAudioBuffer = null;
+let decodedAudioBuffer = null; // After trimming and fades
+let trimRegion = null; // { start, end, sourceLength } of the kept part, in samples of the file
+let stereoMode = 'ms'; // The STEREO_MODES key of the current encode
 let encodedBrr = { mid: null, side: null };
+let loopBlocks = { mid: null, side: null };
+let snrStats = { mid: null, side: null };
+let blockErrors = { mid: null, side: null };
+let referenceSignals = { mid: null, side: null }; // What the encoder was given, aligned with the decode
+let normalizationGain = 1;
+let loudness = null;
+let qualityMetrics = { mid: null, side: null, left: null, right: null };
+let budgetSolution = null; // What the auto rate mode chose, null in manual mode
 let decodedPcm = { mid: null, side: null };
+let resultBrr = null; // { baseName, files } the .brr links hold, which the include files describe
+let importedBrr = null; // { blocks, loopBlock } of an imported .brr file
+let sourceInfo = null; // { name, size, sha256, sampleRate } of the song on display, for project files
+let openedProject = null; // The last project file opened, whose settings are in the fields
+// The songs of a setlist, in order: { file, folder, midRate, sideRate, row, files, manifest }
+let batchQueue = [];
+let batchRunId = 0;
+let customRates = []; // Rates typed in with "Other..." in pitch mode
 
 // --- Initialization ---
-function populateSampleRateSelectors() {
-    for (let i = 2000; i <= 48000; i += 2000) {
-        const option = document.createElement('option');
-        option.value = i;
-        option.textContent = `${i} Hz`;
-        midSamplerateSelect.appendChild(option.cloneNode(true));
-        sideSamplerateSelect.appendChild(option.cloneNode(true));
+// Offered in pitch mode, snapped to the nearest pitch value
+const PC_SAMPLE_RATES = [8000, 11025, 16000, 22050, 24000, 44100];
+
+/**
+ * Fills the rate selects (and the setlist's). In Hz mode they offer 2000 Hz steps. In pitch
+ * mode they offer the exact rates of pitch values: the same steps, the usual PC rates and any
+ * typed-in rates snapped to a pitch, and "Other..." to type in another. A select whose rate
+ * isn't offered any more gets the nearest one.
+ * @param {number[]} [extraRates] More rates to offer in pitch mode, e.g. those of a preset.
+ */
+function populateSampleRateSelectors(extraRates = []) {
+    const pitchMode = rateUnitsSelect.value === 'pitch';
+    let rates = Array.from({ length: 24 }, (_, i) => (i + 1) * 2000);
+    if (pitchMode) {
+        customRates = [...new Set([...customRates, ...extraRates.map(rate => rateForPitch(pitchForRate(rate)))])];
+        const snapped = [...PC_SAMPLE_RATES, ...customRates].map(rate => rateForPitch(pitchForRate(rate)));
+        rates = [...new Set([...rates, ...snapped])].sort((a, b) => a - b);
     }
-    midSamplerateSelect.value = '32000';
-    sideSamplerateSelect.value = '4000';
+    const nearest = (rate) => rates.reduce((best, candidate) => (Math.abs(candidate - rate) < Math.abs(best - rate)) ? candidate : best);
+    const options = () => rates.map(rate => new Option(pitchMode ? formatPitchRate(rate) : `${rate} Hz`, rate));
+    for (const select of [midSamplerateSelect, sideSamplerateSelect, brrSamplerateSelect]) {
+        const previous = Number(select.value);
+        select.replaceChildren(...options());
+        if (pitchMode) select.add(new Option('Other...', 'other'));
+        if (previous > 0) select.value = String(nearest(previous));
+        select.dataset.rate = select.value;
+    }
+    batchTableBody.querySelectorAll('select').forEach(select => {
+        const previous = select.value;
+        select.replaceChildren(new Option('Default', ''), ...options());
+        select.value = (previous === '') ? '' : String(nearest(Number(previous)));
+        select.dispatchEvent(new Event('change'));
+    });
 }
 populateSampleRateSelectors();
+midSamplerateSelect.value = '32000';
+sideSamplerateSelect.value = '4000';
+brrSamplerateSelect.value = '32000';
+[midSamplerateSelect, sideSamplerateSelect, brrSamplerateSelect].forEach(select => { select.dataset.rate = select.value; });
+
+/**
+ * Handles a rate select's change. "Other..." asks for a pitch value or a rate in Hz, which
+ * is snapped to a pitch and added to the selects.
+ * @returns {boolean} Whether the select has a new rate; false if the user cancelled.
+ */
+function resolveRateChoice(select) {
+    if (select.value === 'other') {
+        const text = prompt('Pitch value (e.g. $0B06) or sample rate in Hz (snapped to the nearest pitch value):', '');
+        let rate = null;
+        try {
+            if (text) rate = parsePitchRate(text);
+        } catch (error) {
+            statusArea.textContent = `Error: ${error.message}`;
+            statusArea.classList.remove('hidden');
+        }
+        if (rate === null) {
+            select.value = select.dataset.rate;
+            return false;
+        }
+        select.value = select.dataset.rate;
+        populateSampleRateSelectors([rate]);
+        select.value = String(rate);
+    }
+    select.dataset.rate = select.value;
+    return true;
+}
+
+function populateRomSizeSelector() {
+    for (const sizeKB of ROM_SIZES_KB) {
+        const option = document.createElement('option');
+        option.value = sizeKB;
+        option.textContent = sizeKB >= 1024 ? `${sizeKB / 1024} MB` : `${sizeKB} KB`;
+        romSizeSelect.appendChild(option);
+    }
+    romSizeSelect.value = '4096';
+}
+populateRomSizeSelector();
+
+function populateStreamRoutineSelector() {
+    for (const [key, routine] of Object.entries(TRANSFER_ROUTINES)) {
+        const option = document.createElement('option');
+        option.value = key;
+        option.textContent = routine.label;
+        streamRoutineSelect.appendChild(option);
+    }
+    streamRoutineSelect.value = 'fast';
+}
+populateStreamRoutineSelector();
+// The default budget is the data space of the default ROM
+budgetInput.value = Math.floor(romDataCapacity(romMappingSelect.value, parseInt(romSizeSelect.value, 10)) / 1024);
 
 // --- Event Listeners ---
 dropZone.addEventListener('dragover', (e) => { e.preventDefault(); dropZone.classList.add('drag-over'); });
 dropZone.addEventListener('dragleave', () => dropZone.classList.remove('drag-over'));
-dropZone.addEventListener('drop', (e) => { e.preventDefault(); dropZone.classList.remove('drag-over'); if (e.dataTransfer.files.length > 0) handleFile(e.dataTransfer.files[0]); });
+dropZone.addEventListener('drop', (e) => { e.preventDefault(); dropZone.classList.remove('drag-over'); if (e.dataTransfer.files.length > 0) handleFiles(e.dataTransfer.files); });
 dropZone.addEventListener('click', () => fileInput.click());
-fileInput.addEventListener('change', () => { if (fileInput.files.length > 0) handleFile(fileInput.files[0]); });
+fileInput.addEventListener('change', () => { if (fileInput.files.length > 0) handleFiles(fileInput.files); });
 
 playMidBtn.addEventListener('click', () => handlePlayback('mid'));
 playSideBtn.addEventListener('click', () => handlePlayback('side'));
@@ -60,23 +242,385 @@ playFullBtn.addEventListener('click', () => handleFullPlayback());
 downloadMidWavBtn.addEventListener('click', () => downloadDecodedWav('mid'));
 downloadSideWavBtn.addEventListener('click', () => downloadDecodedWav('side'));
 downloadFullWavBtn.addEventListener('click', () => downloadFullMixWav());
-gaussToggle.addEventListener('change', stopPlayback);
+gaussToggle.addEventListener('change', () => { stopPlayback(); if (encodedBrr.mid) updateStereoQuality(); });
+downloadReportBtn.addEventListener('click', (e) => { e.preventDefault(); downloadQualityReport(); });
+downloadProjectBtn.addEventListener('click', (e) => { e.preventDefault(); downloadProject(); });
+presetSelect.addEventListener('change', () => applyPreset(presetSelect.value));
+savePresetBtn.addEventListener('click', () => savePreset());
+deletePresetBtn.addEventListener('click', () => deletePreset());
+romMappingSelect.addEventListener('change', updateRomWarning);
+romSizeSelect.addEventListener('change', updateRomWarning);
+buildRomBtn.addEventListener('click', () => downloadRom());
+buildSpcBtn.addEventListener('click', () => downloadSpc());
+streamPacketSizeInput.addEventListener('input', updateStreamInfo);
+streamRoutineSelect.addEventListener('change', updateStreamInfo);
+buildStreamBtn.addEventListener('click', () => downloadStream());
+buildMsuBtn.addEventListener('click', () => downloadMsu());
+downloadIncludesBtn.addEventListener('click', (e) => { e.preventDefault(); downloadIncludes(); });
+batchConvertBtn.addEventListener('click', () => runBatch());
+batchZipBtn.addEventListener('click', () => downloadBatchZip());
+playBrrBtn.addEventListener('click', () => handleBrrPlayback());
+for (const channel of ['mid', 'side']) {
+    for (const canvas of [waveformCanvases[channel], errorStripCanvases[channel]]) {
+        canvas.addEventListener('click', (e) => handleWaveformClick(channel, canvas, e));
+    }
+}
+window.addEventListener('resize', () => {
+    updateEmphasisPlot();
+    if (!resultsArea.classList.contains('hidden')) drawWaveforms();
+});
+brrSamplerateSelect.addEventListener('change', () => { if (resolveRateChoice(brrSamplerateSelect)) stopPlayback(); });
 
 function handleSettingChange() {
     if (currentFileObject) {
         handleFile(currentFileObject);
     }
 }
-midSamplerateSelect.addEventListener('change', handleSettingChange);
-sideSamplerateSelect.addEventListener('change', handleSettingChange);
+rateUnitsSelect.addEventListener('change', () => { populateSampleRateSelectors(); updateEmphasisPlot(); handleSettingChange(); });
+midSamplerateSelect.addEventListener('change', () => {
+    if (!resolveRateChoice(midSamplerateSelect)) return;
+    updateEmphasisPlot();
+    handleSettingChange();
+});
+sideSamplerateSelect.addEventListener('change', () => { if (resolveRateChoice(sideSamplerateSelect)) handleSettingChange(); });
+qualitySelect.addEventListener('change', handleSettingChange);
+resamplerSelect.addEventListener('change', handleSettingChange);
+ditherSelect.addEventListener('change', handleSettingChange);
+loudnessSelect.addEventListener('change', handleSettingChange);
+emphasisInput.addEventListener('input', () => { emphasisValue.textContent = emphasisInput.value; updateEmphasisPlot(); });
+emphasisInput.addEventListener('change', handleSettingChange);
+trimStartInput.addEventListener('change', handleSettingChange);
+trimEndInput.addEventListener('change', handleSettingChange);
+autoTrimSelect.addEventListener('change', handleSettingChange);
+fadeInInput.addEventListener('change', handleSettingChange);
+fadeOutInput.addEventListener('change', handleSettingChange);
+fadeCurveSelect.addEventListener('change', handleSettingChange);
+loopStartInput.addEventListener('change', handleSettingChange);
+loopEndInput.addEventListener('change', handleSettingChange);
+rateModeSelect.addEventListener('change', () => { updateRateModeControls(); handleSettingChange(); });
+stereoModeSelect.addEventListener('change', () => { updateChannelControls(); handleSettingChange(); });
+widthInput.addEventListener('input', () => { widthValue.textContent = widthInput.value; });
+widthInput.addEventListener('change', handleSettingChange);
+downmixSelect.addEventListener('change', () => { updateChannelControls(); handleSettingChange(); });
+downmixMatrixInput.addEventListener('change', handleSettingChange);
+budgetInput.addEventListener('change', handleSettingChange);
+midPriorityInput.addEventListener('input', () => { midPriorityValue.textContent = midPriorityInput.value; });
+midPriorityInput.addEventListener('change', handleSettingChange);
+
+function updateRateModeControls() {
+    const auto = rateModeSelect.value === 'auto';
+    budgetControls.forEach(control => control.classList.toggle('hidden', !auto));
+    midSamplerateSelect.disabled = auto;
+    sideSamplerateSelect.disabled = auto;
+    batchTableBody.querySelectorAll('select').forEach(select => { select.disabled = auto; });
+}
+
+/**
+ * Names the channels after the stereo mode, hides the Side controls when only one channel
+ * gets encoded (and the second rate when both share one), and shows the downmix controls
+ * for files with more than two channels.
+ */
+function updateChannelControls() {
+    const channelCount = decodedAudioBuffer ? decodedAudioBuffer.numberOfChannels : 2;
+    const mode = effectiveStereoMode(channelCount, stereoModeSelect.value);
+    const { labels, equalRates } = STEREO_MODES[mode];
+    streamLabels.forEach(label => { label.textContent = labels[label.dataset.stream === 'mid' ? 0 : 1] || ''; });
+    midSamplerateLabel.textContent = equalRates ? 'Sample Rate' : `${labels[0]} Channel Sample Rate`;
+    appContainer.classList.toggle('mono', mode === 'mono');
+    appContainer.classList.toggle('equal-rates', Boolean(equalRates));
+    widthControl.classList.toggle('hidden', mode !== 'width');
+    downmixControl.classList.toggle('hidden', channelCount <= 2);
+    downmixCustomControl.classList.toggle('hidden', channelCount <= 2 || downmixSelect.value !== 'custom');
+}
+
+/**
+ * Plots the pre-emphasis filter against the S-DSP's Gaussian response at the Mid rate,
+ * or hides the plot while pre-emphasis is off.
+ */
+function updateEmphasisPlot() {
+    const strength = parseInt(emphasisInput.value, 10) / 100;
+    emphasisPlot.classList.toggle('hidden', strength === 0);
+    if (strength === 0) return;
+    const sampleRate = Number(midSamplerateSelect.value);
+    const taps = designPreEmphasis(sampleRate, strength);
+    emphasisRateSpan.textContent = sampleRate;
+    drawFrequencyResponse(emphasisResponseCanvas, [
+        { response: f => gaussResponse(sampleRate, f), color: '#adb5bd' },
+        { response: f => filterResponse(taps, sampleRate, f), color: '#fd7e14' },
+        { response: f => gaussResponse(sampleRate, f) * filterResponse(taps, sampleRate, f), color: '#007bff' }
+    ], Math.min(sampleRate, DSP_SAMPLE_RATE) / 2);
+}
+
+// The loudness target in LUFS, or null to only avoid clipping
+function getLoudnessTarget() {
+    return (loudnessSelect.value === '') ? null : Number(loudnessSelect.value);
+}
+
+/**
+ * The downmix matrix from the downmix fields, or null when the file has at most two channels.
+ */
+function getDownmixMatrix(channelCount) {
+    if (channelCount <= 2) return null;
+    return (downmixSelect.value === 'custom')
+        ? parseDownmixMatrix(downmixMatrixInput.value, channelCount)
+        : downmixMatrix(downmixSelect.value, channelCount);
+}
+
+/**
+ * The channels of the current encode: just the Mid for mono.
+ */
+function activeChannels() {
+    return encodedBrr.side ? ['mid', 'side'] : ['mid'];
+}
+
+// What a channel holds in the current stereo mode, for display and file names
+function channelLabel(channel) {
+    return STEREO_MODES[stereoMode].labels[channel === 'mid' ? 0 : 1];
+}
+
+function channelFileName(channel) {
+    return STEREO_MODES[stereoMode].names[channel === 'mid' ? 0 : 1];
+}
+
+function channelSampleRate(channel) {
+    const select = (channel === 'mid' || STEREO_MODES[stereoMode].equalRates) ? midSamplerateSelect : sideSamplerateSelect;
+    return Number(select.value);
+}
+
+// e.g. "Mid 32000 Hz, Side 4000 Hz"
+function describeChannels(describe) {
+    return activeChannels().map(channel => `${channelLabel(channel)} ${describe(channel)}`).join(', ');
+}
+
+function encodedByteCount() {
+    return activeChannels().reduce((total, channel) => total + encodedBrr[channel].length * 9, 0);
+}
+
+// --- Presets and Projects ---
+// The settings fields, by the names presets, project files and the saved session use
+const SETTING_FIELDS = {
+    stereoMode: stereoModeSelect,
+    width: widthInput,
+    downmix: downmixSelect,
+    downmixMatrix: downmixMatrixInput,
+    loudnessTarget: loudnessSelect,
+    rateMode: rateModeSelect,
+    budget: budgetInput,
+    midPriority: midPriorityInput,
+    rateUnits: rateUnitsSelect,
+    midSampleRate: midSamplerateSelect,
+    sideSampleRate: sideSamplerateSelect,
+    quality: qualitySelect,
+    resampler: resamplerSelect,
+    dither: ditherSelect,
+    emphasis: emphasisInput,
+    autoTrim: autoTrimSelect,
+    fadeIn: fadeInInput,
+    fadeOut: fadeOutInput,
+    fadeCurve: fadeCurveSelect,
+    trimStart: trimStartInput,
+    trimEnd: trimEndInput,
+    loopStart: loopStartInput,
+    loopEnd: loopEndInput,
+    dspPreview: gaussToggle,
+    romMapping: romMappingSelect,
+    romSize: romSizeSelect,
+    romTitle: romTitleInput,
+    spcTitle: spcTitleInput,
+    spcArtist: spcArtistInput,
+    streamPacketSize: streamPacketSizeInput,
+    streamRoutine: streamRoutineSelect,
+    msuSimulate: msuSimulateToggle
+};
+// Fields that belong to one song; presets and the saved session leave them out
+const SONG_SETTING_FIELDS = ['trimStart', 'trimEnd', 'loopStart', 'loopEnd', 'romTitle', 'spcTitle'];
+const PRESETS_STORAGE_KEY = 'sp3conv-presets';
+const SESSION_STORAGE_KEY = 'sp3conv-session';
+
+/**
+ * Reads the settings fields as strings (and booleans for checkboxes).
+ * @param {boolean} includeSong Whether to include the fields in SONG_SETTING_FIELDS.
+ * @returns {Object<string, string|boolean>}
+ */
+function readSettingFields(includeSong) {
+    const settings = {};
+    for (const [key, element] of Object.entries(SETTING_FIELDS)) {
+        if (!includeSong && SONG_SETTING_FIELDS.includes(key)) continue;
+        settings[key] = (element.type === 'checkbox') ? element.checked : element.value;
+    }
+    return settings;
+}
+
+/**
+ * Fills in the settings fields and updates the controls that depend on them. Unknown names,
+ * and values a select doesn't offer, are skipped, so older presets still load.
+ */
+function applySettingFields(settings) {
+    // The rate selects only offer a preset's rates once they're in the right mode
+    if (settings.rateUnits === 'hz' || settings.rateUnits === 'pitch') {
+        rateUnitsSelect.value = settings.rateUnits;
+        populateSampleRateSelectors([settings.midSampleRate, settings.sideSampleRate].map(Number).filter(rate => rate > 0));
+    }
+    for (const [key, value] of Object.entries(settings)) {
+        const element = SETTING_FIELDS[key];
+        if (!element) continue;
+        if (element.type === 'checkbox') {
+            element.checked = Boolean(value);
+        } else if (element.tagName !== 'SELECT' || Array.from(element.options).some(option => option.value === String(value))) {
+            element.value = value;
+        }
+    }
+    [midSamplerateSelect, sideSamplerateSelect].forEach(select => { select.dataset.rate = select.value; });
+    widthValue.textContent = widthInput.value;
+    emphasisValue.textContent = emphasisInput.value;
+    midPriorityValue.textContent = midPriorityInput.value;
+    updateRateModeControls();
+    updateChannelControls();
+    updateEmphasisPlot();
+    updateRomWarning();
+}
+
+// localStorage throws on some file:// pages and in private windows; nothing is kept then
+function readStorage(key, fallback) {
+    try {
+        const text = localStorage.getItem(key);
+        return text ? JSON.parse(text) : fallback;
+    } catch (error) {
+        console.warn(`Could not read ${key} from localStorage:`, error);
+        return fallback;
+    }
+}
+
+function writeStorage(key, value) {
+    try {
+        localStorage.setItem(key, JSON.stringify(value));
+    } catch (error) {
+        console.warn(`Could not save ${key} to localStorage:`, error);
+    }
+}
+
+function populatePresetSelector(selected = '') {
+    const presets = readStorage(PRESETS_STORAGE_KEY, {});
+    presetSelect.replaceChildren(new Option('Choose a preset', ''),
+        ...Object.keys(presets).sort().map(name => new Option(name, name)));
+    presetSelect.value = selected;
+    deletePresetBtn.disabled = !selected;
+}
+
+function applyPreset(name) {
+    const preset = readStorage(PRESETS_STORAGE_KEY, {})[name];
+    deletePresetBtn.disabled = !preset;
+    if (!preset) return;
+    applySettingFields(preset);
+    saveSession();
+    handleSettingChange();
+}
+
+function savePreset() {
+    const name = (prompt('Save the current settings as preset:', presetSelect.value) || '').trim();
+    if (!name) return;
+    const presets = readStorage(PRESETS_STORAGE_KEY, {});
+    presets[name] = readSettingFields(false);
+    writeStorage(PRESETS_STORAGE_KEY, presets);
+    populatePresetSelector(name);
+}
+
+function deletePreset() {
+    const name = presetSelect.value;
+    if (!name || !confirm(`Delete the preset "${name}"?`)) return;
+    const presets = readStorage(PRESETS_STORAGE_KEY, {});
+    delete presets[name];
+    writeStorage(PRESETS_STORAGE_KEY, presets);
+    populatePresetSelector();
+}
+
+// The settings of the last visit are restored when the page loads
+function saveSession() {
+    writeStorage(SESSION_STORAGE_KEY, readSettingFields(false));
+}
+
+populatePresetSelector();
+applySettingFields(readStorage(SESSION_STORAGE_KEY, {}));
+for (const element of Object.values(SETTING_FIELDS)) element.addEventListener('change', saveSession);
+
+// The BRR data of each channel, by the file name suffix the downloads use
+function brrFiles() {
+    return Object.fromEntries(activeChannels().map(channel => [channelFileName(channel), concatenateBlobs(encodedBrr[channel])]));
+}
+
+/**
+ * Opens a project file: its settings go into the fields, and its source file is decoded and
+ * checked against it when it's converted. Errors are shown in the status area.
+ * @returns {Promise<boolean>} Whether the project could be opened.
+ */
+async function openProject(file) {
+    statusArea.classList.remove('hidden');
+    try {
+        openedProject = parseProject(await file.text());
+    } catch (error) {
+        statusArea.textContent = `Error: ${error.message}`;
+        return false;
+    }
+    applySettingFields(openedProject.settings);
+    saveSession();
+    statusArea.textContent = `Opened the project for ${openedProject.source.name}. Drop that file to convert it with the project's settings.`;
+    return true;
+}
+
+// Whether the song on display is the opened project's, and whether it came out the same
+async function describeProjectMatch() {
+    if (openedProject.source.sha256 !== sourceInfo.sha256) {
+        return `This isn't the project's source file (${openedProject.source.name}); the settings were applied anyway.`;
+    }
+    const mismatches = await projectMismatches(openedProject, brrFiles());
+    if (!mismatches.length) return 'The BRR output matches the project exactly.';
+    const differs = `The BRR output differs from the project's (${mismatches.join(', ')})`;
+    return projectFromOlderCodec(openedProject, BRR_CODEC_VERSION)
+        ? `${differs}: the project was saved by an earlier version of the encoder, which produced different blocks.`
+        : `${differs}.`;
+}
+
+async function downloadProject() {
+    try {
+        if (!sourceInfo.sha256) throw new Error('The source file could not be hashed; projects need a secure (https or localhost) page.');
+        const project = await createProject(sourceInfo, readSettingFields(true), brrFiles(), { loudness, codecVersion: BRR_CODEC_VERSION });
+        downloadBlob(new Blob([toReportJson(project)], { type: 'application/json' }), `${fileNameSpan.textContent.split('.')[0]}_project.json`);
+    } catch (error) {
+        statusArea.textContent = `Error: ${error.message}`;
+        console.error(error);
+    }
+}
 
 // --- Core Processing Chain ---
 async function handleFile(file) {
-    if (!file.type.startsWith('audio/')) return alert('Please drop a valid audio file.');
+    if (/\.brr$/i.test(file.name)) return handleBrrFile(file);
+    if (/\.json$/i.test(file.name)) {
+        if (await openProject(file)) handleSettingChange();
+        return;
+    }
+    if (!file.type.startsWith('audio/')) return alert('Please drop a valid audio or .brr file.');
     
+    try {
+        await processAudioFile(file);
+    } catch (error) {
+        if (error.cancelled) return;
+        statusArea.textContent = `Error: ${error.message}`;
+        console.error(error);
+    }
+}
+
+/**
+ * Runs an audio file through the whole chain and shows the results. Errors are thrown.
+ * @returns {Promise<boolean>} False if another file or a setting change took over first.
+ */
+async function processAudioFile(file) {
+    // Anything still running belongs to the previous file or settings
+    cancelProcessing();
+    const runId = ++processingRunId;
     currentFileObject = file;
     stopPlayback();
     resultsArea.classList.add('hidden');
+    brrInspector.classList.add('hidden');
     fileInfo.classList.remove('hidden');
     encodingStats.classList.add('hidden'); // Hide stats on new file
     statusArea.classList.remove('hidden');
@@ -84,46 +628,294 @@ async function handleFile(file) {
     audioDetails.innerHTML = '';
     decodedPcm = { mid: null, side: null };
     
-    const targetMidSr = parseInt(midSamplerateSelect.value, 10);
-    const targetSideSr = parseInt(sideSamplerateSelect.value, 10);
+    statusArea.textContent = 'Reading file...';
+    const arrayBuffer = await file.arrayBuffer();
+    // Hashed before decoding, which detaches the buffer. Pages that aren't secure can't hash.
+    const sha256 = await sha256Hex(arrayBuffer).catch(error => { console.warn(error); return null; });
+    if (runId !== processingRunId) return false;
+    const isProjectSource = Boolean(openedProject && sha256 && openedProject.source.sha256 === sha256);
+    
+    statusArea.textContent = 'Decoding audio...';
+    // The project's source is decoded at the rate it was then, so the browser resamples it the same way
+    const audioBuffer = await decodeAudio(arrayBuffer, isProjectSource ? openedProject.source.sampleRate : undefined);
+    if (runId !== processingRunId) return false;
+    sourceInfo = { name: file.name, size: file.size, sha256, sampleRate: audioBuffer.sampleRate };
+    const trimmed = trimAudio(audioBuffer, getTrimOptions());
+    decodedAudioBuffer = trimmed.audio;
+    trimRegion = { start: trimmed.start, end: trimmed.end, sourceLength: audioBuffer.length };
+    updateChannelControls();
+    
+    statusArea.textContent = 'Performing Mid/Side split...';
+    stereoMode = effectiveStereoMode(decodedAudioBuffer.numberOfChannels, stereoModeSelect.value);
+    const midSideSignals = convertToMidSide(decodedAudioBuffer, {
+        mode: stereoMode,
+        width: parseInt(widthInput.value, 10) / 100,
+        matrix: getDownmixMatrix(decodedAudioBuffer.numberOfChannels)
+    });
+
+    budgetSolution = null;
+    if (rateModeSelect.value === 'auto') {
+        budgetSolution = await runBudgetSolver(midSideSignals);
+        if (runId !== processingRunId) return false;
+        midSamplerateSelect.value = String(budgetSolution.midSampleRate);
+        if (budgetSolution.sideSampleRate !== null) sideSamplerateSelect.value = String(budgetSolution.sideSampleRate);
+        updateEmphasisPlot();
+    }
+    const targetMidSr = channelSampleRate('mid');
+    const targetSideSr = channelSampleRate('side');
+    const rates = midSideSignals.side ? [targetMidSr, targetSideSr] : [targetMidSr];
+    
+    const result = await runEncoderJob({
+        mid: midSideSignals.mid,
+        side: midSideSignals.side,
+        sourceSampleRate: decodedAudioBuffer.sampleRate,
+        settings: {
+            stereoMode,
+            midSampleRate: targetMidSr,
+            sideSampleRate: targetSideSr,
+            quality: qualitySelect.value,
+            resamplerQuality: resamplerSelect.value,
+            dither: ditherSelect.value,
+            emphasis: parseInt(emphasisInput.value, 10) / 100,
+            loudnessTarget: getLoudnessTarget(),
+            midLoop: getLoopOptions(decodedAudioBuffer.length, decodedAudioBuffer.sampleRate, targetMidSr, rates),
+            sideLoop: getLoopOptions(decodedAudioBuffer.length, decodedAudioBuffer.sampleRate, targetSideSr, rates)
+        }
+    });
+    encodedBrr = result.encodedBrr;
+    loopBlocks = result.loopBlocks;
+    snrStats = result.snrStats;
+    blockErrors = result.blockErrors;
+    referenceSignals = result.referenceSignals;
+    normalizationGain = result.normalizationGain;
+    loudness = result.loudness;
+    audioDetails.innerHTML += `<br>Loudness: ${formatLoudness(loudness)}`;
+    qualityMetrics = { ...result.qualityMetrics, left: null, right: null };
+
+    statusArea.textContent = 'Measuring stereo quality...';
+    await measureStereoQuality();
+    if (runId !== processingRunId) return false;
+    if (openedProject && (isProjectSource || openedProject.source.name === file.name)) {
+        // The project's file name is text from the user's file, not markup
+        audioDetails.append(document.createElement('br'), `Project: ${await describeProjectMatch()}`);
+    }
+    
+    statusArea.textContent = 'Processing complete!';
+    setupResultControls();
+    displayEncodingStats(); // Display the final stats
+    return true;
+}
+
+/**
+ * Runs the normalize/downsample/encode chain in encoder-worker.js, showing its progress
+ * in the status area. The signals are transferred, so they can't be used afterwards.
+ * @returns {Promise<object>} Resolves with the encoded blocks, loop blocks and SNR stats.
+ */
+function runEncoderJob(job) {
+    cancelProcessing();
+    return new Promise((resolve, reject) => {
+        const worker = new Worker('encoder-worker.js');
+        const finish = () => {
+            worker.terminate();
+            if (currentJob && currentJob.worker === worker) currentJob = null;
+        };
+        currentJob = { worker, reject };
+        worker.onmessage = (e) => {
+            const message = e.data;
+            if (message.type === 'progress') {
+                statusArea.textContent = `${message.stage}... ${message.percent}%`;
+            } else if (message.type === 'done') {
+                finish();
+                resolve(message.result);
+            } else if (message.type === 'error') {
+                finish();
+                reject(new Error(message.message));
+            }
+        };
+        worker.onerror = (e) => {
+            finish();
+            reject(new Error(e.message || 'The encoder worker failed to start.'));
+        };
+        worker.postMessage(job, [job.mid, job.side].filter(Boolean).map(signal => signal.buffer));
+    });
+}
+
+/**
+ * Stops the running encoder worker, if any. Its pending job rejects with a
+ * "cancelled" error, which callers ignore.
+ */
+function cancelProcessing() {
+    if (!currentJob) return;
+    const { worker, reject } = currentJob;
+    currentJob = null;
+    worker.terminate();
+    const error = new Error('Processing cancelled.');
+    error.cancelled = true;
+    reject(error);
+}
+
+/**
+ * Reads the trim and fade fields. Empty trim fields keep the start or end of the file.
+ */
+function getTrimOptions() {
+    return {
+        start: (trimStartInput.value === '') ? 0 : parseFloat(trimStartInput.value),
+        end: (trimEndInput.value === '') ? null : parseFloat(trimEndInput.value),
+        silenceThreshold: (autoTrimSelect.value === '') ? null : parseFloat(autoTrimSelect.value),
+        fadeIn: parseFloat(fadeInInput.value) || 0,
+        fadeOut: parseFloat(fadeOutInput.value) || 0,
+        fadeCurve: fadeCurveSelect.value
+    };
+}
+
+/**
+ * Reads the loop fields, which are in samples of the source file, and moves them into the
+ * trimmed audio. An empty loop start disables looping; an empty loop end loops to the end of the trimmed part.
+ * @returns {{loopStart: number, loopEnd: number}|null} The loop points in samples of decodedAudioBuffer.
+ */
+function getSourceLoop() {
+    if (loopStartInput.value === '') return null;
+    const loopEnd = (loopEndInput.value === '') ? null : parseInt(loopEndInput.value, 10);
+    return loopInRegion(parseInt(loopStartInput.value, 10), loopEnd, trimRegion);
+}
+
+/**
+ * Converts the loop fields to encoder options for one channel.
+ * @param {number[]} rates The sample rates of all the song's channels, which share the loop alignment.
+ */
+function getLoopOptions(sourceLength, sourceSr, targetSr, rates) {
+    const loop = getSourceLoop();
+    return loop ? scaleLoopPoints(loop, sourceLength, sourceSr, targetSr, rates) : {};
+}
+
+/**
+ * Runs the budget solver in the worker. The signals are copied, since the encode still needs them.
+ */
+function runBudgetSolver(midSideSignals) {
+    const budgetKB = parseFloat(budgetInput.value);
+    if (!(budgetKB > 0)) throw new Error('Enter a budget in KB for the automatic sample rates.');
+    return runEncoderJob({
+        task: 'solveBudget',
+        mid: midSideSignals.mid.slice(),
+        side: midSideSignals.side && midSideSignals.side.slice(),
+        sourceSampleRate: decodedAudioBuffer.sampleRate,
+        settings: {
+            rates: Array.from(midSamplerateSelect.options, option => Number(option.value)).filter(rate => rate > 0),
+            budgetBytes: Math.floor(budgetKB * 1024),
+            midWeight: parseInt(midPriorityInput.value, 10) / 100,
+            equalRates: Boolean(STEREO_MODES[stereoMode].equalRates),
+            stereoMode,
+            loudnessTarget: getLoudnessTarget(),
+            loop: getSourceLoop()
+        }
+    });
+}
+
+/**
+ * Decodes (and caches) a channel. Looping channels are rendered the way the S-DSP plays them,
+ * with a few extra passes through the loop so it can be heard.
+ */
+function getDecodedPcm(channel) {
+    if (!decodedPcm[channel]) {
+        const blocks = encodedBrr[channel];
+        const loopBlock = loopBlocks[channel];
+        decodedPcm[channel] = (loopBlock === null)
+            ? decodeBRR(blocks)
+            : decodeBRR(blocks, { loopBlock, sampleCount: (blocks.length + LOOP_PREVIEW_PASSES * (blocks.length - loopBlock)) * 16 });
+    }
+    return decodedPcm[channel];
+}
+
+// --- BRR Import & Inspection ---
+async function handleBrrFile(file) {
+    cancelProcessing();
+    const runId = ++processingRunId;
+    currentFileObject = null; // Setting changes only apply to audio files
+    stopPlayback();
+    resultsArea.classList.add('hidden');
+    brrInspector.classList.add('hidden');
+    fileInfo.classList.remove('hidden');
+    encodingStats.classList.add('hidden');
+    statusArea.classList.remove('hidden');
+    fileNameSpan.textContent = file.name;
+    audioDetails.innerHTML = '';
 
     statusArea.textContent = 'Reading file...';
     try {
-        const arrayBuffer = await file.arrayBuffer();
-        
-        statusArea.textContent = 'Decoding audio...';
-        decodedAudioBuffer = await decodeAudio(arrayBuffer);
-        if (!decodedAudioBuffer || decodedAudioBuffer.numberOfChannels !== 2) return;
-        
-        statusArea.textContent = 'Performing Mid/Side split...';
-        let midSideSignals = convertToMidSide(decodedAudioBuffer);
-        
-        statusArea.textContent = 'Checking and normalizing volume...';
-        const normalizedSignals = normalizeCoupled(midSideSignals.mid, midSideSignals.side);
-        midSideSignals.mid = normalizedSignals.mid;
-        midSideSignals.side = normalizedSignals.side;
-        
-        statusArea.textContent = 'Downsampling signals...';
-        const [midDownsampled, sideDownsampled] = await Promise.all([
-            downsampleSignal(midSideSignals.mid, decodedAudioBuffer.sampleRate, targetMidSr),
-            downsampleSignal(midSideSignals.side, decodedAudioBuffer.sampleRate, targetSideSr)
-        ]);
-        
-        statusArea.textContent = 'Encoding BRR data...';
-        await new Promise(resolve => setTimeout(resolve, 50));
-        
-        encodedBrr.mid = encodeBRR(midDownsampled);
-        encodedBrr.side = encodeBRR(sideDownsampled);
-        
-        statusArea.textContent = 'Processing complete!';
-        setupResultControls();
-        displayEncodingStats(); // Display the final stats
+        const bytes = new Uint8Array(await file.arrayBuffer());
+        if (runId !== processingRunId) return;
+
+        importedBrr = parseBrrFile(bytes);
+        const blockInfo = inspectBrrBlocks(importedBrr.blocks);
+        const invalidCount = blockInfo.filter(info => info.problems.length > 0).length;
+        const { blocks, loopBlock } = importedBrr;
+        audioDetails.innerHTML = `Blocks: ${blocks.length} (${blocks.length * 16} samples)<br>` +
+            `Loop Header: ${(loopBlock !== null) ? `block ${loopBlock} ($${(loopBlock * 9).toString(16).toUpperCase()})` : 'none'}<br>` +
+            `Blocks With Problems: ${invalidCount}`;
+        renderBrrBlockTable(blockInfo);
+
+        statusArea.textContent = (invalidCount > 0)
+            ? `Warning: ${invalidCount} block(s) have problems, they are highlighted in the table.`
+            : 'BRR file loaded.';
+        brrInspector.classList.remove('hidden');
     } catch (error) {
         statusArea.textContent = `Error: ${error.message}`;
         console.error(error);
     }
 }
 
+function renderBrrBlockTable(blockInfo) {
+    const rows = document.createDocumentFragment();
+    blockInfo.forEach((info, i) => {
+        const row = document.createElement('tr');
+        if (info.problems.length > 0) row.classList.add('invalid');
+        const cells = [i, `$${(i * 9).toString(16).toUpperCase()}`, info.shift, info.filter,
+            info.end ? 'Yes' : '', info.loop ? 'Yes' : '', info.problems.join(' ')];
+        for (const value of cells) {
+            const cell = document.createElement('td');
+            cell.textContent = value;
+            row.appendChild(cell);
+        }
+        rows.appendChild(row);
+    });
+    brrBlockTableBody.replaceChildren(rows);
+}
+
+async function handleBrrPlayback() {
+    if (playingChannel === 'brr') { stopPlayback(); return; }
+    stopPlayback();
+    playingChannel = 'brr';
+    playBrrBtn.textContent = '■ Stop';
+    playBrrBtn.classList.add('playing');
+    if (!audioContext) audioContext = new AudioContext();
+
+    // Play the chain the way the S-DSP would, up to the first end block. Without a loop
+    // header, a looping end block goes back to the start.
+    const { blocks } = importedBrr;
+    const loopBlock = (importedBrr.loopBlock !== null) ? importedBrr.loopBlock : 0;
+    const endIndex = blocks.findIndex(block => block[0] & 0x01);
+    const playedBlocks = (endIndex === -1) ? blocks.length : endIndex + 1;
+    const loops = endIndex !== -1 && (blocks[endIndex][0] & 0x02) !== 0;
+    const sampleCount = (playedBlocks + (loops ? LOOP_PREVIEW_PASSES * (playedBlocks - loopBlock) : 0)) * 16;
+
+    let pcmData = decodeBRR(blocks, { sampleCount, loopBlock });
+    let playbackRate = Number(brrSamplerateSelect.value);
+    if (playbackRate < 8000) {
+        pcmData = await upsampleSignal(pcmData, playbackRate, audioContext.sampleRate);
+        playbackRate = audioContext.sampleRate;
+    }
+    if (playingChannel !== 'brr') return;
+
+    const audioBuffer = audioContext.createBuffer(1, pcmData.length, playbackRate);
+    audioBuffer.copyToChannel(pcmData, 0);
+
+    currentlyPlayingSource = audioContext.createBufferSource();
+    currentlyPlayingSource.buffer = audioBuffer;
+    currentlyPlayingSource.connect(audioContext.destination);
+    currentlyPlayingSource.onended = () => { if (playingChannel === 'brr') stopPlayback(); };
+    currentlyPlayingSource.start(0);
+}
+
 // --- Playback State Management ---
 function stopPlayback() {
     if (currentlyPlayingSource) {
@@ -139,34 +931,38 @@ function resetPlayButtons() {
     playMidBtn.textContent = '▶ Play';
     playSideBtn.textContent = '▶ Play';
     playFullBtn.textContent = '▶ Play';
+    playBrrBtn.textContent = '▶ Play';
     playMidBtn.classList.remove('playing');
     playSideBtn.classList.remove('playing');
     playFullBtn.classList.remove('playing');
+    playBrrBtn.classList.remove('playing');
 }
 
-async function handlePlayback(channel) {
-    if (playingChannel === channel) { stopPlayback(); return; }
+/**
+ * Plays a decoded channel. The play buttons toggle playback; clicks on the waveform
+ * pass a start time and always (re)start from there.
+ */
+async function handlePlayback(channel, startSeconds) {
+    if (playingChannel === channel && startSeconds === undefined) { stopPlayback(); return; }
     stopPlayback();
     playingChannel = channel;
     const btn = (channel === 'mid') ? playMidBtn : playSideBtn;
     btn.textContent = '■ Stop';
     btn.classList.add('playing');
 
-    if (!decodedPcm[channel]) decodedPcm[channel] = decodeBRR(encodedBrr[channel]);
-    
-    let pcmData = decodedPcm[channel];
-    const sampleRate = (channel === 'mid') 
-        ? parseInt(midSamplerateSelect.value, 10) 
-        : parseInt(sideSamplerateSelect.value, 10);
+    let pcmData = getDecodedPcm(channel);
+    const sampleRate = channelSampleRate(channel);
     let playbackRate = sampleRate;
     
-    if (playbackRate < 8000) {
+    if (gaussToggle.checked) {
+        const voice = renderVoice(pcmData, pitchForRate(sampleRate));
+        pcmData = mixVoices([{ samples: voice, volumeLeft: 0x7F, volumeRight: 0x7F }]).left;
+        playbackRate = DSP_SAMPLE_RATE;
+    } else if (playbackRate < 8000) {
         pcmData = await upsampleSignal(pcmData, playbackRate, decodedAudioBuffer.sampleRate);
         playbackRate = decodedAudioBuffer.sampleRate;
     }
     
-    if (gaussToggle.checked) pcmData = applyGaussFilter(pcmData);
-    
     const audioBuffer = audioContext.createBuffer(1, pcmData.length, playbackRate);
     audioBuffer.copyToChannel(pcmData, 0);
     
@@ -174,7 +970,7 @@ async function handlePlayback(channel) {
     currentlyPlayingSource.buffer = audioBuffer;
     currentlyPlayingSource.connect(audioContext.destination);
     currentlyPlayingSource.onended = () => { if (playingChannel === channel) stopPlayback(); };
-    currentlyPlayingSource.start(0);
+    currentlyPlayingSource.start(0, startSeconds || 0);
 }
 
 async function handleFullPlayback() {
@@ -186,8 +982,7 @@ async function handleFullPlayback() {
     statusArea.textContent = 'Reconstructing stereo mix...';
     await new Promise(resolve => setTimeout(resolve, 10));
 
-    const { left, right } = await reconstructStereo();
-    const sampleRate = decodedAudioBuffer.sampleRate;
+    const { left, right, sampleRate } = await reconstructStereo();
     const audioBuffer = audioContext.createBuffer(2, left.length, sampleRate);
     audioBuffer.copyToChannel(left, 0);
     audioBuffer.copyToChannel(right, 1);
@@ -200,95 +995,656 @@ async function handleFullPlayback() {
     statusArea.textContent = 'Processing complete!';
 }
 
+// --- Setlist Batch ---
+/**
+ * Opens a single file as before, or lists several songs as a setlist.
+ */
+async function handleFiles(fileList) {
+    const files = Array.from(fileList);
+    // A project dropped together with its song is opened first, so its settings apply
+    const projectFile = files.find(file => /\.json$/i.test(file.name));
+    if (projectFile && files.length > 1) {
+        if (!(await openProject(projectFile))) return;
+        files.splice(files.indexOf(projectFile), 1);
+    }
+    const songs = files.filter(file => file.type.startsWith('audio/'));
+    if (songs.length > 1) return setupBatch(songs);
+    // A single file ends the setlist
+    batchRunId++;
+    batchArea.classList.add('hidden');
+    handleFile(songs[0] || files[0]);
+}
+
+function setupBatch(files) {
+    batchRunId++; // Stops a batch that is still running
+    const folders = new Set();
+    batchQueue = files.map(file => {
+        // Songs with the same name get numbered folders in the zip
+        const baseName = file.name.split('.')[0];
+        let folder = baseName;
+        for (let n = 2; folders.has(folder); n++) folder = `${baseName}_${n}`;
+        folders.add(folder);
+        return { file, folder, midRate: '', sideRate: '', row: null, files: null, manifest: null };
+    });
+
+    batchTableBody.innerHTML = '';
+    for (const song of batchQueue) {
+        const row = document.createElement('tr');
+        const rateCell = (key, className) => {
+            const cell = document.createElement('td');
+            if (className) cell.className = className;
+            const select = document.createElement('select');
+            select.add(new Option('Default', ''));
+            Array.from(midSamplerateSelect.options).filter(option => option.value !== 'other')
+                .forEach(option => select.add(new Option(option.textContent, option.value)));
+            select.disabled = rateModeSelect.value === 'auto';
+            select.addEventListener('change', () => { song[key] = select.value; });
+            cell.appendChild(select);
+            return cell;
+        };
+        const textCell = (text) => {
+            const cell = document.createElement('td');
+            cell.textContent = text;
+            return cell;
+        };
+        row.append(textCell(song.file.name), rateCell('midRate'), rateCell('sideRate', 'split-rates-only'),
+            textCell(''), textCell(''), textCell('Waiting'));
+        song.row = row;
+        batchTableBody.appendChild(row);
+    }
+    batchArea.classList.remove('hidden');
+    batchConvertBtn.disabled = false;
+    batchZipBtn.disabled = true;
+}
+
+function setBatchStatus(song, status) {
+    song.row.cells[5].textContent = status;
+    song.row.classList.toggle('current', status === 'Converting...');
+    song.row.classList.toggle('failed', status.startsWith('Error'));
+}
+
+/**
+ * Converts the songs that aren't done yet, one after another, through the same chain as a
+ * single file, so each song is shown while it's converted. A setting change during the
+ * batch stops it; "Convert All" then carries on with the songs that aren't done.
+ */
+async function runBatch() {
+    const runId = ++batchRunId;
+    batchConvertBtn.disabled = true;
+    const rateSelects = { mid: midSamplerateSelect, side: sideSamplerateSelect };
+    const defaults = { mid: midSamplerateSelect.value, side: sideSamplerateSelect.value };
+    const shown = { ...defaults };
+    for (const song of batchQueue) {
+        if (song.files) continue;
+        setBatchStatus(song, 'Converting...');
+        // The selects show the rates of the song on display, as in Auto mode
+        if (rateModeSelect.value === 'manual') {
+            shown.mid = song.midRate || defaults.mid;
+            shown.side = song.sideRate || defaults.side;
+            for (const [channel, select] of Object.entries(rateSelects)) {
+                select.value = shown[channel];
+                select.dataset.rate = select.value;
+            }
+            updateEmphasisPlot();
+        }
+        let completed = false;
+        try {
+            completed = await processAudioFile(song.file);
+            if (completed) {
+                song.files = await collectSongFiles(song.folder);
+                song.manifest = songManifest(song);
+            }
+        } catch (error) {
+            if (!error.cancelled) {
+                statusArea.textContent = `Error: ${error.message}`;
+                setBatchStatus(song, `Error: ${error.message}`);
+                continue;
+            }
+        }
+        if (!completed || runId !== batchRunId) {
+            setBatchStatus(song, 'Stopped');
+            break;
+        }
+        song.row.cells[3].textContent = `${(song.manifest.encodedBytes / 1024).toFixed(1)} KB`;
+        song.row.cells[4].textContent = formatLoudness(loudness);
+        setBatchStatus(song, 'Done');
+        batchZipBtn.disabled = false;
+    }
+
+    // Back to the default rates, unless the user picked others during the batch
+    let restored = false;
+    for (const [channel, select] of Object.entries(rateSelects)) {
+        if (select.value !== shown[channel] || shown[channel] === defaults[channel]) continue;
+        select.value = defaults[channel];
+        select.dataset.rate = select.value;
+        restored = true;
+    }
+    if (restored) updateEmphasisPlot();
+    if (runId === batchRunId) {
+        batchConvertBtn.disabled = false;
+        // The song on display was converted at its own rates; show it at the defaults again
+        if (restored) handleSettingChange();
+    }
+}
+
+/**
+ * The files of the song on display, as the download buttons would give them.
+ * @returns {Promise<{name: string, data: Blob|Uint8Array}[]>}
+ */
+async function collectSongFiles(folder) {
+    const dither = ditherSelect.value;
+    const files = [];
+    const brr = brrDownloads(folder);
+    for (const { channel, file, data } of brr) {
+        files.push({ name: `${folder}/${file}`, data });
+        files.push({ name: `${folder}/${folder}_${channelFileName(channel)}_decoded.wav`, data: encodeWAV(getDecodedPcm(channel), channelSampleRate(channel), { dither }) });
+    }
+    includeDownloads(folder, brr).forEach(file => files.push({ ...file, name: `${folder}/${file.name}` }));
+    const { left, right, sampleRate } = await reconstructStereo();
+    files.push({ name: `${folder}/${folder}_full_mix.wav`, data: encodeStereoWAV(left, right, sampleRate, { dither }) });
+    return files;
+}
+
+// The manifest entry of the song on display
+function songManifest(song) {
+    return {
+        file: song.file.name,
+        folder: song.folder,
+        duration: decodedAudioBuffer.duration,
+        settings: encodingSettings(),
+        encodedBytes: encodedByteCount(),
+        channelBytes: Object.fromEntries(activeChannels().map(channel => [channelFileName(channel), encodedBrr[channel].length * 9])),
+        loudness,
+        files: song.files.map(file => file.name)
+    };
+}
+
+async function downloadBatchZip() {
+    const songs = batchQueue.filter(song => song.files);
+    statusArea.textContent = 'Packing the setlist...';
+    const manifest = { createdAt: new Date().toISOString(), songs: songs.map(song => song.manifest) };
+    let zip;
+    try {
+        zip = await createZip([
+            ...songs.flatMap(song => song.files),
+            { name: 'manifest.json', data: new TextEncoder().encode(toReportJson(manifest)) }
+        ]);
+    } catch (error) {
+        statusArea.textContent = `Error: ${error.message}`;
+        return;
+    }
+
+    downloadBlob(zip, 'setlist.zip');
+    statusArea.textContent = 'Processing complete!';
+}
+
 // --- UI, Download, and Stat Logic ---
+
+// Saves a blob through a temporary link, as the browser's download of that file name
+function downloadBlob(blob, fileName) {
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement('a');
+    a.style.display = 'none';
+    a.href = url;
+    a.download = fileName;
+    document.body.appendChild(a);
+    a.click();
+    window.URL.revokeObjectURL(url);
+    a.remove();
+}
+
+/**
+ * The .brr files of the song on display, with what the include files say about them.
+ * @param {string} baseName The file name prefix, e.g. the song's name.
+ * @returns {{channel: string, name: string, label: string, file: string, data: Uint8Array,
+ *     loopBlock: number|null, sampleRate: number}[]} Samples as buildIncludeFiles takes them.
+ */
+function brrDownloads(baseName) {
+    return activeChannels().map(channel => ({
+        channel,
+        name: channelFileName(channel),
+        label: channelLabel(channel),
+        file: `${baseName}_${channelFileName(channel)}.brr`,
+        data: concatenateBlobs(encodedBrr[channel]),
+        loopBlock: loopBlocks[channel],
+        sampleRate: channelSampleRate(channel)
+    }));
+}
+
+// The include files for .brr files from brrDownloads, describing the very data in them
+function includeDownloads(baseName, brr) {
+    const encoder = new TextEncoder();
+    return buildIncludeFiles(baseName, brr).map(file => ({ name: file.name, data: encoder.encode(file.data) }));
+}
+
 function setupResultControls() {
     const originalFileName = fileNameSpan.textContent.split('.').slice(0, -1).join('.') || 'audio';
-    const midBrrBlob = new Blob([concatenateBlobs(encodedBrr.mid)], { type: 'application/octet-stream' });
-    downloadMidBrrBtn.href = URL.createObjectURL(midBrrBlob);
-    downloadMidBrrBtn.download = `${originalFileName}_mid.brr`;
-    
-    const sideBrrBlob = new Blob([concatenateBlobs(encodedBrr.side)], { type: 'application/octet-stream' });
-    downloadSideBrrBtn.href = URL.createObjectURL(sideBrrBlob);
-    downloadSideBrrBtn.download = `${originalFileName}_side.brr`;
+    resultBrr = { baseName: originalFileName, files: brrDownloads(originalFileName) };
+    for (const { channel, file, data } of resultBrr.files) {
+        const link = (channel === 'mid') ? downloadMidBrrBtn : downloadSideBrrBtn;
+        link.href = URL.createObjectURL(new Blob([data], { type: 'application/octet-stream' }));
+        link.download = file;
+    }
 
+    romTitleInput.value = originalFileName.toUpperCase().slice(0, 21);
+    spcTitleInput.value = originalFileName.slice(0, 32);
+    updateRomWarning();
+    updateSpcWarning();
+    updateStreamInfo();
     resultsArea.classList.remove('hidden');
+    drawWaveforms(); // After unhiding, so the canvases have a size
+}
+
+function drawWaveforms() {
+    for (const channel of activeChannels()) {
+        drawWaveform(waveformCanvases[channel], referenceSignals[channel], getDecodedPcm(channel));
+        drawErrorHeatmap(errorStripCanvases[channel], blockErrors[channel]);
+    }
+}
+
+function handleWaveformClick(channel, canvas, event) {
+    const startSeconds = clickFraction(canvas, event) * referenceSignals[channel].length / channelSampleRate(channel);
+    handlePlayback(channel, startSeconds);
+}
+
+/**
+ * What the song would have taken without trimming, at the same rates and with the same loop points.
+ */
+function untrimmedByteCount() {
+    const { sourceLength } = trimRegion;
+    const loop = (loopStartInput.value === '') ? null : {
+        loopStart: parseInt(loopStartInput.value, 10),
+        loopEnd: (loopEndInput.value === '') ? sourceLength : parseInt(loopEndInput.value, 10)
+    };
+    const rates = activeChannels().map(channelSampleRate);
+    return rates.reduce((total, rate) => total +
+        encodedChannelBytes(sourceLength, decodedAudioBuffer.sampleRate, rate, loop, rates), 0);
 }
 
 function displayEncodingStats() {
-    const totalEncodedSizeInBytes = (encodedBrr.mid.length + encodedBrr.side.length) * 9;
+    const totalEncodedSizeInBytes = encodedByteCount();
     const bitrateInBytesPerSecond = totalEncodedSizeInBytes / decodedAudioBuffer.duration;
 
+    rateInfoSpan.textContent = describeChannels(channel => formatPitchRate(channelSampleRate(channel)));
     encodedSizeSpan.textContent = (totalEncodedSizeInBytes / 1024).toFixed(2);
     bitrateSpan.textContent = (bitrateInBytesPerSecond / 1024).toFixed(2);
+    snrInfoSpan.textContent = describeChannels(channel => formatSnr(snrStats[channel]));
+    displayQualityMetrics();
+
+    if (budgetSolution) {
+        const budgetBytes = budgetSolution.bytes + budgetSolution.leftoverBytes;
+        const rates = describeChannels(channel => `${budgetSolution[`${channel}SampleRate`]} Hz`);
+        budgetInfoSpan.textContent = `${rates}, ` +
+            `${((budgetBytes - totalEncodedSizeInBytes) / 1024).toFixed(2)} KB of the ${(budgetBytes / 1024).toFixed(2)} KB budget left`;
+        budgetStats.classList.remove('hidden');
+    } else {
+        budgetStats.classList.add('hidden');
+    }
+
+    if (trimRegion.end - trimRegion.start < trimRegion.sourceLength) {
+        const seconds = (samples) => `${(samples / decodedAudioBuffer.sampleRate).toFixed(2)} s`;
+        trimInfoSpan.textContent = `${seconds(trimRegion.end - trimRegion.start)} of ${seconds(trimRegion.sourceLength)}, ` +
+            `${((untrimmedByteCount() - totalEncodedSizeInBytes) / 1024).toFixed(2)} KB saved`;
+        trimStats.classList.remove('hidden');
+    } else {
+        trimStats.classList.add('hidden');
+    }
+
+    if (loopBlocks.mid !== null) {
+        loopOffsetsSpan.textContent = describeChannels(channel =>
+            `block ${loopBlocks[channel]} ($${(loopBlocks[channel] * 9).toString(16).toUpperCase()})`);
+        // Rates that share no fine loop grid leave the loops of slightly different lengths
+        if (encodedBrr.side) {
+            const [mid, side] = ['mid', 'side'].map(channel => (encodedBrr[channel].length - loopBlocks[channel]) * 16 / channelSampleRate(channel));
+            if (Math.abs(mid - side) > 1e-9) {
+                loopOffsetsSpan.textContent += `; the ${channelLabel(side > mid ? 'side' : 'mid')} loop is ` +
+                    `${(Math.abs(mid - side) * 1000).toFixed(2)} ms longer, so the channels drift apart on every pass`;
+            }
+        }
+        loopStats.classList.remove('hidden');
+    } else {
+        loopStats.classList.add('hidden');
+    }
 
     encodingStats.classList.remove('hidden');
 }
 
+// --- Quality Metrics ---
+// The DSP's interpolation delays the stereo output by a few channel samples
+const STEREO_MAX_LAG_CHANNEL_SAMPLES = 3;
+
+/**
+ * Compares the original L/R (after any downmix and width scaling, and with the normalization
+ * gain applied, since those are intended) against the reconstructed stereo mix. Mono encodes
+ * have no stereo mix to compare. The limiter's gain changes count as error.
+ */
+async function measureStereoQuality() {
+    if (!encodedBrr.side) return;
+    const { left, right, sampleRate } = await reconstructStereo();
+    const sourceSr = decodedAudioBuffer.sampleRate;
+    const original = intendedStereo(downmixToStereo(decodedAudioBuffer, getDownmixMatrix(decodedAudioBuffer.numberOfChannels)),
+        stereoMode, parseInt(widthInput.value, 10) / 100);
+    let references = [original.left, original.right].map(signal => signal.map(v => v * normalizationGain));
+    if (sampleRate !== sourceSr) {
+        references = await Promise.all(references.map(signal => (sampleRate < sourceSr)
+            ? downsampleSignal(signal, sourceSr, sampleRate)
+            : upsampleSignal(signal, sourceSr, sampleRate)));
+    }
+
+    const rates = [channelSampleRate('mid'), channelSampleRate('side')];
+    const slowestRate = Math.min(...rates);
+    // A loop's silent lead-in delays both channels by the same time, up to one step of their loop grid
+    const leadIn = (loopBlocks.mid === null) ? 0 : (loopGridSeconds(rates) ?? 16 / slowestRate);
+    const maxLag = Math.ceil((STEREO_MAX_LAG_CHANNEL_SAMPLES / slowestRate + leadIn) * sampleRate);
+    const lag = findAlignmentLag(references[0], left, maxLag, sampleRate);
+    qualityMetrics.left = measureQuality(references[0], left.subarray(lag), sampleRate);
+    qualityMetrics.right = measureQuality(references[1], right.subarray(lag), sampleRate);
+}
+
+async function updateStereoQuality() {
+    const runId = processingRunId;
+    statusArea.textContent = 'Measuring stereo quality...';
+    try {
+        await measureStereoQuality();
+        if (runId !== processingRunId) return;
+        displayQualityMetrics();
+        statusArea.textContent = 'Processing complete!';
+    } catch (error) {
+        statusArea.textContent = `Error: ${error.message}`;
+        console.error(error);
+    }
+}
+
+function displayQualityMetrics() {
+    const formatDb = (value, unit = 'dB') => Number.isFinite(value) ? `${value.toFixed(2)} ${unit}` : (Number.isNaN(value) ? '—' : '∞');
+    const rows = [[channelLabel('mid'), 'mid'], [channelLabel('side'), 'side'], ['Left Mix', 'left'], ['Right Mix', 'right']];
+    qualityTableBody.replaceChildren(...rows.filter(([, key]) => qualityMetrics[key]).map(([label, key]) => {
+        const metrics = qualityMetrics[key];
+        const row = document.createElement('tr');
+        for (const text of [label, formatDb(metrics.snr), formatDb(metrics.segmentalSnr),
+            Number.isFinite(metrics.peakError) ? formatDb(metrics.peakError, 'dBFS') : 'None', formatDb(metrics.spectralDistance)]) {
+            const cell = document.createElement('td');
+            cell.textContent = text;
+            row.appendChild(cell);
+        }
+        return row;
+    }));
+}
+
+/**
+ * The settings the current song was encoded with, for the quality report and the setlist manifest.
+ */
+function encodingSettings() {
+    return {
+        stereoMode,
+        width: (stereoMode === 'width') ? parseInt(widthInput.value, 10) / 100 : null,
+        // What the mid and side entries hold in this mode
+        channels: { mid: channelFileName('mid'), side: encodedBrr.side ? channelFileName('side') : null },
+        rateUnits: rateUnitsSelect.value,
+        midSampleRate: channelSampleRate('mid'),
+        sideSampleRate: encodedBrr.side ? channelSampleRate('side') : null,
+        // The S-DSP pitch register values that play those rates
+        midPitch: pitchForRate(channelSampleRate('mid')),
+        sidePitch: encodedBrr.side ? pitchForRate(channelSampleRate('side')) : null,
+        downmix: (decodedAudioBuffer.numberOfChannels > 2) ? getDownmixMatrix(decodedAudioBuffer.numberOfChannels) : null,
+        quality: qualitySelect.value,
+        resamplerQuality: resamplerSelect.value,
+        dither: ditherSelect.value,
+        emphasis: parseInt(emphasisInput.value, 10) / 100,
+        loudnessTarget: getLoudnessTarget(),
+        trim: { ...getTrimOptions(), startSample: trimRegion.start, endSample: trimRegion.end },
+        loopStart: loopStartInput.value === '' ? null : Number(loopStartInput.value),
+        loopEnd: loopEndInput.value === '' ? null : Number(loopEndInput.value),
+        dspPreview: gaussToggle.checked
+    };
+}
+
+// Infinite SNRs and peak errors of perfect matches, and the loudness of silence, aren't valid JSON numbers
+function toReportJson(data) {
+    return JSON.stringify(data, (key, value) => (typeof value === 'number' && !Number.isFinite(value)) ? null : value, 2);
+}
+
+function downloadQualityReport() {
+    const totalBytes = encodedByteCount();
+    const report = {
+        file: fileNameSpan.textContent,
+        createdAt: new Date().toISOString(),
+        settings: encodingSettings(),
+        encodedBytes: totalBytes,
+        bytesPerSecond: totalBytes / decodedAudioBuffer.duration,
+        normalizationGain,
+        loudness,
+        greedySnr: { mid: snrStats.mid.greedySnr, side: snrStats.side ? snrStats.side.greedySnr : null },
+        metrics: qualityMetrics
+    };
+    downloadBlob(new Blob([toReportJson(report)], { type: 'application/json' }), `${fileNameSpan.textContent.split('.')[0]}_quality.json`);
+}
+
+function formatSnr({ snr, greedySnr }) {
+    let text = `${snr.toFixed(2)} dB`;
+    if (qualitySelect.value !== 'fast') {
+        const gain = snr - greedySnr;
+        text += ` (${gain >= 0 ? '+' : ''}${gain.toFixed(2)} dB vs fast)`;
+    }
+    return text;
+}
+
+function updateRomWarning() {
+    if (!encodedBrr.mid) return;
+    const audioBytes = encodedByteCount();
+    const capacity = romDataCapacity(romMappingSelect.value, parseInt(romSizeSelect.value, 10));
+    const slow = romTransferProblem(activeChannels().map(channel => ({ sampleRate: channelSampleRate(channel) })));
+    if (audioBytes > capacity) {
+        romWarning.textContent = `Warning: The BRR data (${(audioBytes / 1024).toFixed(1)} KB) does not fit in this ROM ` +
+            `(${(capacity / 1024).toFixed(1)} KB available). Choose a bigger ROM or lower the sample rates.`;
+        romWarning.classList.remove('hidden');
+        buildRomBtn.disabled = true;
+    } else if (slow) {
+        romWarning.textContent = `Warning: ${slow}`;
+        romWarning.classList.remove('hidden');
+        buildRomBtn.disabled = true;
+    } else {
+        romWarning.classList.add('hidden');
+        buildRomBtn.disabled = false;
+    }
+}
+
+// Short songs only: an SPC file holds the whole song in audio RAM
+function updateSpcWarning() {
+    if (!encodedBrr.mid) return;
+    const problem = spcSpaceProblem(activeChannels().map(channel =>
+        ({ blocks: encodedBrr[channel], sampleRate: channelSampleRate(channel) })));
+    spcWarning.textContent = problem ? `Warning: ${problem}` : '';
+    spcWarning.classList.toggle('hidden', !problem);
+    buildSpcBtn.disabled = Boolean(problem);
+}
+
+function downloadSpc() {
+    let spc;
+    try {
+        spc = buildSpc({
+            stereoMode,
+            mid: encodedBrr.mid,
+            side: encodedBrr.side,
+            midSampleRate: channelSampleRate('mid'),
+            sideSampleRate: channelSampleRate('side'),
+            loopBlocks,
+            title: spcTitleInput.value,
+            artist: spcArtistInput.value
+        });
+    } catch (error) {
+        statusArea.textContent = `Error: ${error.message}`;
+        return;
+    }
+
+    downloadBlob(new Blob([spc], { type: 'application/octet-stream' }), `${fileNameSpan.textContent.split('.')[0]}.spc`);
+}
+
+// The CPU-to-APU rate the packets need on NTSC and PAL, and whether the transfer routine keeps up
+function updateStreamInfo() {
+    if (!encodedBrr.mid) return;
+    const packetSize = Number(streamPacketSizeInput.value);
+    if (!(Number.isInteger(packetSize) && packetSize >= STREAM_MIN_PACKET && packetSize <= STREAM_MAX_PACKET)) {
+        streamInfo.textContent = '';
+        streamWarning.textContent = `Warning: The packet size must be from ${STREAM_MIN_PACKET} to ${STREAM_MAX_PACKET} bytes.`;
+        streamWarning.classList.remove('hidden');
+        buildStreamBtn.disabled = true;
+        return;
+    }
+    const rates = streamTransferRates(activeChannels().map(channel => ({ sampleRate: channelSampleRate(channel) })),
+        packetSize, streamRoutineSelect.value);
+    streamInfo.textContent = Object.entries(rates).map(([system, rate]) =>
+        `${TV_SYSTEMS[system].label}: ${Math.round(rate.bytesPerFrame)} bytes per frame ` +
+        `(${rate.packetsPerFrame.toFixed(2)} packets, up to ${rate.peakBytes} bytes in one frame, the routine moves ${rate.capacity})`).join('. ');
+    const slow = Object.keys(rates).filter(system => !rates[system].fits).map(system => TV_SYSTEMS[system].label);
+    streamWarning.textContent = slow.length ? `Warning: This transfer routine can't keep up on ${slow.join(' or ')}. ` +
+        'Lower the sample rates or choose a faster routine; smaller packets help when a frame has to take a whole extra packet.' : '';
+    streamWarning.classList.toggle('hidden', !slow.length);
+    buildStreamBtn.disabled = false;
+}
+
+function downloadStream() {
+    let stream;
+    try {
+        stream = buildStream({
+            stereoMode,
+            mid: encodedBrr.mid,
+            side: encodedBrr.side,
+            midSampleRate: channelSampleRate('mid'),
+            sideSampleRate: channelSampleRate('side'),
+            loopBlocks
+        }, Number(streamPacketSizeInput.value));
+    } catch (error) {
+        statusArea.textContent = `Error: ${error.message}`;
+        return;
+    }
+
+    downloadBlob(new Blob([stream.file], { type: 'application/octet-stream' }), `${fileNameSpan.textContent.split('.')[0]}_stream.bin`);
+}
+
+/**
+ * The stereo signal for the MSU-1 track: a copy of the source, or in simulation mode one pass
+ * of the full mix preview, which is already normalized. Either way with the loop in its samples.
+ */
+async function msuInput(simulate) {
+    if (!simulate) {
+        const { left, right } = downmixToStereo(decodedAudioBuffer, getDownmixMatrix(decodedAudioBuffer.numberOfChannels));
+        return { left: left.slice(), right: right.slice(), sampleRate: decodedAudioBuffer.sampleRate, loop: getSourceLoop() };
+    }
+    const { left, right, sampleRate } = await reconstructStereo();
+    const toSamples = (blocks) => Math.round(blocks * 16 * sampleRate / channelSampleRate('mid'));
+    const loop = (loopBlocks.mid === null) ? null
+        : { loopStart: toSamples(loopBlocks.mid), loopEnd: toSamples(encodedBrr.mid.length) };
+    const end = toSamples(encodedBrr.mid.length);
+    return { left: left.slice(0, end), right: right.slice(0, end), sampleRate, loop };
+}
+
+async function downloadMsu() {
+    const simulate = msuSimulateToggle.checked;
+    const name = fileNameSpan.textContent.split('.')[0];
+    let zip;
+    try {
+        statusArea.textContent = 'Preparing the MSU-1 track...';
+        const input = await msuInput(simulate);
+        const track = await runEncoderJob({
+            task: 'renderMsu',
+            mid: input.left,
+            side: input.right,
+            sourceSampleRate: input.sampleRate,
+            settings: {
+                loop: input.loop,
+                normalize: !simulate,
+                loudnessTarget: getLoudnessTarget(),
+                resamplerQuality: resamplerSelect.value
+            }
+        });
+        statusArea.textContent = 'Packing the MSU-1 files...';
+        const pcm = encodeMsuPcm(track.left, track.right, { loopStart: track.loopStart, dither: ditherSelect.value });
+        zip = await createZip(msuPackFiles(name, pcm, {
+            source: simulate ? 'brr-simulation' : 'source',
+            frames: track.left.length,
+            loopStart: track.loopStart,
+            loudness: track.loudness || loudness,
+            // The BRR side of the same song, for packs that target both
+            brr: { encodedBytes: encodedByteCount(), settings: encodingSettings() }
+        }));
+    } catch (error) {
+        if (!error.cancelled) statusArea.textContent = `Error: ${error.message}`;
+        return;
+    }
+
+    downloadBlob(zip, `${name}_msu1.zip`);
+    statusArea.textContent = 'Processing complete!';
+}
+
+async function downloadIncludes() {
+    const { baseName, files } = resultBrr;
+    let zip;
+    try {
+        zip = await createZip([
+            ...files.map(({ file, data }) => ({ name: file, data })),
+            ...includeDownloads(baseName, files)
+        ]);
+    } catch (error) {
+        statusArea.textContent = `Error: ${error.message}`;
+        return;
+    }
+
+    downloadBlob(zip, `${baseName}_includes.zip`);
+}
+
+function downloadRom() {
+    let rom;
+    try {
+        rom = buildRom({
+            stereoMode,
+            mid: encodedBrr.mid,
+            side: encodedBrr.side,
+            midSampleRate: channelSampleRate('mid'),
+            sideSampleRate: channelSampleRate('side'),
+            loopBlocks,
+            title: romTitleInput.value
+        }, romMappingSelect.value, parseInt(romSizeSelect.value, 10));
+    } catch (error) {
+        statusArea.textContent = `Error: ${error.message}`;
+        return;
+    }
+
+    downloadBlob(new Blob([rom], { type: 'application/octet-stream' }), `${fileNameSpan.textContent.split('.')[0]}.sfc`);
+}
+
 async function downloadFullMixWav() {
     statusArea.textContent = 'Generating stereo WAV file...';
-    const { left, right } = await reconstructStereo();
-    const sampleRate = decodedAudioBuffer.sampleRate;
-    const wavBlob = encodeStereoWAV(left, right, sampleRate);
-    const url = URL.createObjectURL(wavBlob);
-    
-    const a = document.createElement('a');
-    a.style.display = 'none';
-    a.href = url;
-    a.download = `${fileNameSpan.textContent.split('.')[0]}_full_mix.wav`;
-    document.body.appendChild(a);
-    a.click();
-    window.URL.revokeObjectURL(url);
-    a.remove();
+    const { left, right, sampleRate } = await reconstructStereo();
+    const wavBlob = encodeStereoWAV(left, right, sampleRate, { dither: ditherSelect.value });
+    downloadBlob(wavBlob, `${fileNameSpan.textContent.split('.')[0]}_full_mix.wav`);
     statusArea.textContent = 'Processing complete!';
 }
 
 async function reconstructStereo() {
-    if (!decodedPcm.mid) decodedPcm.mid = decodeBRR(encodedBrr.mid);
-    if (!decodedPcm.side) decodedPcm.side = decodeBRR(encodedBrr.side);
-
-    const targetMidSr = parseInt(midSamplerateSelect.value, 10);
-    const targetSideSr = parseInt(sideSamplerateSelect.value, 10);
-    const targetSr = decodedAudioBuffer.sampleRate;
+    const channels = activeChannels();
+    const { volumes } = STEREO_MODES[stereoMode];
 
-    const [upsampledMid, upsampledSide] = await Promise.all([
-        upsampleSignal(decodedPcm.mid, targetMidSr, targetSr),
-        upsampleSignal(decodedPcm.side, targetSideSr, targetSr)
-    ]);
-
-    let finalMid = gaussToggle.checked ? applyGaussFilter(upsampledMid) : upsampledMid;
-    let finalSide = gaussToggle.checked ? applyGaussFilter(upsampledSide) : upsampledSide;
-    
-    const len = Math.max(finalMid.length, finalSide.length);
-    const left = new Float32Array(len);
-    const right = new Float32Array(len);
-    for (let i = 0; i < len; i++) {
-        const m = finalMid[i] || 0;
-        const s = finalSide[i] || 0;
-        left[i] = m + s;
-        right[i] = m - s;
+    // Same voice setup as the ROM player, e.g. the inverted right volume turns Mid/Side into L/R
+    if (gaussToggle.checked) {
+        const { left, right } = mixVoices(channels.map((channel, i) => ({
+            samples: renderVoice(getDecodedPcm(channel), pitchForRate(channelSampleRate(channel))),
+            volumeLeft: volumes[i][0],
+            volumeRight: volumes[i][1]
+        })));
+        return { left, right, sampleRate: DSP_SAMPLE_RATE };
     }
-    return { left, right };
+
+    const targetSr = decodedAudioBuffer.sampleRate;
+    const streams = await Promise.all(channels.map(channel =>
+        upsampleSignal(getDecodedPcm(channel), channelSampleRate(channel), targetSr)));
+    const { left, right } = mixStreams(streams, stereoMode);
+    return { left, right, sampleRate: targetSr };
 }
 
 function downloadDecodedWav(channel) {
-    const sampleRate = (channel === 'mid') 
-        ? parseInt(midSamplerateSelect.value, 10) 
-        : parseInt(sideSamplerateSelect.value, 10);
-
-    if (!decodedPcm[channel]) {
-        decodedPcm[channel] = decodeBRR(encodedBrr[channel]);
-    }
-    const wavBlob = encodeWAV(decodedPcm[channel], sampleRate);
-    const url = URL.createObjectURL(wavBlob);
-    
-    const a = document.createElement('a');
-    a.style.display = 'none';
-    a.href = url;
-    a.download = `${fileNameSpan.textContent.split('.')[0]}_${channel}_decoded.wav`;
-    document.body.appendChild(a);
-    a.click();
-    window.URL.revokeObjectURL(url);
-    a.remove();
+    const wavBlob = encodeWAV(getDecodedPcm(channel), channelSampleRate(channel), { dither: ditherSelect.value });
+    downloadBlob(wavBlob, `${fileNameSpan.textContent.split('.')[0]}_${channelFileName(channel)}_decoded.wav`);
 }
 
 function concatenateBlobs(blocksArray) {
@@ -300,13 +1656,14 @@ function concatenateBlobs(blocksArray) {
     return result;
 }
 
-async function decodeAudio(arrayBuffer) {
+/**
+ * Decodes an audio file. Browsers resample it to the context's rate, which is the device's
+ * unless a rate is given.
+ */
+async function decodeAudio(arrayBuffer, sampleRate) {
     if (!audioContext) audioContext = new AudioContext();
-    const audioBuffer = await audioContext.decodeAudioData(arrayBuffer);
+    const context = (sampleRate && sampleRate !== audioContext.sampleRate) ? new OfflineAudioContext(1, 1, sampleRate) : audioContext;
+    const audioBuffer = await context.decodeAudioData(arrayBuffer);
     audioDetails.innerHTML = `Sample Rate: ${audioBuffer.sampleRate} Hz<br>Channels: ${audioBuffer.numberOfChannels}<br>Duration: ${audioBuffer.duration.toFixed(2)} seconds`;
-    if (audioBuffer.numberOfChannels !== 2) {
-        statusArea.textContent = 'Warning: The provided file is not stereo. Processing will stop.';
-        return null;
-    }
     return audioBuffer;
 }
\ No newline at end of file
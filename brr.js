@@ -1,5 +1,6 @@
 // Adapted from https://github.com/Optiroc/BRRtools
 // by Bregalad, Kode54, Optiroc, nyanpasu64....
+// Uses quantizeToInt16 from dither.js.
 
 
 /**
@@ -23,27 +24,43 @@ function clamp16(n) {
 }
 
 /**
- * Calculates the predicted next sample value using stable floating-point math
- * and then wraps the result to the 16-bit signed range to perfectly simulate hardware behavior.
+ * The version of the codec's arithmetic. Projects store it, so BRR output that no longer
+ * matches a project can be put down to the encoder rather than the settings. Raise it
+ * whenever the same signal and settings encode to different bytes.
+ *  1: Floating-point prediction, rounded and wrapped to 16 bits. Invalid shifts (13-15)
+ *     decoded to +2048 for non-negative nibbles.
+ *  2: The S-DSP's integer prediction, rounded down at each shift and clamped instead of
+ *     wrapped, and 0 for invalid shifts with non-negative nibbles. The encoder predicts the
+ *     same way, so the blocks it picks changed too.
+ */
+const BRR_CODEC_VERSION = 2;
+
+/**
+ * Calculates the predicted next sample value with the S-DSP's integer arithmetic, rounding
+ * down at each shift as the hardware does. The sum isn't wrapped; the caller clamps it.
  * @param {number} filter The filter index (0-3).
- * @param {number} p1 The previous sample.
- * @param {number} p2 The sample before the previous one.
- * @returns {number} The wrapped, predicted sample value.
+ * @param {number} p1 The previous sample, at the decoder's 15-bit scale.
+ * @param {number} p2 The sample before the previous one, at the same scale.
+ * @returns {number} The predicted sample value.
  */
 function getPrediction(filter, p1, p2) {
-    let prediction = 0.0;
+    // The DSP keeps the previous sample doubled, so that's what its shifts act on
+    const doubled = p1 * 2;
     switch (filter) {
-        case 0: break;
-        case 1: prediction = p1 * 0.9375; break;
-        case 2: prediction = p1 * 1.90625 - p2 * 0.9375; break;
-        case 3: prediction = p1 * 1.796875 - p2 * 0.8125; break;
+        case 1: return p1 + ((-doubled) >> 5); // p1 * 15/16
+        case 2: return doubled + ((doubled * -3) >> 6) - p2 + (p2 >> 4); // p1 * 61/32 - p2 * 15/16
+        case 3: return doubled + ((doubled * -13) >> 7) - p2 + ((p2 * 3) >> 4); // p1 * 115/64 - p2 * 13/16
+        default: return 0;
     }
-    return wrap16(Math.round(prediction));
 }
 
 /**
  * Performs a single trial or final encoding of a 16-sample block.
- * @returns {object} An object containing either the error or the encoded block and the final history samples.
+ * The p1/p2 history is kept at the decoder's 15-bit scale, so the reconstruction here is
+ * exactly what decodeBRR will produce and the error can be trusted across blocks. (It used to
+ * be kept doubled, which misjudged every block after the first and changed "fast" output too.)
+ * @returns {object} An object containing the mean squared error, the final history samples and,
+ * in write mode, the encoded block.
  */
 function processBlock(pcmBlock, shiftAmount, filter, initial_p1, initial_p2, writeMode) {
     const brrBuffer = writeMode ? new Uint8Array(9) : null;
@@ -53,8 +70,7 @@ function processBlock(pcmBlock, shiftAmount, filter, initial_p1, initial_p2, wri
 
     for (let i = 0; i < 16; i++) {
         const pcmSample = pcmBlock[i];
-        const prediction = getPrediction(filter, p1, p2);
-        const vlin = prediction >> 1;
+        const vlin = getPrediction(filter, p1, p2);
 
         let diff = (pcmSample >> 1) - vlin;
         const diff_abs = Math.abs(diff);
@@ -86,7 +102,7 @@ function processBlock(pcmBlock, shiftAmount, filter, initial_p1, initial_p2, wri
         totalError += error * error;
 
         p2 = p1;
-        p1 = wrappedReconstructedSample;
+        p1 = wrappedReconstructedSample >> 1;
 
         if (writeMode) {
             const finalNibble = quantizedNibble & 0x0F;
@@ -100,7 +116,7 @@ function processBlock(pcmBlock, shiftAmount, filter, initial_p1, initial_p2, wri
     }
 
     if (writeMode) {
-        return { block: brrBuffer, p1: p1, p2: p2 };
+        return { block: brrBuffer, error: totalError / 16, p1: p1, p2: p2 };
     } else {
         return { error: totalError / 16, p1: p1, p2: p2 };
     }
@@ -108,14 +124,16 @@ function processBlock(pcmBlock, shiftAmount, filter, initial_p1, initial_p2, wri
 
 /**
  * Finds the best encoding parameters for a 16-sample block and encodes it.
- * @returns {object} An object containing the 9-byte BRR block and the final p1/p2 history.
+ * @param {number|null} forcedFilter If set, only this filter is tried (used to reset history on loop starts).
+ * @returns {object} An object containing the 9-byte BRR block, its error and the final p1/p2 history.
  */
-function findAndEncodeBlock(pcmBlock, p1, p2) {
+function findAndEncodeBlock(pcmBlock, p1, p2, forcedFilter = null) {
     let bestError = Infinity;
     let bestShift = 0;
     let bestFilter = 0;
     for (let s = 0; s < 13; s++) {
         for (let f = 0; f < 4; f++) {
+            if (forcedFilter !== null && f !== forcedFilter) continue;
             const result = processBlock(pcmBlock, s, f, p1, p2, false);
             if (result.error < bestError) {
                 bestError = result.error;
@@ -129,92 +147,231 @@ function findAndEncodeBlock(pcmBlock, p1, p2) {
     return finalResult;
 }
 
+/**
+ * Number of candidate paths kept per block for each encoder quality setting.
+ * "fast" is the original greedy search.
+ */
+const QUALITY_BEAM_WIDTHS = { fast: 1, high: 4, extreme: 16 };
+
+/**
+ * Beam search over whole block sequences. Greedy encoding judges each block by its own error,
+ * but the chosen block also sets the p1/p2 history for the next one. Here the beamWidth
+ * lowest-total-error paths are kept alive, so a slightly worse block can win if it leaves
+ * better history behind.
+ * @param {Int16Array} pcmData The 16-sample aligned PCM data.
+ * @param {number|null} loopBlock The block that must use filter 0, if any.
+ * @param {number} beamWidth The number of paths to keep per block.
+ * @param {function(number): void} [onProgress] Called with the completed fraction.
+ * @returns {{blocks: Uint8Array[], blockErrors: Float32Array}} The 9-byte BRR blocks and their errors.
+ */
+function encodeBlocksBeam(pcmData, loopBlock, beamWidth, onProgress) {
+    const blockCount = pcmData.length / 16;
+    let beam = [{ error: 0, p1: 0, p2: 0, shift: 0, filter: 0, parent: null }];
+
+    for (let b = 0; b < blockCount; b++) {
+        const pcmBlock = pcmData.subarray(b * 16, b * 16 + 16);
+        // Paths that end with the same history are interchangeable from here on, so only the best one is kept
+        const candidates = new Map();
+        for (const node of beam) {
+            for (let s = 0; s < 13; s++) {
+                for (let f = 0; f < 4; f++) {
+                    if (b === loopBlock && f !== 0) continue;
+                    const result = processBlock(pcmBlock, s, f, node.p1, node.p2, false);
+                    const error = node.error + result.error;
+                    const key = (result.p1 & 0xFFFF) * 0x10000 + (result.p2 & 0xFFFF);
+                    const existing = candidates.get(key);
+                    if (!existing || error < existing.error) {
+                        candidates.set(key, { error, p1: result.p1, p2: result.p2, shift: s, filter: f, parent: node });
+                    }
+                }
+            }
+        }
+        beam = Array.from(candidates.values()).sort((a, b) => a.error - b.error).slice(0, beamWidth);
+        if (onProgress && (b & 0xFF) === 0) onProgress(b / blockCount);
+    }
+
+    // Walk back from the best path, then re-encode it front to back
+    const path = new Array(blockCount);
+    for (let node = beam[0], b = blockCount - 1; b >= 0; node = node.parent, b--) {
+        path[b] = node;
+    }
+    const brrBlocks = [];
+    const blockErrors = new Float32Array(blockCount);
+    let p1 = 0, p2 = 0;
+    for (let b = 0; b < blockCount; b++) {
+        const { shift, filter } = path[b];
+        const result = processBlock(pcmData.subarray(b * 16, b * 16 + 16), shift, filter, p1, p2, true);
+        result.block[0] = (shift << 4) | (filter << 2);
+        brrBlocks.push(result.block);
+        blockErrors[b] = result.error;
+        p1 = result.p1;
+        p2 = result.p2;
+    }
+    return { blocks: brrBlocks, blockErrors };
+}
+
+/**
+ * Aligns a loop to BRR block boundaries. Silence is prepended so the loop start lands on a
+ * block boundary, the signal is cut at the loop end, and the loop is extended with samples
+ * from its own start until its length is a multiple of 16. Songs with several channels pass
+ * the padding scaleLoopPoints works out, so the lead-in and the loop last as long in each.
+ * @param {Float32Array} signal The raw audio data.
+ * @param {number} loopStart The loop start, in samples.
+ * @param {number} loopEnd The loop end (exclusive), in samples.
+ * @param {number} [padStart] The silence to prepend. Defaults to the least that aligns the loop start.
+ * @param {number} [loopLength] The loop length after extending it, a multiple of 16. Defaults to
+ *     the loop's length rounded up to whole blocks.
+ * @returns {{signal: Float32Array, loopBlock: number}} The aligned signal and the index of the loop-start block.
+ */
+function alignLoop(signal, loopStart, loopEnd, padStart, loopLength) {
+    if (!(loopStart >= 0 && loopEnd > loopStart && loopEnd <= signal.length)) {
+        throw new Error(`Invalid loop points ${loopStart}-${loopEnd} for a signal of ${signal.length} samples.`);
+    }
+    const length = loopEnd - loopStart;
+    if (padStart == null) padStart = (16 - (loopStart % 16)) % 16;
+    if (loopLength == null) loopLength = length + (16 - (length % 16)) % 16;
+    if (padStart < 0 || (padStart + loopStart) % 16 !== 0 || loopLength < length || loopLength % 16 !== 0) {
+        throw new Error(`Can't align the loop ${loopStart}-${loopEnd} with ${padStart} samples of lead-in and a length of ${loopLength}.`);
+    }
+    const padEnd = loopLength - length;
+
+    const aligned = new Float32Array(padStart + loopEnd + padEnd);
+    aligned.set(signal.subarray(0, loopEnd), padStart);
+    for (let i = 0; i < padEnd; i++) {
+        aligned[padStart + loopEnd + i] = signal[loopStart + (i % length)];
+    }
+    return { signal: aligned, loopBlock: (padStart + loopStart) / 16 };
+}
+
 /**
  * The main entry point for encoding a full audio signal into SNES BRR format.
  * @param {Float32Array} float32PcmData The raw audio data.
- * @returns {Uint8Array[]} An array of 9-byte BRR blocks.
+ * @param {object} [options] Encoder options.
+ * @param {number} [options.loopStart] Loop start in samples. Requires loopEnd.
+ * @param {number} [options.loopEnd] Loop end (exclusive) in samples. Requires loopStart.
+ * @param {number} [options.padStart] The loop's lead-in, see alignLoop.
+ * @param {number} [options.loopLength] The loop's length after alignment, see alignLoop.
+ * @param {string} [options.quality] "fast" (greedy), "high" or "extreme". See QUALITY_BEAM_WIDTHS.
+ * @param {string} [options.dither] How the samples are quantized to 16 bits: "off", "tpdf" or "shaped".
+ * @param {number} [options.ditherSeed] The dither seed, see quantizeToInt16.
+ * @param {function(number): void} [options.onProgress] Called with the completed fraction while encoding.
+ * @returns {{blocks: Uint8Array[], loopBlock: number|null, blockErrors: Float32Array}} The 9-byte BRR blocks,
+ * the loop-start block index (null when not looping) and the mean squared error of each block.
  */
-function encodeBRR(float32PcmData) {
-    const pcmData = new Int16Array(float32PcmData.length);
-    for (let i = 0; i < float32PcmData.length; i++) {
-        pcmData[i] = clamp16(float32PcmData[i] * 32767);
+function encodeBRR(float32PcmData, options = {}) {
+    let loopBlock = null;
+    if (options.loopStart != null && options.loopEnd != null) {
+        const aligned = alignLoop(float32PcmData, options.loopStart, options.loopEnd, options.padStart, options.loopLength);
+        float32PcmData = aligned.signal;
+        loopBlock = aligned.loopBlock;
     }
+    const pcmData = quantizeToInt16(float32PcmData, { dither: options.dither, seed: options.ditherSeed });
     const padding = (16 - (pcmData.length % 16)) % 16;
     let paddedPcmData = pcmData;
     if (padding !== 0) {
         paddedPcmData = new Int16Array(pcmData.length + padding);
         paddedPcmData.set(pcmData, 0);
     }
-    let p1 = 0, p2 = 0;
-    const brrBlocks = [];
-    for (let i = 0; i < paddedPcmData.length; i += 16) {
-        const pcmBlock = paddedPcmData.subarray(i, i + 16);
-        const result = findAndEncodeBlock(pcmBlock, p1, p2);
-        brrBlocks.push(result.block);
-        p1 = result.p1;
-        p2 = result.p2;
+    const beamWidth = QUALITY_BEAM_WIDTHS[options.quality || 'fast'];
+    if (!beamWidth) throw new Error(`Unknown encoder quality "${options.quality}".`);
+
+    let brrBlocks = [];
+    let blockErrors = new Float32Array(paddedPcmData.length / 16);
+    if (beamWidth > 1) {
+        ({ blocks: brrBlocks, blockErrors } = encodeBlocksBeam(paddedPcmData, loopBlock, beamWidth, options.onProgress));
+    } else {
+        let p1 = 0, p2 = 0;
+        for (let i = 0; i < paddedPcmData.length; i += 16) {
+            const pcmBlock = paddedPcmData.subarray(i, i + 16);
+            // Filter 0 on the loop start means the block doesn't depend on the history left by the loop end.
+            const forcedFilter = (brrBlocks.length === loopBlock) ? 0 : null;
+            const result = findAndEncodeBlock(pcmBlock, p1, p2, forcedFilter);
+            blockErrors[brrBlocks.length] = result.error;
+            brrBlocks.push(result.block);
+            p1 = result.p1;
+            p2 = result.p2;
+            if (options.onProgress && (i & 0xFFF) === 0) options.onProgress(i / paddedPcmData.length);
+        }
     }
     if (brrBlocks.length > 0) {
-        brrBlocks[brrBlocks.length - 1][0] |= 0x01;
+        brrBlocks[brrBlocks.length - 1][0] |= (loopBlock !== null) ? 0x03 : 0x01;
     }
-    console.log(`Encoded ${paddedPcmData.length} samples into ${brrBlocks.length} BRR blocks.`);
-    return brrBlocks;
+    console.log(`Encoded ${paddedPcmData.length} samples into ${brrBlocks.length} BRR blocks.` +
+        (loopBlock !== null ? ` Loop starts at block ${loopBlock} (offset ${loopBlock * 9} bytes).` : ''));
+    return { blocks: brrBlocks, loopBlock, blockErrors };
 }
 
 
+/**
+ * Decodes a single 9-byte BRR block into 16 samples.
+ * @param {Uint8Array} block The BRR block.
+ * @param {number} p1 The previous sample.
+ * @param {number} p2 The sample before the previous one.
+ * @param {Int16Array} out The output buffer.
+ * @param {number} offset Where to write the 16 decoded samples in the output buffer.
+ * @returns {object} The final p1/p2 history.
+ */
+function decodeBlock(block, p1, p2, out, offset) {
+    const header = block[0];
+    const shiftAmount = (header >> 4) & 0x0F;
+    const filter = (header >> 2) & 0x03;
+
+    for (let i = 0; i < 16; i++) {
+        const byte = block[1 + (i >> 1)];
+
+        // High nibble first
+        const nibble = (i % 2 === 0) ? (byte >> 4) : (byte & 0x0F);
+        const signedNibble = (nibble & 8) ? (nibble - 16) : nibble;
+
+        // Shifts 13 to 15 are invalid; the DSP treats them as -2048 for negative nibbles and 0 otherwise
+        let sample = (shiftAmount <= 12) ? ((signedNibble << shiftAmount) >> 1) : ((signedNibble < 0) ? -2048 : 0);
+
+        sample += getPrediction(filter, p1, p2);
+        sample = clamp16(sample);
+
+        // SPC700 specific 15-bit wrapping behavior
+        if (sample > 16383) sample -= 32768;
+        if (sample < -16384) sample += 32768;
+
+        p2 = p1;
+        p1 = sample;
+        out[offset + i] = wrap16(p1 * 2);
+    }
+    return { p1: p1, p2: p2 };
+}
+
 /**
  * The main entry point for decoding an array of BRR blocks into PCM audio data.
+ * Without a sampleCount the blocks are decoded once, front to back. With one, the block
+ * chain is followed the way the S-DSP plays it: an end block with the loop flag jumps back
+ * to loopBlock, an end block without it stops the voice and the rest is silence.
  * @param {Uint8Array[]} brrBlocks An array of 9-byte BRR blocks.
+ * @param {object} [options] Decoder options.
+ * @param {number} [options.sampleCount] The number of samples to render.
+ * @param {number} [options.loopBlock] The block index to jump to on a looping end block. Defaults to 0.
  * @returns {Float32Array} The decoded audio data, normalized to [-1.0, 1.0].
  */
-function decodeBRR(brrBlocks) {
-    const totalSamples = brrBlocks.length * 16;
-    const pcmSamples = new Int16Array(totalSamples);
+function decodeBRR(brrBlocks, options = {}) {
+    const followChain = options.sampleCount != null;
+    const totalSamples = followChain ? options.sampleCount : brrBlocks.length * 16;
+    const loopBlock = (options.loopBlock != null) ? options.loopBlock : 0;
+    // Rounded up to whole blocks so the last one can be decoded in place
+    const pcmSamples = new Int16Array(Math.ceil(totalSamples / 16) * 16);
     let p1 = 0; // History sample 1
     let p2 = 0; // History sample 2
 
-    for (let blockIndex = 0; blockIndex < brrBlocks.length; blockIndex++) {
+    let blockIndex = 0;
+    for (let offset = 0; offset < totalSamples && blockIndex < brrBlocks.length; offset += 16) {
         const block = brrBlocks[blockIndex];
-        const header = block[0];
-        const shiftAmount = (header >> 4) & 0x0F;
-        const filter = (header >> 2) & 0x03;
-
-        for (let i = 0; i < 8; i++) {
-            const byte = block[i + 1];
-
-            // Decode high nibble
-            let nibble = byte >> 4;
-            let signedNibble = (nibble & 8) ? (nibble - 16) : nibble;
-            
-            let sample = (shiftAmount <= 12) ? ((signedNibble << shiftAmount) >> 1) : ((signedNibble < 0) ? -2048 : 2048);
-            
-            sample += getPrediction(filter, p1, p2);
-            sample = clamp16(sample);
-            
-            // SPC700 specific 15-bit wrapping behavior
-            if (sample > 16383) sample -= 32768;
-            if (sample < -16384) sample += 32768;
-            
-            p2 = p1;
-            p1 = sample;
-            pcmSamples[blockIndex * 16 + i * 2] = wrap16(p1 * 2);
-
-            // Decode low nibble
-            nibble = byte & 0x0F;
-            signedNibble = (nibble & 8) ? (nibble - 16) : nibble;
-            
-            sample = (shiftAmount <= 12) ? ((signedNibble << shiftAmount) >> 1) : ((signedNibble < 0) ? -2048 : 2048);
-
-            sample += getPrediction(filter, p1, p2);
-            sample = clamp16(sample);
-
-            // SPC700 specific 15-bit wrapping behavior
-            if (sample > 16383) sample -= 32768;
-            if (sample < -16384) sample += 32768;
-
-            p2 = p1;
-            p1 = sample;
-            pcmSamples[blockIndex * 16 + i * 2 + 1] = wrap16(p1 * 2);
+        const history = decodeBlock(block, p1, p2, pcmSamples, offset);
+        p1 = history.p1;
+        p2 = history.p2;
+
+        if (followChain && (block[0] & 0x01)) {
+            if (!(block[0] & 0x02)) break;
+            blockIndex = loopBlock;
+        } else {
+            blockIndex++;
         }
     }
 
@@ -228,35 +385,58 @@ function decodeBRR(brrBlocks) {
 }
 
 /**
- * Applies the SNES's Gaussian low-pass filter emulation to a decoded signal.
- * This should be applied AFTER decoding.
- * @param {Float32Array} pcmData The decoded PCM data (range -1.0 to 1.0).
- * @returns {Float32Array} A new array containing the filtered audio data.
+ * Splits the contents of a .brr file into 9-byte blocks. Files that are 2 bytes longer than a
+ * whole number of blocks are the AddmusicK variant, whose first 2 bytes hold the loop offset.
+ * @param {Uint8Array} bytes The file contents.
+ * @returns {{blocks: Uint8Array[], loopBlock: number|null}} The blocks, and the loop-start block
+ * from the loop header (null when the file has none).
  */
-function applyGaussFilter(pcmData) {
-    const len = pcmData.length;
-    if (len < 2) return pcmData.slice(); // Return a copy if too short to filter
-
-    const out = new Float32Array(len);
-    
-    // FIR coefficients from C code, normalized by 2048
-    const c0 = 372 / 2048;  // 0.181640625
-    const c1 = 1304 / 2048; // 0.63671875
-    
-    // Handle first sample (edge case)
-    let prev = (c1 + c0) * pcmData[0] + c0 * pcmData[1];
-    
-    // Main loop
-    for (let i = 1; i < len - 1; i++) {
-        let current = c0 * pcmData[i - 1] + c1 * pcmData[i] + c0 * pcmData[i + 1];
-        out[i - 1] = prev;
-        prev = current;
+function parseBrrFile(bytes) {
+    let data = bytes;
+    let loopOffset = null;
+    if (bytes.length % 9 === 2) {
+        loopOffset = bytes[0] | (bytes[1] << 8);
+        data = bytes.subarray(2);
+    } else if (bytes.length % 9 !== 0) {
+        throw new Error(`The file is ${bytes.length} bytes long, which is not a whole number of 9-byte BRR blocks ` +
+            `(with or without a 2-byte loop header).`);
     }
+    if (data.length === 0) throw new Error('The file contains no BRR blocks.');
+    if (loopOffset !== null && (loopOffset % 9 !== 0 || loopOffset >= data.length)) {
+        throw new Error(`The loop header points to byte ${loopOffset}, which is not the start of a block in this file.`);
+    }
+
+    const blocks = [];
+    for (let i = 0; i < data.length; i += 9) {
+        blocks.push(data.slice(i, i + 9));
+    }
+    return { blocks, loopBlock: (loopOffset !== null) ? loopOffset / 9 : null };
+}
 
-    // Handle last two samples (edge cases)
-    let last = c0 * pcmData[len - 2] + (c1 + c0) * pcmData[len - 1];
-    out[len - 2] = prev;
-    out[len - 1] = last;
-    
-    return out;
-}
\ No newline at end of file
+/**
+ * Describes the header of every block and flags the ones the S-DSP won't play as intended.
+ * @param {Uint8Array[]} brrBlocks An array of 9-byte BRR blocks.
+ * @returns {{shift: number, filter: number, end: boolean, loop: boolean, problems: string[]}[]}
+ */
+function inspectBrrBlocks(brrBlocks) {
+    return brrBlocks.map((block, i) => {
+        const header = block[0];
+        const info = {
+            shift: (header >> 4) & 0x0F,
+            filter: (header >> 2) & 0x03,
+            end: (header & 0x01) !== 0,
+            loop: (header & 0x02) !== 0,
+            problems: []
+        };
+        if (info.shift > 12) {
+            info.problems.push(`Invalid shift ${info.shift}: the S-DSP reads every nibble as 0 or -2048.`);
+        }
+        if (info.end && i < brrBlocks.length - 1) {
+            info.problems.push('End flag before the last block: the blocks after it are never played.');
+        }
+        if (!info.end && i === brrBlocks.length - 1) {
+            info.problems.push('The last block has no end flag: the voice runs on past the data.');
+        }
+        return info;
+    });
+}
@@ -0,0 +1,203 @@
+// Picks the mid and side sample rates with the best estimated quality that fit a byte budget.
+// Sizes are exact: they follow the downsampler's output length and the loop alignment.
+// Quality is estimated from a few short excerpts of each channel: the energy the lower
+// sample rate cuts off, plus the BRR noise of a quick greedy encode of the excerpts.
+
+const BUDGET_EXCERPT_COUNT = 4;
+const BUDGET_EXCERPT_SECONDS = 0.75;
+
+// Longer loop grids would stretch the loop audibly, so the channels are aligned on their own
+const LOOP_GRID_MAX_SECONDS = 0.02;
+
+/**
+ * The time step on which the BRR blocks of every channel line up. Loops that start and last
+ * a whole number of steps start at the same moment in every channel and stay in step.
+ * @param {number[]} rates The channels' sample rates in Hz, multiples of 1/16 Hz.
+ * @returns {number|null} The step in seconds, or null if it is longer than LOOP_GRID_MAX_SECONDS.
+ */
+function loopGridSeconds(rates) {
+    // In 16ths of a Hz, so exact S-DSP rates are whole numbers too
+    const common = rates.map(rate => Math.round(rate * 16)).reduce(greatestCommonDivisor);
+    const seconds = 256 / common;
+    return (seconds <= LOOP_GRID_MAX_SECONDS) ? seconds : null;
+}
+
+/**
+ * Converts loop points in source samples to a channel's sample rate, and works out how
+ * alignLoop has to pad them. The lead-in and the loop length are whole steps of the grid
+ * all channels share (see loopGridSeconds), so they take the same time in every channel.
+ * If the rates share no fine enough grid, each channel is aligned to its own blocks.
+ * @param {{loopStart: number, loopEnd: number}} loop The loop points in source samples.
+ * @param {number} sourceLength The source length in samples.
+ * @param {number[]} [rates] The sample rates of all the song's channels (default: targetSr alone).
+ * @returns {{loopStart: number, loopEnd: number, padStart: number, loopLength: number}} The loop
+ *     points in target samples, the silence to put in front and the loop length after padding.
+ */
+function scaleLoopPoints(loop, sourceLength, sourceSr, targetSr, rates = [targetSr]) {
+    const scale = (rate) => {
+        const ratio = rate / sourceSr;
+        const targetLength = Math.floor(sourceLength * ratio);
+        const loopStart = Math.min(Math.round(loop.loopStart * ratio), targetLength - 1);
+        const loopEnd = Math.max(Math.min(Math.round(loop.loopEnd * ratio), targetLength), 1);
+        return { loopStart, loopEnd, gridSamples: 16 };
+    };
+    const grid = loopGridSeconds(rates);
+    const channels = (grid === null) ? [scale(targetSr)]
+        : rates.map(rate => ({ ...scale(rate), gridSamples: Math.round(grid * rate) }));
+    // The channel that needs the most steps sets them for all
+    const startSteps = Math.max(...channels.map(channel => Math.ceil(channel.loopStart / channel.gridSamples)));
+    const lengthSteps = Math.max(...channels.map(channel => Math.ceil((channel.loopEnd - channel.loopStart) / channel.gridSamples)));
+    const { loopStart, loopEnd } = scale(targetSr);
+    const gridSamples = (grid === null) ? 16 : Math.round(grid * targetSr);
+    return { loopStart, loopEnd, padStart: startSteps * gridSamples - loopStart, loopLength: lengthSteps * gridSamples };
+}
+
+/**
+ * Predicts the size of a channel's BRR data, the same way displayEncodingStats counts it.
+ * @param {{loopStart: number, loopEnd: number}|null} loop The loop points in source samples, if any.
+ * @param {number[]} [rates] The sample rates of all the song's channels, which the loop is aligned for.
+ * @returns {number} The size in bytes.
+ */
+function encodedChannelBytes(sourceLength, sourceSr, targetSr, loop, rates = [targetSr]) {
+    let samples = Math.floor(sourceLength * targetSr / sourceSr);
+    if (loop) {
+        // Mirrors alignLoop: the lead-in and the loop padded as scaleLoopPoints says
+        const { loopStart, padStart, loopLength } = scaleLoopPoints(loop, sourceLength, sourceSr, targetSr, rates);
+        samples = padStart + loopStart + loopLength;
+    }
+    return Math.ceil(samples / 16) * 9;
+}
+
+/**
+ * Takes evenly spaced excerpts of a signal (or the whole signal, if it is short).
+ * @returns {Float32Array[]}
+ */
+function pickExcerpts(signal, sampleRate) {
+    const excerptLength = Math.round(BUDGET_EXCERPT_SECONDS * sampleRate);
+    if (signal.length <= excerptLength * BUDGET_EXCERPT_COUNT) return [signal];
+    const spacing = (signal.length - excerptLength) / (BUDGET_EXCERPT_COUNT - 1);
+    return Array.from({ length: BUDGET_EXCERPT_COUNT }, (_, i) => {
+        const start = Math.round(i * spacing);
+        return signal.subarray(start, start + excerptLength);
+    });
+}
+
+/**
+ * Measures how much of a signal's power lies above a cutoff frequency.
+ * @returns {number} The summed power above the cutoff, on the same scale as the sum of squared samples.
+ */
+function powerAboveFrequency(signal, sampleRate, cutoff) {
+    const size = SPECTRAL_FRAME_SIZE;
+    const re = new Float64Array(size);
+    const im = new Float64Array(size);
+    const firstBin = Math.ceil(cutoff * size / sampleRate);
+    let above = 0;
+    let total = 0;
+    // Unwindowed, non-overlapping frames keep Parseval's theorem exact per frame
+    for (let start = 0; start + size <= signal.length; start += size) {
+        for (let i = 0; i < size; i++) re[i] = signal[start + i];
+        im.fill(0);
+        fft(re, im);
+        for (let k = 0; k < size; k++) {
+            const power = re[k] * re[k] + im[k] * im[k];
+            total += power;
+            // Bins past the middle mirror the ones below it
+            if (Math.min(k, size - k) >= firstBin) above += power;
+        }
+    }
+    return (total > 0) ? above / size : 0;
+}
+
+/**
+ * Estimates the SNR a channel would get at a sample rate, against the source signal.
+ * @param {Float32Array[]} excerpts Excerpts of the channel at the source rate.
+ * @returns {number} The estimated SNR in dB.
+ */
+function estimateChannelSnr(excerpts, sourceSr, targetSr) {
+    let signalPower = 0;
+    let noisePower = 0;
+    for (const excerpt of excerpts) {
+        for (let i = 0; i < excerpt.length; i++) signalPower += excerpt[i] * excerpt[i];
+        if (targetSr < sourceSr) noisePower += powerAboveFrequency(excerpt, sourceSr, targetSr / 2);
+
+        const downsampled = resampleSignal(excerpt, sourceSr, targetSr);
+        const decoded = decodeBRR(encodeBRR(downsampled).blocks);
+        let brrNoise = 0;
+        for (let i = 0; i < downsampled.length; i++) {
+            const error = downsampled[i] - decoded[i];
+            brrNoise += error * error;
+        }
+        // Per-sample noise power carries over to the source rate
+        noisePower += brrNoise * (excerpt.length / Math.max(1, downsampled.length));
+    }
+    if (signalPower === 0) return Infinity;
+    if (noisePower === 0) return Infinity;
+    return 10 * Math.log10(signalPower / noisePower);
+}
+
+/**
+ * Searches all pairs of candidate rates for the best weighted estimated SNR within the budget.
+ * Ties go to the smaller pair. Without a side signal, picks the best mid rate on its own.
+ * With equalRates, both channels share one rate (for left/right encodes).
+ * @param {object} job
+ * @param {Float32Array} job.mid The normalized mid signal at the source rate.
+ * @param {Float32Array|null} job.side The normalized side signal at the source rate, or null for mono.
+ * @param {number} job.sourceSampleRate The source sample rate.
+ * @param {number[]} job.rates The candidate sample rates.
+ * @param {number} job.budgetBytes The space available for both channels.
+ * @param {number} job.midWeight How much the mid channel's quality counts, from 0 to 1.
+ * @param {boolean} [job.equalRates] Only consider pairs of the same rate.
+ * @param {{loopStart: number, loopEnd: number}|null} job.loop The loop points in source samples, if any.
+ * @param {function(number): void} [job.onProgress] Called with the completed fraction.
+ * @returns {{midSampleRate: number, sideSampleRate: number|null, bytes: number, leftoverBytes: number,
+ * estimatedSnr: {mid: number, side: number|null}}}
+ */
+function solveRateBudget({ mid, side, sourceSampleRate, rates, budgetBytes, midWeight, equalRates, loop, onProgress }) {
+    // The loop alignment depends on both rates, so the sizes are counted for each pair
+    const pairBytes = (midRate, sideRate) => {
+        const pair = (sideRate === null) ? [midRate] : [midRate, sideRate];
+        return pair.reduce((total, rate) => total + encodedChannelBytes(mid.length, sourceSampleRate, rate, loop, pair), 0);
+    };
+    const lowest = Math.min(...rates);
+    const smallest = pairBytes(lowest, side ? lowest : null);
+    if (smallest > budgetBytes) {
+        throw new Error(`Even the lowest sample rates need ${(smallest / 1024).toFixed(1)} KB, ` +
+            `more than the ${(budgetBytes / 1024).toFixed(1)} KB budget.`);
+    }
+
+    const midExcerpts = pickExcerpts(mid, sourceSampleRate);
+    const sideExcerpts = side ? pickExcerpts(side, sourceSampleRate) : null;
+    const midSnr = [];
+    const sideSnr = [];
+    rates.forEach((rate, i) => {
+        midSnr.push(estimateChannelSnr(midExcerpts, sourceSampleRate, rate));
+        if (side) sideSnr.push(estimateChannelSnr(sideExcerpts, sourceSampleRate, rate));
+        if (onProgress) onProgress((i + 1) / rates.length);
+    });
+
+    // A perfect estimate still has to be comparable with the others
+    const capped = (snr) => Math.min(snr, 100);
+    // A mono job has a single side "choice" that costs nothing
+    const sideChoices = side ? rates.map((_, s) => s) : [null];
+    let best = null;
+    rates.forEach((midRate, m) => {
+        sideChoices.forEach((s) => {
+            if (equalRates && s !== null && s !== m) return;
+            const bytes = pairBytes(midRate, (s === null) ? null : rates[s]);
+            if (bytes > budgetBytes) return;
+            const score = (s === null) ? capped(midSnr[m])
+                : midWeight * capped(midSnr[m]) + (1 - midWeight) * capped(sideSnr[s]);
+            if (!best || score > best.score || (score === best.score && bytes < best.bytes)) {
+                best = { score, bytes, m, s };
+            }
+        });
+    });
+
+    return {
+        midSampleRate: rates[best.m],
+        sideSampleRate: (best.s === null) ? null : rates[best.s],
+        bytes: best.bytes,
+        leftoverBytes: budgetBytes - best.bytes,
+        estimatedSnr: { mid: midSnr[best.m], side: (best.s === null) ? null : sideSnr[best.s] }
+    };
+}
@@ -0,0 +1,411 @@
+#!/usr/bin/env node
+// Command-line front end for batch conversions, e.g. a whole setlist on a build machine:
+//
+//   node cli/sp3conv.js song.wav other.wav --mid 32000 --side 4000 --gauss --out dir/
+//
+// It runs the web app's own scripts (loaded as browser-style globals) through the same
+// chain as the encoder worker, and writes the files the web app offers for download.
+// Run with --help for all options.
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+const { parseArgs } = require('util');
+
+const APP_ROOT = path.join(__dirname, '..');
+// Same as the web app's previews and WAV downloads
+const LOOP_PREVIEW_PASSES = 2;
+// The rates the web app offers, which the budget solver picks from
+const SAMPLE_RATES = Array.from({ length: 24 }, (_, i) => (i + 1) * 2000);
+
+const USAGE = `Usage: node cli/sp3conv.js <file.wav>... [options]
+
+Options:
+  --mid <Hz>             Mid channel sample rate (default 32000)
+  --side <Hz>            Side channel sample rate (default 4000)
+  --pitch-rates          Snap --mid and --side to the exact rates the S-DSP plays (32000 * pitch
+                         / 4096); they can then also be pitch values, e.g. --mid '$0B06'
+  --stereo <mode>        ms (Mid/Side, default), width (Mid/Side with a narrowed side),
+                         lr (left/right at the --mid rate) or mono
+  --width <0-100>        The side level in width mode, in percent (default 50)
+  --downmix <matrix>     How files with more than 2 channels become stereo: itu, ituLfe,
+                         front (default itu) or a custom matrix such as "1,0,0.707;0,1,0.707"
+  --loudness=<LUFS|off>  Loudness target, e.g. --loudness=-14, with a true-peak limiter
+                         (default -16). "off" only turns songs down that would clip
+  --budget <KB>          Pick the rates automatically to fit this many KB (ignores --mid/--side)
+  --mid-priority <0-100> How much the Mid quality counts when picking rates (default 75)
+  --quality <mode>       Encoder quality: fast, high or extreme (default fast)
+  --resampler <mode>     Resampler quality: draft, standard or high (default standard)
+  --dither <mode>        Dither for the BRR input and WAV files: off, tpdf or shaped (default off)
+  --emphasis <0-100>     Treble boost against the S-DSP's Gaussian interpolation, in percent
+                         of a full correction (default 0, off)
+  --trim-start <s>       Drop everything before this time, in seconds
+  --trim-end <s>         Drop everything after this time, in seconds
+  --auto-trim=<dB>       Also trim the silence below this level off both ends, e.g. --auto-trim=-60
+  --fade-in <s>          Fade-in length in seconds (default 0)
+  --fade-out <s>         Fade-out length in seconds (default 0)
+  --fade-curve <curve>   sine (equal power, default), linear, smooth (S-curve) or exponential (linear in dB)
+  --loop-start <sample>  Loop start, in samples of the source file
+  --loop-end <sample>    Loop end, in samples of the source file (default: end of file)
+  --gauss                Render the full mix through the S-DSP emulation (32 kHz)
+  --includes             Also write ca65, asar, WLA-DX and C include files for the .brr files
+  --out <dir>            Output directory (default: current directory)
+  --verbose              Show the encoder's log output
+  --help                 Show this help`;
+
+function loadScript(file) {
+    vm.runInThisContext(fs.readFileSync(path.join(APP_ROOT, file), 'utf8'), { filename: file });
+}
+
+// --- Progress Output ---
+let lastStage = null;
+
+// encoder-worker.js reports progress with postMessage; here it goes to the terminal
+function reportProgress(message) {
+    if (message.type !== 'progress') return;
+    if (process.stderr.isTTY) {
+        process.stderr.write(`\r${message.stage}... ${message.percent}%\x1b[K`);
+    } else if (message.stage !== lastStage) {
+        process.stderr.write(`${message.stage}...\n`);
+    }
+    lastStage = message.stage;
+}
+
+function endProgress() {
+    if (process.stderr.isTTY && lastStage !== null) process.stderr.write('\r\x1b[K');
+    lastStage = null;
+}
+
+// --- WAV Input ---
+/**
+ * Reads a PCM (8/16/24/32-bit) or IEEE float (32/64-bit) WAV file, including WAVE_FORMAT_EXTENSIBLE.
+ * @param {Buffer} buffer The file contents.
+ * @returns {{sampleRate: number, channels: Float32Array[]}} The samples, normalized to [-1.0, 1.0].
+ */
+function decodeWavFile(buffer) {
+    const view = new DataView(buffer.buffer, buffer.byteOffset, buffer.byteLength);
+    const tag = (offset) => buffer.toString('latin1', offset, offset + 4);
+    if (buffer.length < 12 || tag(0) !== 'RIFF' || tag(8) !== 'WAVE') throw new Error('Not a RIFF/WAVE file.');
+
+    let format = null;
+    for (let offset = 12; offset + 8 <= buffer.length;) {
+        const id = tag(offset);
+        const size = view.getUint32(offset + 4, true);
+        const body = offset + 8;
+        if (id === 'fmt ') {
+            format = {
+                type: view.getUint16(body, true),
+                channelCount: view.getUint16(body + 2, true),
+                sampleRate: view.getUint32(body + 4, true),
+                bits: view.getUint16(body + 14, true)
+            };
+            // WAVE_FORMAT_EXTENSIBLE keeps the real format at the start of the sub-format GUID
+            if (format.type === 0xFFFE) format.type = view.getUint16(body + 24, true);
+        } else if (id === 'data') {
+            if (!format) throw new Error('The data chunk comes before the fmt chunk.');
+            return { sampleRate: format.sampleRate, channels: readWavSamples(view, body, Math.min(size, buffer.length - body), format) };
+        }
+        offset = body + size + (size & 1);
+    }
+    throw new Error('No data chunk found.');
+}
+
+function readWavSamples(view, start, size, { type, channelCount, bits }) {
+    const bytes = bits / 8;
+    let read;
+    if (type === 1 && bits === 8) read = (o) => (view.getUint8(o) - 128) / 128;
+    else if (type === 1 && bits === 16) read = (o) => view.getInt16(o, true) / 32768;
+    else if (type === 1 && bits === 24) read = (o) => ((view.getUint8(o + 2) << 24 | view.getUint8(o + 1) << 16 | view.getUint8(o) << 8) >> 8) / 8388608;
+    else if (type === 1 && bits === 32) read = (o) => view.getInt32(o, true) / 2147483648;
+    else if (type === 3 && bits === 32) read = (o) => view.getFloat32(o, true);
+    else if (type === 3 && bits === 64) read = (o) => view.getFloat64(o, true);
+    else throw new Error(`Unsupported WAV format (format ${type}, ${bits}-bit).`);
+
+    const frameCount = Math.floor(size / (bytes * channelCount));
+    const channels = Array.from({ length: channelCount }, () => new Float32Array(frameCount));
+    for (let i = 0, o = start; i < frameCount; i++) {
+        for (let c = 0; c < channelCount; c++, o += bytes) channels[c][i] = read(o);
+    }
+    return channels;
+}
+
+// --- Conversion ---
+async function writeBlob(file, blob) {
+    fs.writeFileSync(file, Buffer.from(await blob.arrayBuffer()));
+}
+
+function concatenateBlocks(blocks) {
+    const result = new Uint8Array(blocks.length * 9);
+    blocks.forEach((block, i) => result.set(block, i * 9));
+    return result;
+}
+
+// Mirrors getDecodedPcm in app.js
+function decodeForPreview(blocks, loopBlock) {
+    return (loopBlock === null)
+        ? decodeBRR(blocks)
+        : decodeBRR(blocks, { loopBlock, sampleCount: (blocks.length + LOOP_PREVIEW_PASSES * (blocks.length - loopBlock)) * 16 });
+}
+
+// Mirrors reconstructStereo in app.js
+async function reconstructStereo(decoded, rates, stereoMode, sourceSampleRate, gauss) {
+    const channels = Object.keys(decoded);
+    const { volumes } = STEREO_MODES[stereoMode];
+    if (gauss) {
+        const { left, right } = mixVoices(channels.map((channel, i) => ({
+            samples: renderVoice(decoded[channel], pitchForRate(rates[channel])),
+            volumeLeft: volumes[i][0],
+            volumeRight: volumes[i][1]
+        })));
+        return { left, right, sampleRate: DSP_SAMPLE_RATE };
+    }
+    const streams = [];
+    for (const channel of channels) streams.push(await upsampleSignal(decoded[channel], rates[channel], sourceSampleRate));
+    const { left, right } = mixStreams(streams, stereoMode);
+    return { left, right, sampleRate: sourceSampleRate };
+}
+
+async function convertFile(file, options) {
+    const { sampleRate, channels } = decodeWavFile(fs.readFileSync(file));
+    const sourceLength = channels[0].length;
+    const trimmed = trimAudio({ numberOfChannels: channels.length, length: sourceLength, sampleRate, getChannelData: (c) => channels[c] }, {
+        start: options.trimStart,
+        end: options.trimEnd,
+        silenceThreshold: options.autoTrim,
+        fadeIn: options.fadeIn,
+        fadeOut: options.fadeOut,
+        fadeCurve: options.fadeCurve
+    });
+    const length = trimmed.audio.length;
+    const matrix = (channels.length <= 2) ? null
+        : (DOWNMIX_PRESETS[options.downmix] ? downmixMatrix(options.downmix, channels.length) : parseDownmixMatrix(options.downmix, channels.length));
+    const stereoMode = effectiveStereoMode(channels.length, options.stereo);
+    const midSide = convertToMidSide(trimmed.audio, { mode: stereoMode, width: options.width / 100, matrix });
+
+    // Loop points are given in samples of the file, before trimming
+    const loop = (options.loopStart !== undefined) ? loopInRegion(options.loopStart, options.loopEnd ?? null, trimmed) : null;
+
+    const { names, labels, equalRates } = STEREO_MODES[stereoMode];
+    const rates = { mid: options.mid, side: equalRates ? options.mid : options.side };
+    if (options.budget !== undefined) {
+        const solution = await solveBudgetJob({
+            mid: midSide.mid.slice(),
+            side: midSide.side && midSide.side.slice(),
+            sourceSampleRate: sampleRate,
+            settings: { rates: SAMPLE_RATES, budgetBytes: Math.floor(options.budget * 1024), midWeight: options.midPriority / 100,
+                equalRates: Boolean(equalRates), stereoMode, loudnessTarget: options.loudness, loop }
+        });
+        rates.mid = solution.midSampleRate;
+        if (solution.sideSampleRate !== null) rates.side = solution.sideSampleRate;
+    }
+
+    const channelRates = midSide.side ? [rates.mid, rates.side] : [rates.mid];
+    const loopOptions = (rate) => loop ? scaleLoopPoints(loop, length, sampleRate, rate, channelRates) : {};
+    const result = await processJob({
+        mid: midSide.mid,
+        side: midSide.side,
+        sourceSampleRate: sampleRate,
+        settings: {
+            stereoMode,
+            midSampleRate: rates.mid,
+            sideSampleRate: rates.side,
+            quality: options.quality,
+            resamplerQuality: options.resampler,
+            dither: options.dither,
+            emphasis: options.emphasis / 100,
+            loudnessTarget: options.loudness,
+            midLoop: loopOptions(rates.mid),
+            sideLoop: loopOptions(rates.side)
+        }
+    });
+    endProgress();
+
+    const songName = path.basename(file).split('.')[0];
+    const baseName = path.join(options.out, songName);
+    const written = [];
+    const decoded = {};
+    const samples = [];
+    const encodedChannels = result.encodedBrr.side ? ['mid', 'side'] : ['mid'];
+    for (const [i, channel] of encodedChannels.entries()) {
+        const blocks = result.encodedBrr[channel];
+        const channelName = `${baseName}_${names[i]}`;
+        const data = concatenateBlocks(blocks);
+        fs.writeFileSync(`${channelName}.brr`, data);
+        samples.push({ name: names[i], label: labels[i], file: `${songName}_${names[i]}.brr`, data,
+            loopBlock: result.loopBlocks[channel], sampleRate: rates[channel] });
+        decoded[channel] = decodeForPreview(blocks, result.loopBlocks[channel]);
+        await writeBlob(`${channelName}_decoded.wav`, encodeWAV(decoded[channel], rates[channel], { dither: options.dither }));
+        written.push(`${channelName}.brr`, `${channelName}_decoded.wav`);
+    }
+    const mix = await reconstructStereo(decoded, rates, stereoMode, sampleRate, options.gauss);
+    await writeBlob(`${baseName}_full_mix.wav`, encodeStereoWAV(mix.left, mix.right, mix.sampleRate, { dither: options.dither }));
+    written.push(`${baseName}_full_mix.wav`);
+    if (options.includes) {
+        for (const include of buildIncludeFiles(songName, samples)) {
+            fs.writeFileSync(path.join(options.out, include.name), include.data);
+            written.push(path.join(options.out, include.name));
+        }
+    }
+
+    const totalBytes = encodedChannels.reduce((total, channel) => total + result.encodedBrr[channel].length * 9, 0);
+    // e.g. "Mid 32000 Hz, Side 4000 Hz"
+    const describe = (format) => encodedChannels.map((channel, i) => `${labels[i]} ${format(channel)}`).join(', ');
+    return { describe, rates, totalBytes, duration: length / sampleRate, sourceDuration: sourceLength / sampleRate, metrics: result.qualityMetrics,
+        loudness: result.loudness, written };
+}
+
+// --- Command Line ---
+function parseOptions(argv) {
+    const { values, positionals } = parseArgs({
+        args: argv,
+        allowPositionals: true,
+        options: {
+            mid: { type: 'string', default: '32000' },
+            side: { type: 'string', default: '4000' },
+            'pitch-rates': { type: 'boolean', default: false },
+            stereo: { type: 'string', default: 'ms' },
+            width: { type: 'string', default: '50' },
+            downmix: { type: 'string', default: 'itu' },
+            loudness: { type: 'string', default: '-16' },
+            budget: { type: 'string' },
+            'mid-priority': { type: 'string', default: '75' },
+            quality: { type: 'string', default: 'fast' },
+            resampler: { type: 'string', default: 'standard' },
+            dither: { type: 'string', default: 'off' },
+            emphasis: { type: 'string', default: '0' },
+            'trim-start': { type: 'string' },
+            'trim-end': { type: 'string' },
+            'auto-trim': { type: 'string' },
+            'fade-in': { type: 'string', default: '0' },
+            'fade-out': { type: 'string', default: '0' },
+            'fade-curve': { type: 'string', default: 'sine' },
+            'loop-start': { type: 'string' },
+            'loop-end': { type: 'string' },
+            gauss: { type: 'boolean', default: false },
+            includes: { type: 'boolean', default: false },
+            out: { type: 'string', default: '.' },
+            verbose: { type: 'boolean', default: false },
+            help: { type: 'boolean', default: false }
+        }
+    });
+    const integer = (name, min, max) => {
+        const value = values[name];
+        if (value === undefined) return undefined;
+        const number = Number(value);
+        if (!Number.isInteger(number) || number < min || number > max) {
+            throw new Error(`--${name} must be a whole number from ${min} to ${max}.`);
+        }
+        return number;
+    };
+    const rate = (name) => {
+        if (!values['pitch-rates']) return integer(name, 1, 48000);
+        try {
+            return parsePitchRate(values[name]);
+        } catch (error) {
+            throw new Error(`--${name}: ${error.message}`);
+        }
+    };
+    const seconds = (name) => {
+        const value = values[name];
+        if (value === undefined) return undefined;
+        const number = Number(value);
+        if (!(number >= 0)) throw new Error(`--${name} must be a number of seconds, 0 or more.`);
+        return number;
+    };
+    const autoTrim = (values['auto-trim'] !== undefined) ? Number(values['auto-trim']) : null;
+    if (autoTrim !== null && !(autoTrim >= -120 && autoTrim < 0)) {
+        throw new Error('--auto-trim must be a level from -120 to 0 dB.');
+    }
+    if (!FADE_CURVES[values['fade-curve']]) throw new Error('--fade-curve must be sine, linear, smooth or exponential.');
+    const loudness = (values.loudness === 'off') ? null : Number(values.loudness);
+    if (loudness !== null && !(loudness >= -70 && loudness <= 0)) {
+        throw new Error('--loudness must be a level from -70 to 0 LUFS, or off.');
+    }
+    const budget = (values.budget !== undefined) ? Number(values.budget) : undefined;
+    if (budget !== undefined && !(budget > 0)) throw new Error('--budget must be a positive number of KB.');
+    if (!QUALITY_BEAM_WIDTHS[values.quality]) throw new Error('--quality must be fast, high or extreme.');
+    if (!STEREO_MODES[values.stereo]) throw new Error('--stereo must be ms, width, lr or mono.');
+    if (!DITHER_MODES.includes(values.dither)) throw new Error('--dither must be off, tpdf or shaped.');
+    if (!RESAMPLER_QUALITIES[values.resampler]) throw new Error('--resampler must be draft, standard or high.');
+
+    return {
+        files: positionals,
+        mid: rate('mid'),
+        side: rate('side'),
+        pitchRates: values['pitch-rates'],
+        stereo: values.stereo,
+        width: integer('width', 0, 100),
+        emphasis: integer('emphasis', 0, 100),
+        downmix: values.downmix,
+        loudness,
+        budget,
+        midPriority: integer('mid-priority', 0, 100),
+        quality: values.quality,
+        resampler: values.resampler,
+        dither: values.dither,
+        trimStart: seconds('trim-start'),
+        trimEnd: seconds('trim-end'),
+        autoTrim,
+        fadeIn: seconds('fade-in'),
+        fadeOut: seconds('fade-out'),
+        fadeCurve: values['fade-curve'],
+        loopStart: integer('loop-start', 0, Number.MAX_SAFE_INTEGER),
+        loopEnd: integer('loop-end', 1, Number.MAX_SAFE_INTEGER),
+        gauss: values.gauss,
+        includes: values.includes,
+        out: values.out,
+        verbose: values.verbose,
+        help: values.help
+    };
+}
+
+async function main() {
+    let options;
+    try {
+        options = parseOptions(process.argv.slice(2));
+    } catch (error) {
+        console.error(`Error: ${error.message}\n\n${USAGE}`);
+        return 2;
+    }
+    if (options.help || options.files.length === 0) {
+        console.log(USAGE);
+        return options.help ? 0 : 2;
+    }
+
+    const print = console.log.bind(console);
+    if (!options.verbose) console.log = () => {};
+    fs.mkdirSync(options.out, { recursive: true });
+
+    let failures = 0;
+    for (const file of options.files) {
+        print(`${file}:`);
+        try {
+            const summary = await convertFile(file, options);
+            const describeRate = (rate) => options.pitchRates ? formatPitchRate(rate) : `${rate} Hz`;
+            print(`  ${summary.describe(channel => describeRate(summary.rates[channel]))}, ` +
+                `${(summary.totalBytes / 1024).toFixed(2)} KB (${(summary.totalBytes / 1024 / summary.duration).toFixed(2)} KB/s)`);
+            print(`  SNR: ${summary.describe(channel => `${summary.metrics[channel].snr.toFixed(2)} dB`)}`);
+            if (summary.duration < summary.sourceDuration) {
+                print(`  Trimmed to ${summary.duration.toFixed(2)} s of ${summary.sourceDuration.toFixed(2)} s`);
+            }
+            print(`  Loudness: ${formatLoudness(summary.loudness)}`);
+            summary.written.forEach(written => print(`  Wrote ${written}`));
+        } catch (error) {
+            endProgress();
+            console.error(`  Error: ${error.message}`);
+            failures++;
+        }
+    }
+    return failures > 0 ? 1 : 0;
+}
+
+// encoder-worker.js expects a worker's global scope
+globalThis.self = globalThis;
+globalThis.importScripts = (...files) => files.forEach(loadScript);
+globalThis.postMessage = reportProgress;
+// The worker imports dsp.js too, for the pre-emphasis
+loadScript('encoder-worker.js');
+loadScript('include.js');
+
+main().then(code => { process.exitCode = code; });
@@ -0,0 +1,58 @@
+// Float to 16-bit quantization, shared by the BRR encoder and the WAV exporters.
+// Plain rounding leaves an error that follows the signal, which turns quiet fades into
+// harsh distortion. TPDF dither swaps it for a steady hiss; noise shaping then moves
+// most of that hiss up to the top of the band, where it's least audible.
+// The dither comes from a seeded generator, so an encode repeats exactly.
+
+const DITHER_MODES = ['off', 'tpdf', 'shaped'];
+// Error feedback filter of the shaped mode (Wannamaker's 3-tap F-weighted filter). It's
+// tuned for 44.1-48 kHz; at lower rates it still pushes the noise towards the top.
+const NOISE_SHAPING_COEFFICIENTS = [1.623, -0.982, 0.109];
+const DEFAULT_DITHER_SEED = 0x5D17;
+
+/**
+ * A small seeded PRNG (mulberry32).
+ * @param {number} seed Any 32-bit integer.
+ * @returns {function(): number} Returns uniform numbers in [0, 1).
+ */
+function createRandom(seed) {
+    let state = seed >>> 0;
+    return () => {
+        state = (state + 0x6D2B79F5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+/**
+ * Quantizes float samples to 16-bit integers (1.0 becomes 32767).
+ * @param {Float32Array} samples The audio data, nominally in [-1.0, 1.0].
+ * @param {object} [options]
+ * @param {string} [options.dither] "off" (plain rounding), "tpdf" or "shaped". See DITHER_MODES.
+ * @param {number} [options.seed] The dither seed. Give each channel its own, so their noise isn't correlated.
+ * @returns {Int16Array}
+ */
+function quantizeToInt16(samples, options = {}) {
+    const mode = options.dither || 'off';
+    if (!DITHER_MODES.includes(mode)) throw new Error(`Unknown dither mode "${mode}".`);
+    const output = new Int16Array(samples.length);
+    const random = createRandom(options.seed != null ? options.seed : DEFAULT_DITHER_SEED);
+    const [c1, c2, c3] = NOISE_SHAPING_COEFFICIENTS;
+    let e1 = 0, e2 = 0, e3 = 0;
+
+    for (let i = 0; i < samples.length; i++) {
+        let value = samples[i] * 32767;
+        if (mode === 'shaped') value -= c1 * e1 + c2 * e2 + c3 * e3;
+        // Two uniform values add up to triangular noise of +-1 LSB
+        const noise = (mode === 'off') ? 0 : random() - random();
+        const quantized = Math.round(value + noise);
+        // The error before clipping stays within 1.5 LSB, so clipped peaks can't upset the filter
+        e3 = e2;
+        e2 = e1;
+        e1 = quantized - value;
+        output[i] = Math.max(-32768, Math.min(32767, quantized));
+    }
+    return output;
+}
@@ -0,0 +1,153 @@
+// S-DSP voice emulation for previews.
+// Voices are stepped by the 14-bit pitch register and interpolated through the DSP's
+// 512-entry Gaussian table at the DSP's fixed 32 kHz output rate, then mixed with the
+// signed 8-bit voice and main volumes and the same 16-bit clipping as the hardware.
+// Echo and ADSR aren't emulated: the player runs with echo off and a fixed full GAIN.
+
+const DSP_SAMPLE_RATE = 32000;
+
+// Envelope level for GAIN in direct mode at $7F
+const DSP_FULL_ENVELOPE = 0x7F0;
+
+// Gaussian interpolation table from the S-DSP
+const GAUSS_TABLE = new Int16Array([
+       0,    0,    0,    0,    0,    0,    0,    0,    0,    0,    0,    0,    0,    0,    0,    0,
+       1,    1,    1,    1,    1,    1,    1,    1,    1,    1,    1,    2,    2,    2,    2,    2,
+       2,    2,    3,    3,    3,    3,    3,    4,    4,    4,    4,    4,    5,    5,    5,    5,
+       6,    6,    6,    6,    7,    7,    7,    8,    8,    8,    9,    9,    9,   10,   10,   10,
+      11,   11,   11,   12,   12,   13,   13,   14,   14,   15,   15,   15,   16,   16,   17,   17,
+      18,   19,   19,   20,   20,   21,   21,   22,   23,   23,   24,   24,   25,   26,   27,   27,
+      28,   29,   29,   30,   31,   32,   32,   33,   34,   35,   36,   36,   37,   38,   39,   40,
+      41,   42,   43,   44,   45,   46,   47,   48,   49,   50,   51,   52,   53,   54,   55,   56,
+      58,   59,   60,   61,   62,   64,   65,   66,   67,   69,   70,   71,   73,   74,   76,   77,
+      78,   80,   81,   83,   84,   86,   87,   89,   90,   92,   94,   95,   97,   99,  100,  102,
+     104,  106,  107,  109,  111,  113,  115,  117,  118,  120,  122,  124,  126,  128,  130,  132,
+     134,  137,  139,  141,  143,  145,  147,  150,  152,  154,  156,  159,  161,  163,  166,  168,
+     171,  173,  175,  178,  180,  183,  186,  188,  191,  193,  196,  199,  201,  204,  207,  210,
+     212,  215,  218,  221,  224,  227,  230,  233,  236,  239,  242,  245,  248,  251,  254,  257,
+     260,  263,  267,  270,  273,  276,  280,  283,  286,  290,  293,  297,  300,  304,  307,  311,
+     314,  318,  321,  325,  328,  332,  336,  339,  343,  347,  351,  354,  358,  362,  366,  370,
+     374,  378,  381,  385,  389,  393,  397,  401,  405,  410,  414,  418,  422,  426,  430,  434,
+     439,  443,  447,  451,  456,  460,  464,  469,  473,  477,  482,  486,  491,  495,  499,  504,
+     508,  513,  517,  522,  527,  531,  536,  540,  545,  550,  554,  559,  563,  568,  573,  577,
+     582,  587,  592,  596,  601,  606,  611,  615,  620,  625,  630,  635,  640,  644,  649,  654,
+     659,  664,  669,  674,  678,  683,  688,  693,  698,  703,  708,  713,  718,  723,  728,  732,
+     737,  742,  747,  752,  757,  762,  767,  772,  777,  782,  787,  792,  797,  802,  806,  811,
+     816,  821,  826,  831,  836,  841,  846,  851,  855,  860,  865,  870,  875,  880,  884,  889,
+     894,  899,  904,  908,  913,  918,  923,  927,  932,  937,  941,  946,  951,  955,  960,  965,
+     969,  974,  978,  983,  988,  992,  997, 1001, 1005, 1010, 1014, 1019, 1023, 1027, 1032, 1036,
+    1040, 1045, 1049, 1053, 1057, 1061, 1066, 1070, 1074, 1078, 1082, 1086, 1090, 1094, 1098, 1102,
+    1106, 1109, 1113, 1117, 1121, 1125, 1128, 1132, 1136, 1139, 1143, 1146, 1150, 1153, 1157, 1160,
+    1164, 1167, 1170, 1174, 1177, 1180, 1183, 1186, 1190, 1193, 1196, 1199, 1202, 1205, 1207, 1210,
+    1213, 1216, 1219, 1221, 1224, 1227, 1229, 1232, 1234, 1237, 1239, 1241, 1244, 1246, 1248, 1251,
+    1253, 1255, 1257, 1259, 1261, 1263, 1265, 1267, 1269, 1270, 1272, 1274, 1275, 1277, 1279, 1280,
+    1282, 1283, 1284, 1286, 1287, 1288, 1290, 1291, 1292, 1293, 1294, 1295, 1296, 1297, 1297, 1298,
+    1299, 1300, 1300, 1301, 1302, 1302, 1303, 1303, 1303, 1304, 1304, 1304, 1304, 1304, 1305, 1305
+]);
+
+/**
+ * Converts a sample rate to the S-DSP's 14-bit pitch register value.
+ * @param {number} sampleRate The sample rate in Hz.
+ * @returns {number} The pitch value (4096 plays at 32000 Hz).
+ */
+function pitchForRate(sampleRate) {
+    return Math.min(0x3FFF, Math.max(1, Math.round(sampleRate * 4096 / DSP_SAMPLE_RATE)));
+}
+
+/**
+ * The rate the S-DSP really plays at for a pitch register value.
+ * @param {number} pitch The pitch value.
+ * @returns {number} The rate in Hz, a multiple of 1/16 Hz (4096 plays at exactly 32000 Hz).
+ */
+function rateForPitch(pitch) {
+    return pitch * DSP_SAMPLE_RATE / 4096;
+}
+
+/**
+ * Reads a typed sample rate: a pitch value in hex ("$0B06" or "0x0B06"), or a rate in Hz
+ * ("22050" or "22050 Hz"), which is snapped to the nearest pitch value.
+ * @param {string} text
+ * @returns {number} The exact rate the S-DSP plays at, in Hz.
+ */
+function parsePitchRate(text) {
+    const value = String(text).trim();
+    const hex = /^(?:\$|0x)([0-9a-f]{1,4})$/i.exec(value);
+    const hz = /^(\d+(?:\.\d+)?)\s*(?:hz)?$/i.exec(value);
+    const pitch = hex ? parseInt(hex[1], 16) : (hz ? Math.round(Number(hz[1]) * 4096 / DSP_SAMPLE_RATE) : NaN);
+    if (!(pitch >= 1 && pitch <= 0x3FFF)) {
+        throw new Error(`"${text}" is neither a pitch value from $0001 to $3FFF nor a rate from 8 to 127992 Hz.`);
+    }
+    return rateForPitch(pitch);
+}
+
+// e.g. "22046.875 Hz ($0B06)"
+function formatPitchRate(sampleRate) {
+    return `${sampleRate} Hz ($${pitchForRate(sampleRate).toString(16).toUpperCase().padStart(4, '0')})`;
+}
+
+function clampDsp16(value) {
+    return Math.max(-32768, Math.min(32767, value));
+}
+
+/**
+ * Plays a decoded BRR stream through one S-DSP voice.
+ * Each output sample interpolates the four newest source samples with the Gaussian table,
+ * indexed by the top 8 bits of the 12-bit position fraction, then applies the envelope.
+ * @param {Float32Array} pcmData The voice's samples as decodeBRR returns them, already following the loop chain.
+ * @param {number} pitch The 14-bit pitch register value.
+ * @param {number} [length] The number of 32 kHz samples to render. Defaults to the whole stream.
+ * @returns {Int16Array} The voice output before the volume registers.
+ */
+function renderVoice(pcmData, pitch, length) {
+    pitch &= 0x3FFF;
+    if (pitch === 0) throw new Error('A pitch of 0 never advances the voice.');
+    if (length == null) length = Math.ceil(pcmData.length * 0x1000 / pitch);
+
+    // The DSP keeps the decoded samples doubled to 16 bits, as decodeBRR's output already is
+    const source = (index) => (index >= 0 && index < pcmData.length) ? Math.round(pcmData[index] * 32768) : 0;
+    const output = new Int16Array(length);
+    let position = 0;
+
+    for (let i = 0; i < length; i++) {
+        const newest = position >> 12;
+        const offset = (position >> 4) & 0xFF;
+
+        let sample = (GAUSS_TABLE[255 - offset] * source(newest - 3)) >> 11;
+        sample += (GAUSS_TABLE[511 - offset] * source(newest - 2)) >> 11;
+        sample += (GAUSS_TABLE[256 + offset] * source(newest - 1)) >> 11;
+        // The first three taps wrap at 16 bits before the last one is added
+        sample = (sample << 16) >> 16;
+        sample += (GAUSS_TABLE[offset] * source(newest)) >> 11;
+        sample = clampDsp16(sample) & ~1;
+
+        output[i] = ((sample * DSP_FULL_ENVELOPE) >> 11) & ~1;
+        position += pitch;
+    }
+    return output;
+}
+
+/**
+ * Mixes voice outputs into the DSP's stereo main output.
+ * @param {{samples: Int16Array, volumeLeft: number, volumeRight: number}[]} voices The voice
+ * outputs from renderVoice with their signed 8-bit volume register values.
+ * @param {number} [mainVolume] The signed 8-bit main volume, used for both sides.
+ * @returns {{left: Float32Array, right: Float32Array}} The output, normalized to [-1.0, 1.0].
+ */
+function mixVoices(voices, mainVolume = 0x7F) {
+    const length = Math.max(0, ...voices.map(voice => voice.samples.length));
+    const left = new Float32Array(length);
+    const right = new Float32Array(length);
+
+    for (let i = 0; i < length; i++) {
+        let sumLeft = 0;
+        let sumRight = 0;
+        for (const { samples, volumeLeft, volumeRight } of voices) {
+            const sample = (i < samples.length) ? samples[i] : 0;
+            sumLeft = clampDsp16(sumLeft + ((sample * volumeLeft) >> 7));
+            sumRight = clampDsp16(sumRight + ((sample * volumeRight) >> 7));
+        }
+        left[i] = clampDsp16((sumLeft * mainVolume) >> 7) / 32768;
+        right[i] = clampDsp16((sumRight * mainVolume) >> 7) / 32768;
+    }
+    return { left, right };
+}
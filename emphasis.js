@@ -0,0 +1,156 @@
+// Pre-emphasis: a treble boost applied before BRR encoding that undoes the low-pass of the
+// S-DSP's Gaussian interpolation, so songs don't sound dull on hardware.
+// The interpolation's response depends on the fractional positions the DSP steps through,
+// which depend on the pitch, so a filter is designed for each channel's sample rate.
+// Uses GAUSS_TABLE, DSP_SAMPLE_RATE and pitchForRate from dsp.js.
+
+// Linear-phase FIR length is 2 * EMPHASIS_HALF_TAPS + 1
+const EMPHASIS_HALF_TAPS = 16;
+const EMPHASIS_MAX_BOOST_DB = 12;
+// Emphasized channels are scaled down together if they peak above this, like normalizeCoupled
+const EMPHASIS_PEAK_LIMIT = 0.95;
+const EMPHASIS_DESIGN_POINTS = 512;
+
+const gaussPositionCache = new Map();
+
+/**
+ * How often the DSP uses each of the 256 interpolation positions at a pitch.
+ * @returns {Float64Array} The share of output samples at each position.
+ */
+function gaussPositions(pitch) {
+    if (!gaussPositionCache.has(pitch)) {
+        const shares = new Float64Array(256);
+        // The counter's low 12 bits repeat after at most 4096 steps
+        for (let step = 0; step < 4096; step++) {
+            shares[((step * pitch) & 0xFFF) >> 4] += 1 / 4096;
+        }
+        gaussPositionCache.set(pitch, shares);
+    }
+    return gaussPositionCache.get(pitch);
+}
+
+/**
+ * The gain of the S-DSP's Gaussian interpolation for a voice playing at a sample rate,
+ * averaged over the interpolation positions that rate uses.
+ * @param {number} sampleRate The voice's sample rate.
+ * @param {number} frequency The frequency in Hz, up to half the sample rate.
+ * @returns {number} The linear gain (1 at DC).
+ */
+function gaussResponse(sampleRate, frequency) {
+    const omega = 2 * Math.PI * frequency / sampleRate;
+    const shares = gaussPositions(pitchForRate(sampleRate));
+    let re = 0;
+    let im = 0;
+    for (let o = 0; o < 256; o++) {
+        if (shares[o] === 0) continue;
+        const p = o / 256;
+        // The four taps and their distances from the output position, as in renderVoice
+        const taps = [[GAUSS_TABLE[255 - o], -1 - p], [GAUSS_TABLE[511 - o], -p],
+            [GAUSS_TABLE[256 + o], 1 - p], [GAUSS_TABLE[o], 2 - p]];
+        for (const [weight, distance] of taps) {
+            re += shares[o] * weight * Math.cos(omega * distance);
+            im += shares[o] * weight * Math.sin(omega * distance);
+        }
+    }
+    return Math.hypot(re, im) / 2048;
+}
+
+/**
+ * Designs the pre-emphasis filter for a channel: the inverse of the Gaussian response raised
+ * to the strength, capped at EMPHASIS_MAX_BOOST_DB. Frequencies the DSP's 32 kHz output can't
+ * carry are left alone.
+ * @param {number} sampleRate The channel's sample rate.
+ * @param {number} strength From 0 (no change) to 1 (full correction).
+ * @returns {Float64Array} The symmetric FIR taps.
+ */
+function designPreEmphasis(sampleRate, strength) {
+    const maxBoost = Math.pow(10, EMPHASIS_MAX_BOOST_DB / 20);
+    const passband = Math.min(sampleRate, DSP_SAMPLE_RATE) / 2;
+    const desired = Array.from({ length: EMPHASIS_DESIGN_POINTS }, (_, i) => {
+        const frequency = (i + 0.5) / EMPHASIS_DESIGN_POINTS * sampleRate / 2;
+        if (frequency > passband) return 1;
+        return Math.min(maxBoost, Math.pow(gaussResponse(sampleRate, frequency), -strength));
+    });
+
+    // Frequency sampling of the zero-phase response, with a Hann window
+    const taps = new Float64Array(2 * EMPHASIS_HALF_TAPS + 1);
+    for (let k = 0; k <= EMPHASIS_HALF_TAPS; k++) {
+        let sum = 0;
+        desired.forEach((gain, i) => {
+            sum += gain * Math.cos(Math.PI * (i + 0.5) / EMPHASIS_DESIGN_POINTS * k);
+        });
+        const window = 0.5 + 0.5 * Math.cos(Math.PI * k / (EMPHASIS_HALF_TAPS + 1));
+        taps[EMPHASIS_HALF_TAPS + k] = taps[EMPHASIS_HALF_TAPS - k] = sum / EMPHASIS_DESIGN_POINTS * window;
+    }
+    return taps;
+}
+
+/**
+ * The gain of a symmetric FIR filter.
+ * @param {Float64Array} taps The filter from designPreEmphasis.
+ * @param {number} sampleRate The filter's sample rate.
+ * @param {number} frequency The frequency in Hz.
+ * @returns {number}
+ */
+function filterResponse(taps, sampleRate, frequency) {
+    const omega = 2 * Math.PI * frequency / sampleRate;
+    const center = (taps.length - 1) / 2;
+    let gain = taps[center];
+    for (let k = 1; k <= center; k++) gain += 2 * taps[center + k] * Math.cos(omega * k);
+    return gain;
+}
+
+/**
+ * Filters a signal without delay. Inside a loop, the samples after the loop end are taken
+ * from the loop start, so the seam is filtered the way it plays.
+ * @param {Float32Array} signal The channel at its sample rate.
+ * @param {Float64Array} taps The filter from designPreEmphasis.
+ * @param {{loopStart: number, loopEnd: number}} [loop] The loop points in channel samples.
+ * @returns {Float32Array}
+ */
+function applyPreEmphasis(signal, taps, loop) {
+    const half = (taps.length - 1) / 2;
+    const end = loop ? loop.loopEnd : signal.length;
+    const sampleAt = (i) => {
+        if (i < 0) return 0;
+        if (loop && i >= end) i = loop.loopStart + (i - end) % (end - loop.loopStart);
+        return (i < signal.length) ? signal[i] : 0;
+    };
+    const output = new Float32Array(signal.length);
+    for (let i = 0; i < signal.length; i++) {
+        let sum = 0;
+        if (i >= half && i + half < end) {
+            for (let k = 0; k < taps.length; k++) sum += taps[k] * signal[i - half + k];
+        } else {
+            for (let k = 0; k < taps.length; k++) sum += taps[k] * sampleAt(i - half + k);
+        }
+        output[i] = sum;
+    }
+    return output;
+}
+
+/**
+ * Pre-emphasizes the channels of a song. If the boost pushes the peak above
+ * EMPHASIS_PEAK_LIMIT, all channels are scaled down by the same gain, so the stereo
+ * image stays intact.
+ * @param {{signal: Float32Array, sampleRate: number, loop: object|null}[]} channels
+ * @param {number} strength From 0 to 1, see designPreEmphasis.
+ * @returns {{signals: Float32Array[], gain: number}} The filtered signals and the clip protection gain.
+ */
+function preEmphasizeChannels(channels, strength) {
+    const signals = channels.map(channel =>
+        applyPreEmphasis(channel.signal, designPreEmphasis(channel.sampleRate, strength), channel.loop || undefined));
+    let peak = 0;
+    for (const signal of signals) {
+        for (let i = 0; i < signal.length; i++) peak = Math.max(peak, Math.abs(signal[i]));
+    }
+    let gain = 1;
+    if (peak > EMPHASIS_PEAK_LIMIT) {
+        gain = EMPHASIS_PEAK_LIMIT / peak;
+        console.log(`Pre-emphasis peaks at ${peak.toFixed(3)}; scaling the channels by ${gain.toFixed(3)}.`);
+        for (const signal of signals) {
+            for (let i = 0; i < signal.length; i++) signal[i] *= gain;
+        }
+    }
+    return { signals, gain };
+}
@@ -0,0 +1,147 @@
+// Runs the loudness normalization -> downsample -> pre-emphasis -> BRR encode chain off the main thread.
+// The page posts the two streams of the stereo mode (usually Mid/Side) and settings; the
+// worker answers with progress messages and, at the end, only the encoded blocks and their stats.
+// Jobs with task "solveBudget" pick the sample rates for a byte budget instead, and jobs with
+// task "renderMsu" prepare left and right (posted as mid and side) for an MSU-1 track.
+importScripts('dither.js', 'processing.js', 'loudness.js', 'brr.js', 'metrics.js', 'budget.js', 'dsp.js', 'emphasis.js', 'msu.js');
+
+/**
+ * Reports progress for one stage of the chain. Messages are only posted when the
+ * whole percentage changes, so tight loops don't flood the main thread.
+ * @param {string} stage The status text for the stage.
+ * @returns {function(number): void} A callback taking the completed fraction.
+ */
+function stageProgress(stage) {
+    let lastPercent = -1;
+    const report = (fraction) => {
+        const percent = Math.floor(fraction * 100);
+        if (percent !== lastPercent) {
+            lastPercent = percent;
+            postMessage({ type: 'progress', stage, percent });
+        }
+    };
+    report(0);
+    return report;
+}
+
+/**
+ * The signal the encoder actually saw, with the loop aligned the same way, so it lines up
+ * sample for sample with the decoded blocks.
+ */
+function referenceSignal(signal, loopOptions) {
+    return (loopOptions.loopStart != null)
+        ? alignLoop(signal, loopOptions.loopStart, loopOptions.loopEnd, loopOptions.padStart, loopOptions.loopLength).signal
+        : signal;
+}
+
+/**
+ * For the slower quality modes, encodes the channel greedily ("fast") as well and measures
+ * that SNR, to show the gain. In fast mode the greedy SNR is the channel's own.
+ */
+function measureGreedySnr(signal, name, encodeOptions, reference, snr, quality) {
+    if (quality === 'fast') return snr;
+    const onProgress = stageProgress(`Encoding ${name} channel in fast mode for comparison`);
+    return calculateSNR(reference, decodeBRR(encodeBRR(signal, { ...encodeOptions, onProgress }).blocks));
+}
+
+/**
+ * Encodes and measures one downsampled channel. Each channel has its own dither seed.
+ */
+function encodeChannel(signal, name, sampleRate, loopOptions, settings, ditherSeed) {
+    const encodeOptions = { ...loopOptions, dither: settings.dither, ditherSeed };
+    const result = encodeBRR(signal, { ...encodeOptions, quality: settings.quality,
+        onProgress: stageProgress(`Encoding ${name} BRR data`) });
+
+    stageProgress(`Measuring ${name} quality`);
+    const reference = referenceSignal(signal, loopOptions);
+    const metrics = measureQuality(reference, decodeBRR(result.blocks), sampleRate);
+    const greedySnr = measureGreedySnr(signal, name, encodeOptions, reference, metrics.snr, settings.quality);
+    return { result, reference, metrics, snrStats: { snr: metrics.snr, greedySnr } };
+}
+
+// A mono job (side is null) leaves every side entry of the result null.
+async function processJob({ mid, side, sourceSampleRate, settings }) {
+    const mode = settings.stereoMode || 'ms';
+    stageProgress('Measuring loudness and normalizing volume');
+    const normalized = normalizeLoudness(mid, side, { mode, sampleRate: sourceSampleRate, target: settings.loudnessTarget });
+    const loudness = { ...normalized.loudness };
+
+    const names = STEREO_MODES[mode].names;
+    const channelJobs = [
+        { key: 'mid', name: names[0], signal: normalized.mid, sampleRate: settings.midSampleRate, loop: settings.midLoop },
+        { key: 'side', name: names[1], signal: normalized.side, sampleRate: settings.sideSampleRate, loop: settings.sideLoop }
+    ].filter(job => job.signal);
+    for (const job of channelJobs) {
+        job.signal = await downsampleSignal(job.signal, sourceSampleRate, job.sampleRate,
+            stageProgress(`Downsampling ${job.name} signal`), settings.resamplerQuality);
+    }
+
+    // The clip protection gain counts as part of the normalization, and makes the song quieter
+    let gain = normalized.gain;
+    if (settings.emphasis > 0) {
+        stageProgress('Applying pre-emphasis');
+        const emphasized = preEmphasizeChannels(channelJobs.map(job => ({
+            signal: job.signal,
+            sampleRate: job.sampleRate,
+            loop: (job.loop.loopStart != null) ? job.loop : null
+        })), settings.emphasis);
+        emphasized.signals.forEach((signal, i) => { channelJobs[i].signal = signal; });
+        gain *= emphasized.gain;
+        loudness.final += 20 * Math.log10(emphasized.gain);
+    }
+
+    const channels = { mid: null, side: null };
+    channelJobs.forEach((job, i) => {
+        channels[job.key] = encodeChannel(job.signal, job.name, job.sampleRate, job.loop, settings, i + 1);
+    });
+    const pick = (read) => ({
+        mid: read(channels.mid),
+        side: channels.side ? read(channels.side) : null
+    });
+
+    return {
+        encodedBrr: pick(channel => channel.result.blocks),
+        loopBlocks: pick(channel => channel.result.loopBlock),
+        blockErrors: pick(channel => channel.result.blockErrors),
+        referenceSignals: pick(channel => channel.reference),
+        normalizationGain: gain,
+        loudness,
+        qualityMetrics: pick(channel => channel.metrics),
+        snrStats: pick(channel => channel.snrStats)
+    };
+}
+
+// The rates are judged on the audio processJob encodes, normalized and limited the same way
+async function solveBudgetJob({ mid, side, sourceSampleRate, settings }) {
+    stageProgress('Measuring loudness and normalizing volume');
+    const normalized = normalizeLoudness(mid, side, {
+        mode: settings.stereoMode || 'ms', sampleRate: sourceSampleRate, target: settings.loudnessTarget
+    });
+    return solveRateBudget({ ...settings, mid: normalized.mid, side: normalized.side, sourceSampleRate,
+        onProgress: stageProgress('Estimating quality at each sample rate') });
+}
+
+function renderMsuJob({ mid, side, sourceSampleRate, settings }) {
+    return renderMsuTrack(mid, side, sourceSampleRate, { ...settings, stageProgress });
+}
+
+self.onmessage = async (e) => {
+    try {
+        if (e.data.task === 'solveBudget') {
+            postMessage({ type: 'done', result: await solveBudgetJob(e.data) });
+            return;
+        }
+        if (e.data.task === 'renderMsu') {
+            const result = renderMsuJob(e.data);
+            postMessage({ type: 'done', result }, [result.left.buffer, result.right.buffer]);
+            return;
+        }
+        const result = await processJob(e.data);
+        const { blockErrors, referenceSignals } = result;
+        const transfers = [blockErrors.mid, blockErrors.side, referenceSignals.mid, referenceSignals.side]
+            .filter(Boolean).map(array => array.buffer);
+        postMessage({ type: 'done', result }, transfers);
+    } catch (error) {
+        postMessage({ type: 'error', message: error.message });
+    }
+};
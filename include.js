@@ -0,0 +1,93 @@
+// Include files for the BRR downloads, for players written by hand: ca65, asar and WLA-DX
+// sources that incbin each .brr file, and a C header. Each sample comes with its size in
+// bytes and blocks, its loop offset and the S-DSP pitch register value for its rate.
+//
+// Uses pitchForRate from dsp.js.
+
+/**
+ * Turns a file name into an identifier all three assemblers and C accept.
+ * @param {string} name
+ * @returns {string} e.g. "my_song_mid" for "my song-mid".
+ */
+function includeSymbol(name) {
+    const symbol = String(name).replace(/[^A-Za-z0-9_]/g, '_');
+    return /^[0-9]/.test(symbol) ? `_${symbol}` : (symbol || '_');
+}
+
+/**
+ * The values the include files define for one sample.
+ * @param {{name: string, label: string, file: string, data: Uint8Array, loopBlock: number|null, sampleRate: number}} sample
+ * @param {string} baseName The song's name, which prefixes the symbols.
+ */
+function includeEntry(sample, baseName) {
+    const symbol = includeSymbol(`${baseName}_${sample.name}`);
+    const loops = sample.loopBlock !== null;
+    return {
+        symbol,
+        constant: symbol.toUpperCase(),
+        file: sample.file,
+        comment: `${sample.file}: ${sample.label} channel, ${sample.sampleRate} Hz${loops ? `, loops from block ${sample.loopBlock}` : ''}`,
+        values: [
+            ['SIZE', sample.data.length],
+            ['BLOCKS', sample.data.length / 9],
+            // The loop address in the sample directory is the start plus this
+            ['LOOP_OFFSET', loops ? sample.loopBlock * 9 : 0],
+            ['LOOPS', loops ? 1 : 0],
+            ['RATE', Math.round(sample.sampleRate)],
+            ['PITCH', pitchForRate(sample.sampleRate)]
+        ]
+    };
+}
+
+// Pitches read best in hex, with the assembler's or C's prefix
+function formatIncludeValue(key, value, hexPrefix) {
+    return (key === 'PITCH') ? `${hexPrefix}${value.toString(16).toUpperCase().padStart(4, '0')}` : String(value);
+}
+
+/**
+ * Builds the include files for a song's samples. The .brr files are expected next to them.
+ * @param {string} baseName The song's name: the prefix of the symbols and the include file names.
+ * @param {{name: string, label: string, file: string, data: Uint8Array, loopBlock: number|null, sampleRate: number}[]} samples
+ *     One entry per .brr file: the channel name for the symbols, its label, the file name and
+ *     the data written to it, the loop block (null if it doesn't loop) and the sample rate.
+ * @returns {{name: string, data: string}[]} The ca65, asar, WLA-DX and C files.
+ */
+function buildIncludeFiles(baseName, samples) {
+    const entries = samples.map(sample => includeEntry(sample, baseName));
+    const header = (comment) => [`${comment} Generated by SP3-Conv. PITCH is the S-DSP pitch register value (rate * 4096 / 32000).`, ''];
+    const asm = (comment, define, incbin, hexPrefix) => [
+        ...header(comment),
+        ...entries.flatMap(entry => [
+            `${comment} ${entry.comment}`,
+            ...entry.values.map(([key, value]) => define(`${entry.constant}_${key}`, formatIncludeValue(key, value, hexPrefix))),
+            `${entry.symbol}:`,
+            `    ${incbin} "${entry.file}"`,
+            `${entry.symbol}_end:`,
+            ''
+        ])
+    ].join('\n');
+
+    const guard = `${includeSymbol(baseName).toUpperCase()}_BRR_H`;
+    const c = [
+        ...header('//'),
+        `#ifndef ${guard}`,
+        `#define ${guard}`,
+        '',
+        ...entries.flatMap(entry => [
+            `// ${entry.comment}`,
+            ...entry.values.map(([key, value]) => `#define ${entry.constant}_${key} ${formatIncludeValue(key, value, '0x')}`),
+            `extern const unsigned char ${entry.symbol}[${entry.constant}_SIZE];`,
+            ''
+        ]),
+        `#endif // ${guard}`,
+        ''
+    ].join('\n');
+
+    const base = includeSymbol(baseName);
+    return [
+        { name: `${base}_ca65.inc`, data: asm(';', (name, value) => `${name} = ${value}`, '.incbin', '$') },
+        { name: `${base}_asar.asm`, data: asm(';', (name, value) => `!${name} = ${value}`, 'incbin', '$') },
+        { name: `${base}_wla.inc`, data: asm(';', (name, value) => `.DEFINE ${name} ${value}`, '.INCBIN', '$') },
+        { name: `${base}.h`, data: c }
+    ];
+}
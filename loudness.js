@@ -0,0 +1,261 @@
+// Loudness normalization, so the songs of a set play back at matching levels from ROM to ROM.
+// Loudness is measured as in EBU R128 (ITU-R BS.1770: K-weighting and gating) on the left and
+// right signals the S-DSP will output. After the gain to the target, a lookahead true-peak
+// limiter catches the peaks; it works on all streams at once, so the stereo image stays intact.
+// Uses mixStreams and normalizeCoupled from processing.js.
+
+const LOUDNESS_BLOCK_SECONDS = 0.4;
+// Gating blocks overlap by 75%
+const LOUDNESS_STEP_SECONDS = 0.1;
+const LOUDNESS_ABSOLUTE_GATE_LUFS = -70;
+const LOUDNESS_RELATIVE_GATE_LU = -10;
+// How close the limited result has to get to the target, and how often the gain is corrected
+const LOUDNESS_TOLERANCE_LU = 0.2;
+const LOUDNESS_MAX_PASSES = 4;
+// True peaks are estimated with 4x oversampling, as BS.1770 suggests
+const TRUE_PEAK_OVERSAMPLING = 4;
+const TRUE_PEAK_HALF_TAPS = 6;
+const LIMITER_CEILING_DBTP = -1;
+const LIMITER_LOOKAHEAD_SECONDS = 0.005;
+const LIMITER_RELEASE_SECONDS = 0.1;
+
+/**
+ * The two biquads of the BS.1770 K-weighting (a high shelf, then a high pass), with the
+ * coefficients worked out for any sample rate.
+ * @returns {{b: number[], a: number[]}[]}
+ */
+function kWeightingFilters(sampleRate) {
+    let k = Math.tan(Math.PI * 1681.974450955533 / sampleRate);
+    let q = 0.7071752369554196;
+    const vh = Math.pow(10, 3.999843853973347 / 20);
+    const vb = Math.pow(vh, 0.4996667741545416);
+    let a0 = 1 + k / q + k * k;
+    const shelf = {
+        b: [(vh + vb * k / q + k * k) / a0, 2 * (k * k - vh) / a0, (vh - vb * k / q + k * k) / a0],
+        a: [1, 2 * (k * k - 1) / a0, (1 - k / q + k * k) / a0]
+    };
+    k = Math.tan(Math.PI * 38.13547087602444 / sampleRate);
+    q = 0.5003270373238773;
+    a0 = 1 + k / q + k * k;
+    const highPass = {
+        b: [1, -2, 1],
+        a: [1, 2 * (k * k - 1) / a0, (1 - k / q + k * k) / a0]
+    };
+    return [shelf, highPass];
+}
+
+/**
+ * The summed K-weighted energy of the channels in every 100 ms step.
+ */
+function loudnessStepEnergies(channels, sampleRate) {
+    const stepLength = Math.round(LOUDNESS_STEP_SECONDS * sampleRate);
+    const stepCount = Math.ceil(channels[0].length / stepLength);
+    const energies = new Float64Array(stepCount);
+    const [shelf, highPass] = kWeightingFilters(sampleRate);
+    for (const channel of channels) {
+        // Direct form I state of both biquads
+        let x1 = 0, x2 = 0, y1 = 0, y2 = 0, z1 = 0, z2 = 0;
+        for (let i = 0; i < channel.length; i++) {
+            const x = channel[i];
+            const y = shelf.b[0] * x + shelf.b[1] * x1 + shelf.b[2] * x2 - shelf.a[1] * y1 - shelf.a[2] * y2;
+            const z = y - 2 * y1 + y2 - highPass.a[1] * z1 - highPass.a[2] * z2;
+            x2 = x1;
+            x1 = x;
+            y2 = y1;
+            y1 = y;
+            z2 = z1;
+            z1 = z;
+            energies[Math.floor(i / stepLength)] += z * z;
+        }
+    }
+    return { energies, stepLength };
+}
+
+/**
+ * Measures the integrated loudness of a signal, with the absolute and relative gates of
+ * EBU R128. Signals shorter than a gating block are measured as one block.
+ * @param {Float32Array[]} channels The channels, usually left and right, all weighted equally.
+ * @param {number} sampleRate The sample rate of the channels.
+ * @returns {number} The loudness in LUFS, or -Infinity if everything is below the absolute gate.
+ */
+function measureLoudness(channels, sampleRate) {
+    const length = channels[0].length;
+    if (length === 0) return -Infinity;
+    const { energies, stepLength } = loudnessStepEnergies(channels, sampleRate);
+    const stepsPerBlock = Math.round(LOUDNESS_BLOCK_SECONDS / LOUDNESS_STEP_SECONDS);
+    const blockCount = Math.floor(length / stepLength) - stepsPerBlock + 1;
+
+    const blockPowers = [];
+    if (blockCount < 1) {
+        blockPowers.push(energies.reduce((sum, energy) => sum + energy, 0) / length);
+    }
+    for (let block = 0; block < blockCount; block++) {
+        let energy = 0;
+        for (let step = block; step < block + stepsPerBlock; step++) energy += energies[step];
+        blockPowers.push(energy / (stepsPerBlock * stepLength));
+    }
+
+    const toLufs = (power) => -0.691 + 10 * Math.log10(power);
+    const meanPower = (powers) => powers.reduce((sum, power) => sum + power, 0) / powers.length;
+    const audible = blockPowers.filter(power => toLufs(power) > LOUDNESS_ABSOLUTE_GATE_LUFS);
+    if (audible.length === 0) return -Infinity;
+    const relativeGate = toLufs(meanPower(audible)) + LOUDNESS_RELATIVE_GATE_LU;
+    return toLufs(meanPower(audible.filter(power => toLufs(power) > relativeGate)));
+}
+
+/**
+ * The windowed-sinc filters that interpolate between two samples, one per oversampling phase.
+ */
+function truePeakInterpolators() {
+    return Array.from({ length: TRUE_PEAK_OVERSAMPLING - 1 }, (_, p) => {
+        const fraction = (p + 1) / TRUE_PEAK_OVERSAMPLING;
+        // Taps for samples i - HALF_TAPS + 1 ... i + HALF_TAPS
+        return Float64Array.from({ length: 2 * TRUE_PEAK_HALF_TAPS }, (_, k) => {
+            const t = fraction - (k - TRUE_PEAK_HALF_TAPS + 1);
+            const sinc = Math.sin(Math.PI * t) / (Math.PI * t);
+            return sinc * (0.5 + 0.5 * Math.cos(Math.PI * t / TRUE_PEAK_HALF_TAPS));
+        });
+    });
+}
+
+/**
+ * The highest absolute level of a signal around each sample, including the peaks between
+ * samples that a DAC's reconstruction filter brings out.
+ * @param {Float32Array} signal The audio data.
+ * @returns {Float32Array} For each sample, the peak from the previous sample to the next.
+ */
+function truePeakEnvelope(signal) {
+    const interpolators = truePeakInterpolators();
+    const tapCount = 2 * TRUE_PEAK_HALF_TAPS;
+    // Zero padding, so the filters can run over the ends without checks
+    const padded = new Float32Array(signal.length + tapCount);
+    padded.set(signal, TRUE_PEAK_HALF_TAPS - 1);
+    const length = signal.length;
+    // The peak between each sample and the next
+    const spans = new Float32Array(length);
+    for (let i = 0; i < length; i++) {
+        let peak = Math.abs(signal[i]);
+        for (let p = 0; p < interpolators.length; p++) {
+            const taps = interpolators[p];
+            let value = 0;
+            for (let k = 0; k < tapCount; k++) value += taps[k] * padded[i + k];
+            if (value > peak) peak = value;
+            else if (-value > peak) peak = -value;
+        }
+        spans[i] = peak;
+    }
+    const envelope = new Float32Array(length);
+    for (let i = 0; i < length; i++) envelope[i] = (i > 0) ? Math.max(spans[i - 1], spans[i]) : spans[i];
+    return envelope;
+}
+
+/**
+ * A lookahead true-peak limiter. The gain is worked out from the left and right signals the
+ * streams mix to and applied to every stream alike. It ramps down over the lookahead before
+ * each peak, so it never overshoots the ceiling, and recovers with an exponential release.
+ * @param {Float32Array[]} streams The streams in STEREO_MODES order; they are limited in place.
+ * @param {string} mode A STEREO_MODES key.
+ * @param {number} sampleRate The sample rate of the streams.
+ * @returns {number} The largest gain reduction, in dB.
+ */
+function limitTruePeak(streams, mode, sampleRate) {
+    const ceiling = Math.pow(10, LIMITER_CEILING_DBTP / 20);
+    const { left, right } = mixStreams(streams, mode);
+    const leftPeaks = truePeakEnvelope(left);
+    const rightPeaks = truePeakEnvelope(right);
+    const length = left.length;
+    const lookahead = Math.max(1, Math.round(LIMITER_LOOKAHEAD_SECONDS * sampleRate));
+    const release = Math.exp(-1 / (LIMITER_RELEASE_SECONDS * sampleRate));
+
+    // The gain each sample needs, held over the lookahead before it (a sliding minimum
+    // over the next `lookahead` samples), with the release applied
+    const held = new Float32Array(length);
+    const window = new Int32Array(length);
+    let windowStart = 0, windowEnd = 0;
+    const neededGain = (i) => {
+        const peak = Math.max(leftPeaks[i], rightPeaks[i]);
+        return (peak > ceiling) ? ceiling / peak : 1;
+    };
+    const needed = Float32Array.from({ length }, (_, i) => neededGain(i));
+    let level = 1;
+    for (let i = 0, next = 0; i < length; i++) {
+        for (; next < Math.min(length, i + lookahead); next++) {
+            while (windowEnd > windowStart && needed[window[windowEnd - 1]] >= needed[next]) windowEnd--;
+            window[windowEnd++] = next;
+        }
+        if (window[windowStart] < i) windowStart++;
+        level = Math.min(needed[window[windowStart]], 1 - (1 - level) * release);
+        held[i] = level;
+    }
+
+    // Averaging over the lookahead turns the steps into ramps. Every value in the average
+    // already covers sample i, so the result stays at or below the gain it needs.
+    let sum = held[0] * lookahead;
+    let minimumGain = 1;
+    for (let i = 0; i < length; i++) {
+        sum += held[i] - held[Math.max(0, i - lookahead)];
+        const gain = Math.min(1, sum / lookahead);
+        minimumGain = Math.min(minimumGain, gain);
+        if (gain < 1) {
+            for (const stream of streams) stream[i] *= gain;
+        }
+    }
+    return -20 * Math.log10(minimumGain);
+}
+
+/**
+ * Brings the streams of a song to a target loudness, with the true-peak limiter catching the
+ * peaks the gain pushes over the ceiling. Without a target, the streams are only scaled down
+ * if they peak above 0.95 (see normalizeCoupled).
+ * @param {Float32Array} midSignal The first stream (Mid, Left or Mono).
+ * @param {Float32Array|null} sideSignal The second stream, or null for mono.
+ * @param {object} options
+ * @param {string} options.mode A STEREO_MODES key.
+ * @param {number} options.sampleRate The sample rate of the streams.
+ * @param {number|null} [options.target] The target loudness in LUFS, or null to keep the level.
+ * @returns {{mid: Float32Array, side: Float32Array|null, gain: number,
+ *     loudness: {measured: number, final: number, limiterReduction: number}}}
+ *     The processed streams, the gain before the limiter and the loudness figures (LUFS, dB).
+ */
+function normalizeLoudness(midSignal, sideSignal, options) {
+    const streams = [midSignal, sideSignal].filter(Boolean);
+    const measureStreams = () => {
+        const { left, right } = mixStreams(streams, options.mode);
+        return measureLoudness([left, right], options.sampleRate);
+    };
+    const measured = measureStreams();
+
+    if (options.target == null || !Number.isFinite(measured)) {
+        const normalized = normalizeCoupled(midSignal, sideSignal);
+        const final = measured + 20 * Math.log10(normalized.gain);
+        return { ...normalized, loudness: { measured, final, limiterReduction: 0 } };
+    }
+
+    // The limiter takes some loudness away, so the gain is raised by the shortfall and the
+    // limiter run again on the original streams
+    const originals = streams.map(stream => stream.slice());
+    let gain = Math.pow(10, (options.target - measured) / 20);
+    let final, limiterReduction;
+    for (let pass = 0; pass < LOUDNESS_MAX_PASSES; pass++) {
+        streams.forEach((stream, s) => {
+            for (let i = 0; i < stream.length; i++) stream[i] = originals[s][i] * gain;
+        });
+        limiterReduction = limitTruePeak(streams, options.mode, options.sampleRate);
+        final = measureStreams();
+        if (final > options.target - LOUDNESS_TOLERANCE_LU) break;
+        gain *= Math.pow(10, (options.target - final) / 20);
+    }
+    console.log(`Loudness was ${measured.toFixed(1)} LUFS; applied ${(20 * Math.log10(gain)).toFixed(1)} dB, now ${final.toFixed(1)} LUFS.`);
+    return { mid: midSignal, side: sideSignal, gain, loudness: { measured, final, limiterReduction } };
+}
+
+/**
+ * Describes the loudness figures from normalizeLoudness for display,
+ * e.g. "-21.3 LUFS measured, -16.0 LUFS final (limiter up to 2.5 dB)".
+ */
+function formatLoudness({ measured, final, limiterReduction }) {
+    const lufs = (value) => Number.isFinite(value) ? `${value.toFixed(1)} LUFS` : 'silent';
+    let text = `${lufs(measured)} measured, ${lufs(final)} final`;
+    if (limiterReduction > 0.05) text += ` (limiter up to ${limiterReduction.toFixed(1)} dB)`;
+    return text;
+}
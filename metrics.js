@@ -0,0 +1,198 @@
+// Objective quality metrics for comparing a decoded signal with its reference.
+// Loaded by the page and by the encoder worker; calculateSNR lives in processing.js.
+
+// Segments and frames whose reference is quieter than this are skipped as silence
+const METRICS_SILENCE_DB = -60;
+// Per-segment SNR limits, so silent or perfect segments don't dominate the average
+const SEGMENT_SNR_MIN_DB = -10;
+const SEGMENT_SNR_MAX_DB = 35;
+const SPECTRAL_FRAME_SIZE = 1024;
+// Bins further than this below a frame's strongest bin are compared at this level
+const SPECTRAL_RANGE_DB = 60;
+
+/**
+ * Calculates the segmental SNR: the average of the SNRs of short segments, which follows
+ * perceived quality better than the overall SNR when the level varies a lot.
+ * @param {Float32Array} reference The original audio data.
+ * @param {Float32Array} processed The processed audio data.
+ * @param {number} sampleRate The sample rate of both signals, which sets the 20 ms segment length.
+ * @returns {number} The segmental SNR in dB (NaN when the reference is silent throughout).
+ */
+function calculateSegmentalSNR(reference, processed, sampleRate) {
+    const length = Math.min(reference.length, processed.length);
+    const segmentLength = Math.max(16, Math.round(sampleRate * 0.02));
+    const silence = Math.pow(10, METRICS_SILENCE_DB / 10);
+    let total = 0;
+    let segments = 0;
+    for (let start = 0; start + segmentLength <= length; start += segmentLength) {
+        let signalPower = 0;
+        let noisePower = 0;
+        for (let i = start; i < start + segmentLength; i++) {
+            const error = reference[i] - processed[i];
+            signalPower += reference[i] * reference[i];
+            noisePower += error * error;
+        }
+        if (signalPower / segmentLength < silence) continue;
+        const snr = (noisePower === 0) ? SEGMENT_SNR_MAX_DB : 10 * Math.log10(signalPower / noisePower);
+        total += Math.min(SEGMENT_SNR_MAX_DB, Math.max(SEGMENT_SNR_MIN_DB, snr));
+        segments++;
+    }
+    return (segments > 0) ? total / segments : NaN;
+}
+
+/**
+ * Finds the largest difference between two signals.
+ * @returns {number} The peak error in dBFS (-Infinity when the signals are identical).
+ */
+function calculatePeakError(reference, processed) {
+    const length = Math.min(reference.length, processed.length);
+    let peak = 0;
+    for (let i = 0; i < length; i++) {
+        const error = Math.abs(reference[i] - processed[i]);
+        if (error > peak) peak = error;
+    }
+    return 20 * Math.log10(peak);
+}
+
+const fftTwiddleCache = new Map();
+
+function fftTwiddles(n) {
+    if (!fftTwiddleCache.has(n)) {
+        const cos = new Float64Array(n / 2);
+        const sin = new Float64Array(n / 2);
+        for (let k = 0; k < n / 2; k++) {
+            cos[k] = Math.cos(-2 * Math.PI * k / n);
+            sin[k] = Math.sin(-2 * Math.PI * k / n);
+        }
+        fftTwiddleCache.set(n, { cos, sin });
+    }
+    return fftTwiddleCache.get(n);
+}
+
+/**
+ * In-place radix-2 FFT.
+ * @param {Float64Array} re The real parts, with a power-of-two length.
+ * @param {Float64Array} im The imaginary parts.
+ */
+function fft(re, im) {
+    const n = re.length;
+    for (let i = 1, j = 0; i < n; i++) {
+        let bit = n >> 1;
+        for (; j & bit; bit >>= 1) j ^= bit;
+        j ^= bit;
+        if (i < j) {
+            [re[i], re[j]] = [re[j], re[i]];
+            [im[i], im[j]] = [im[j], im[i]];
+        }
+    }
+    const { cos: cosTable, sin: sinTable } = fftTwiddles(n);
+    for (let size = 2; size <= n; size <<= 1) {
+        const stride = n / size;
+        for (let start = 0; start < n; start += size) {
+            for (let k = 0; k < size / 2; k++) {
+                const cos = cosTable[k * stride];
+                const sin = sinTable[k * stride];
+                const a = start + k;
+                const b = a + size / 2;
+                const tre = re[b] * cos - im[b] * sin;
+                const tim = re[b] * sin + im[b] * cos;
+                re[b] = re[a] - tre;
+                im[b] = im[a] - tim;
+                re[a] += tre;
+                im[a] += tim;
+            }
+        }
+    }
+}
+
+/**
+ * Calculates the log-spectral distance: the RMS difference between the two signals' power
+ * spectra in dB, averaged over Hann-windowed frames with 50% overlap. Each frame is compared
+ * over the top SPECTRAL_RANGE_DB of its reference spectrum.
+ * @returns {number} The distance in dB (NaN when the reference is silent throughout).
+ */
+function calculateLogSpectralDistance(reference, processed) {
+    const length = Math.min(reference.length, processed.length);
+    const size = SPECTRAL_FRAME_SIZE;
+    const window = new Float64Array(size).map((_, i) => 0.5 - 0.5 * Math.cos(2 * Math.PI * i / size));
+    const silence = Math.pow(10, METRICS_SILENCE_DB / 10);
+    const range = Math.pow(10, -SPECTRAL_RANGE_DB / 10);
+    const bins = size / 2 + 1;
+    const refPower = new Float64Array(bins), procPower = new Float64Array(bins);
+    const refRe = new Float64Array(size), refIm = new Float64Array(size);
+    const procRe = new Float64Array(size), procIm = new Float64Array(size);
+    let total = 0;
+    let frames = 0;
+
+    for (let start = 0; start + size <= length; start += size / 2) {
+        let energy = 0;
+        for (let i = 0; i < size; i++) {
+            refRe[i] = reference[start + i] * window[i];
+            procRe[i] = processed[start + i] * window[i];
+            energy += reference[start + i] * reference[start + i];
+        }
+        if (energy / size < silence) continue;
+        refIm.fill(0);
+        procIm.fill(0);
+        fft(refRe, refIm);
+        fft(procRe, procIm);
+
+        let peak = 0;
+        for (let k = 0; k < bins; k++) {
+            refPower[k] = refRe[k] * refRe[k] + refIm[k] * refIm[k];
+            procPower[k] = procRe[k] * procRe[k] + procIm[k] * procIm[k];
+            if (refPower[k] > peak) peak = refPower[k];
+        }
+        // Keeps near-empty bins from dominating the distance
+        const floor = peak * range;
+        let sum = 0;
+        for (let k = 0; k < bins; k++) {
+            const difference = 10 * Math.log10(Math.max(refPower[k], floor) / Math.max(procPower[k], floor));
+            sum += difference * difference;
+        }
+        total += Math.sqrt(sum / bins);
+        frames++;
+    }
+    return (frames > 0) ? total / frames : NaN;
+}
+
+/**
+ * Finds the delay of a processed signal against its reference: the lag with the highest
+ * correlation over the first few seconds.
+ * @param {number} maxLag The largest lag to try, in samples.
+ * @returns {number} The lag, in samples.
+ */
+function findAlignmentLag(reference, processed, maxLag, sampleRate) {
+    const length = Math.min(reference.length, processed.length - maxLag, sampleRate * 5);
+    let bestLag = 0;
+    let bestCorrelation = -Infinity;
+    for (let lag = 0; lag <= maxLag; lag++) {
+        let correlation = 0;
+        for (let i = 0; i < length; i++) {
+            correlation += reference[i] * processed[i + lag];
+        }
+        if (correlation > bestCorrelation) {
+            bestCorrelation = correlation;
+            bestLag = lag;
+        }
+    }
+    return bestLag;
+}
+
+/**
+ * Runs all metrics on a decoded signal. The processed signal is only compared over the
+ * reference's length, so extra loop passes are ignored.
+ * @param {Float32Array} reference The original audio data.
+ * @param {Float32Array} processed The processed audio data.
+ * @param {number} sampleRate The sample rate of both signals.
+ * @returns {{snr: number, segmentalSnr: number, peakError: number, spectralDistance: number}}
+ * All in dB; the peak error in dBFS.
+ */
+function measureQuality(reference, processed, sampleRate) {
+    return {
+        snr: calculateSNR(reference, processed),
+        segmentalSnr: calculateSegmentalSNR(reference, processed, sampleRate),
+        peakError: calculatePeakError(reference, processed),
+        spectralDistance: calculateLogSpectralDistance(reference, processed)
+    };
+}
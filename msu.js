@@ -0,0 +1,105 @@
+// MSU-1 export: the song as CD-quality PCM, streamed by the MSU-1 chip of flash carts and
+// emulators instead of the S-DSP. Without the 64 KB of audio RAM or the ROM size to fit,
+// songs of any length work.
+//
+// Each track is a .pcm file: "MSU1", the loop point as a 32-bit little-endian sample
+// frame, then 44.1 kHz 16-bit stereo, interleaved left/right and little-endian. The player
+// finds the tracks by name next to an .msu data file: <name>.msu, <name>-1.pcm, ...
+//
+// Uses writeString and resampleSignal from processing.js, quantizeToInt16 from dither.js
+// and normalizeLoudness from loudness.js.
+
+const MSU_SAMPLE_RATE = 44100;
+const MSU_HEADER_SIZE = 8;
+
+/**
+ * Writes an MSU-1 .pcm track. The shorter channel sets the length.
+ * @param {Float32Array} leftChannel The left channel at 44.1 kHz.
+ * @param {Float32Array} rightChannel The right channel at 44.1 kHz.
+ * @param {object} [options]
+ * @param {number|null} [options.loopStart] The sample frame the track loops back to (default: the start).
+ * @param {string} [options.dither] A DITHER_MODES key (default "off").
+ * @returns {Blob}
+ */
+function encodeMsuPcm(leftChannel, rightChannel, options = {}) {
+    const length = Math.min(leftChannel.length, rightChannel.length);
+    const loopStart = options.loopStart || 0;
+    if (!Number.isInteger(loopStart) || loopStart < 0 || (loopStart > 0 && loopStart >= length)) {
+        throw new Error(`The MSU-1 loop point must be a sample frame from 0 to ${length - 1}.`);
+    }
+    const buffer = new ArrayBuffer(MSU_HEADER_SIZE + length * 4);
+    const view = new DataView(buffer);
+    writeString(view, 0, 'MSU1');
+    view.setUint32(4, loopStart, true);
+
+    const left = quantizeToInt16(leftChannel.subarray(0, length), { dither: options.dither, seed: 1 });
+    const right = quantizeToInt16(rightChannel.subarray(0, length), { dither: options.dither, seed: 2 });
+    let offset = MSU_HEADER_SIZE;
+    for (let i = 0; i < length; i++) {
+        view.setInt16(offset, left[i], true);
+        view.setInt16(offset + 2, right[i], true);
+        offset += 4;
+    }
+    return new Blob([view], { type: 'application/octet-stream' });
+}
+
+/**
+ * Prepares a song for an MSU-1 track: cuts it at the loop end, optionally brings it to the
+ * loudness target, and resamples it to 44.1 kHz.
+ * @param {Float32Array} left The left channel.
+ * @param {Float32Array} right The right channel.
+ * @param {number} sampleRate Their sample rate.
+ * @param {object} options
+ * @param {{loopStart: number, loopEnd: number}|null} options.loop The loop in samples of the input, or null.
+ * @param {boolean} options.normalize Whether to normalize (off for audio that already is, like the BRR preview).
+ * @param {number|null} [options.loudnessTarget] The loudness target in LUFS, or null to only prevent clipping.
+ * @param {string} [options.resamplerQuality] A RESAMPLER_QUALITIES key.
+ * @param {function(string): function(number): void} [options.stageProgress] Makes a progress callback for a stage.
+ * @returns {{left: Float32Array, right: Float32Array, loopStart: number|null, loudness: object|null}}
+ *     The 44.1 kHz channels, the loop start in their sample frames, and the loudness figures if normalized.
+ */
+function renderMsuTrack(left, right, sampleRate, options) {
+    const stage = options.stageProgress || (() => () => {});
+    const { loop } = options;
+    if (loop) {
+        left = left.slice(0, loop.loopEnd);
+        right = right.slice(0, loop.loopEnd);
+    }
+    let loudness = null;
+    if (options.normalize) {
+        stage('Measuring loudness and normalizing volume');
+        const normalized = normalizeLoudness(left, right, { mode: 'lr', sampleRate, target: options.loudnessTarget });
+        ({ mid: left, side: right } = normalized);
+        loudness = normalized.loudness;
+    }
+    const resample = (signal, name) => (sampleRate === MSU_SAMPLE_RATE) ? signal
+        : resampleSignal(signal, sampleRate, MSU_SAMPLE_RATE, {
+            quality: options.resamplerQuality,
+            onProgress: stage(`Resampling the ${name} channel to 44.1 kHz`)
+        });
+    const output = { left: resample(left, 'left'), right: resample(right, 'right') };
+    const loopStart = loop ? Math.min(Math.round(loop.loopStart * MSU_SAMPLE_RATE / sampleRate), output.left.length - 1) : null;
+    return { ...output, loopStart, loudness };
+}
+
+/**
+ * The files of a one-track MSU-1 pack, for createZip: the empty .msu data file the player
+ * looks for, the track, and a manifest describing both.
+ * @param {string} name The pack name, used for the file names.
+ * @param {Blob} pcm The track from encodeMsuPcm.
+ * @param {object} details What the manifest says about the track, e.g. its loop and settings.
+ * @returns {{name: string, data: Blob|Uint8Array}[]}
+ */
+function msuPackFiles(name, pcm, details) {
+    const manifest = {
+        format: 'msu1',
+        createdAt: new Date().toISOString(),
+        data: `${name}.msu`,
+        tracks: [{ number: 1, file: `${name}-1.pcm`, sampleRate: MSU_SAMPLE_RATE, ...details }]
+    };
+    return [
+        { name: `${name}.msu`, data: new Uint8Array(0) },
+        { name: `${name}-1.pcm`, data: pcm },
+        { name: 'manifest.json', data: new TextEncoder().encode(JSON.stringify(manifest, null, 2)) }
+    ];
+}
@@ -1,32 +1,309 @@
+// --- TRIM AND FADES ---
+// Applied to the decoded file before anything else, so a song only takes the ROM space it needs.
+
+// The exponential fade rises linearly in dB over this range, from silence to full level
+const FADE_EXPONENTIAL_RANGE_DB = 60;
+
+// Fade-in gain curves over t from 0 to 1; fade-outs run them backwards
+const FADE_CURVES = {
+    linear: (t) => t,
+    // Equal power: the level drops off late, so fades sound smooth in dB
+    sine: (t) => Math.sin(t * Math.PI / 2),
+    smooth: (t) => 0.5 - 0.5 * Math.cos(t * Math.PI),
+    exponential: (t) => (t > 0) ? Math.pow(10, FADE_EXPONENTIAL_RANGE_DB * (t - 1) / 20) : 0
+};
+
+/**
+ * Finds where the audio in a region starts and ends, i.e. the first and the last sample
+ * where any channel is above a threshold.
+ * @param {AudioBuffer} audioBuffer The decoded audio (anything with numberOfChannels, length and getChannelData).
+ * @param {number} thresholdDb The silence threshold in dBFS.
+ * @param {number} start The first sample of the region.
+ * @param {number} end The end of the region (exclusive).
+ * @returns {{start: number, end: number}|null} The audible part, or null if the region is silent.
+ */
+function findAudibleRegion(audioBuffer, thresholdDb, start, end) {
+    const threshold = Math.pow(10, thresholdDb / 20);
+    let first = end, last = start - 1;
+    for (let c = 0; c < audioBuffer.numberOfChannels; c++) {
+        const data = audioBuffer.getChannelData(c);
+        for (let i = start; i < first; i++) {
+            if (Math.abs(data[i]) > threshold) { first = i; break; }
+        }
+        for (let i = end - 1; i > last; i--) {
+            if (Math.abs(data[i]) > threshold) { last = i; break; }
+        }
+    }
+    return (first <= last) ? { start: first, end: last + 1 } : null;
+}
+
+/**
+ * Cuts a file down to a region, optionally without the silence at its ends, and fades it in
+ * and out. The result is a plain object that works wherever an AudioBuffer is expected here.
+ * @param {AudioBuffer} audioBuffer The decoded audio (anything with numberOfChannels, length, sampleRate and getChannelData).
+ * @param {object} [options]
+ * @param {number} [options.start] Where to start, in seconds (default 0).
+ * @param {number} [options.end] Where to end, in seconds (default: the end of the file).
+ * @param {number|null} [options.silenceThreshold] Also trims the silence below this level (dBFS) off both ends.
+ * @param {number} [options.fadeIn] The fade-in length in seconds.
+ * @param {number} [options.fadeOut] The fade-out length in seconds.
+ * @param {string} [options.fadeCurve] A FADE_CURVES key (default "sine").
+ * @returns {{audio: object, start: number, end: number}} The trimmed audio and its region in samples of the file.
+ */
+function trimAudio(audioBuffer, options = {}) {
+    const { sampleRate, length, numberOfChannels } = audioBuffer;
+    let start = Math.round((options.start || 0) * sampleRate);
+    let end = (options.end != null) ? Math.min(Math.round(options.end * sampleRate), length) : length;
+    if (!(start >= 0 && start < end)) {
+        throw new Error(`The trim start must come before the trim end and the end of the file (${(length / sampleRate).toFixed(2)} s).`);
+    }
+    if (options.silenceThreshold != null) {
+        const audible = findAudibleRegion(audioBuffer, options.silenceThreshold, start, end);
+        if (!audible) throw new Error(`Everything is below the auto-trim threshold of ${options.silenceThreshold} dB.`);
+        ({ start, end } = audible);
+        console.log(`Auto-trim keeps samples ${start} to ${end}.`);
+    }
+    const curve = FADE_CURVES[options.fadeCurve || 'sine'];
+    if (!curve) throw new Error(`Unknown fade curve "${options.fadeCurve}".`);
+    const fadeInLength = Math.min(Math.round((options.fadeIn || 0) * sampleRate), end - start);
+    const fadeOutLength = Math.min(Math.round((options.fadeOut || 0) * sampleRate), end - start);
+    if (start === 0 && end === length && fadeInLength === 0 && fadeOutLength === 0) {
+        return { audio: audioBuffer, start, end };
+    }
+
+    const channels = [];
+    for (let c = 0; c < numberOfChannels; c++) {
+        const data = audioBuffer.getChannelData(c).slice(start, end);
+        for (let i = 0; i < fadeInLength; i++) data[i] *= curve(i / fadeInLength);
+        // The last sample reaches silence
+        for (let i = 1; i <= fadeOutLength; i++) data[data.length - i] *= curve((i - 1) / fadeOutLength);
+        channels.push(data);
+    }
+    const audio = {
+        numberOfChannels,
+        sampleRate,
+        length: end - start,
+        duration: (end - start) / sampleRate,
+        getChannelData: (c) => channels[c]
+    };
+    return { audio, start, end };
+}
+
+/**
+ * Moves loop points given in samples of the whole file into a trimmed region.
+ * @param {number} loopStart The loop start in samples of the file.
+ * @param {number|null} loopEnd The loop end in samples of the file, or null for the end of the region.
+ * @param {{start: number, end: number}} region The region from trimAudio.
+ * @returns {{loopStart: number, loopEnd: number}} The loop points in samples of the trimmed audio.
+ */
+function loopInRegion(loopStart, loopEnd, region) {
+    const end = (loopEnd == null) ? region.end : loopEnd;
+    if (!(loopStart >= region.start && end > loopStart && end <= region.end)) {
+        throw new Error(`Loop points must satisfy ${region.start} <= start < end <= ${region.end}.`);
+    }
+    return { loopStart: loopStart - region.start, loopEnd: end - region.start };
+}
+
+// --- DOWNMIX AND STEREO MODES ---
+// Speaker order of multichannel files, as both WAV and Web Audio use it
+const CHANNEL_LAYOUTS = {
+    3: ['L', 'R', 'C'],
+    4: ['L', 'R', 'SL', 'SR'],
+    5: ['L', 'R', 'C', 'SL', 'SR'],
+    6: ['L', 'R', 'C', 'LFE', 'SL', 'SR'],
+    8: ['L', 'R', 'C', 'LFE', 'BL', 'BR', 'SL', 'SR']
+};
+
+/**
+ * Downmix presets: the gain of each speaker in the left and right outputs.
+ * Speakers that aren't listed are left out.
+ */
+const DOWNMIX_PRESETS = {
+    // ITU-R BS.775: centre and surrounds at -3 dB, no LFE
+    itu: {
+        left: { L: 1, C: Math.SQRT1_2, SL: Math.SQRT1_2, BL: Math.SQRT1_2 },
+        right: { R: 1, C: Math.SQRT1_2, SR: Math.SQRT1_2, BR: Math.SQRT1_2 }
+    },
+    // The same, with the LFE at -3 dB on both sides
+    ituLfe: {
+        left: { L: 1, C: Math.SQRT1_2, LFE: Math.SQRT1_2, SL: Math.SQRT1_2, BL: Math.SQRT1_2 },
+        right: { R: 1, C: Math.SQRT1_2, LFE: Math.SQRT1_2, SR: Math.SQRT1_2, BR: Math.SQRT1_2 }
+    },
+    // Front left and right only
+    front: {
+        left: { L: 1 },
+        right: { R: 1 }
+    }
+};
+
+/**
+ * Builds the downmix matrix of a preset for a channel count.
+ * @param {string} preset A DOWNMIX_PRESETS key.
+ * @param {number} channelCount The number of input channels.
+ * @returns {number[][]} The left and right rows, with one gain per input channel.
+ */
+function downmixMatrix(preset, channelCount) {
+    const gains = DOWNMIX_PRESETS[preset];
+    if (!gains) throw new Error(`Unknown downmix preset "${preset}".`);
+    const layout = CHANNEL_LAYOUTS[channelCount];
+    if (!layout) throw new Error(`There is no standard layout for ${channelCount} channels. Use a custom downmix matrix.`);
+    return [gains.left, gains.right].map(side => layout.map(speaker => side[speaker] || 0));
+}
+
+/**
+ * Parses a custom downmix matrix: the left row, then the right row, separated by a
+ * semicolon or a new line, each with one comma-separated gain per input channel.
+ * @param {string} text For example "1, 0, 0.707; 0, 1, 0.707" for three channels.
+ * @param {number} channelCount The number of input channels.
+ * @returns {number[][]} The left and right rows.
+ */
+function parseDownmixMatrix(text, channelCount) {
+    const rows = text.split(/[;\n]/).map(row => row.trim()).filter(row => row !== '')
+        .map(row => row.split(',').map(value => Number(value.trim())));
+    if (rows.length !== 2 || rows.some(row => row.length !== channelCount || row.some(gain => !Number.isFinite(gain)))) {
+        throw new Error(`A custom downmix matrix needs two rows (left; right) of ${channelCount} numbers each.`);
+    }
+    return rows;
+}
+
+/**
+ * Mixes an AudioBuffer down to left and right. Stereo passes through, mono goes to both sides.
+ * @param {AudioBuffer} audioBuffer The decoded audio (anything with numberOfChannels, length and getChannelData).
+ * @param {number[][]|null} matrix The downmix matrix, required above 2 channels.
+ * @returns {{left: Float32Array, right: Float32Array}}
+ */
+function downmixToStereo(audioBuffer, matrix) {
+    const channelCount = audioBuffer.numberOfChannels;
+    if (channelCount <= 2) {
+        return { left: audioBuffer.getChannelData(0), right: audioBuffer.getChannelData(channelCount - 1) };
+    }
+    if (!matrix) throw new Error(`The file has ${channelCount} channels, which need a downmix matrix.`);
+    const channels = Array.from({ length: channelCount }, (_, c) => audioBuffer.getChannelData(c));
+    const [left, right] = matrix.map(gains => {
+        const out = new Float32Array(audioBuffer.length);
+        gains.forEach((gain, c) => {
+            if (gain === 0) return;
+            const input = channels[c];
+            for (let i = 0; i < out.length; i++) out[i] += input[i] * gain;
+        });
+        return out;
+    });
+    console.log(`Downmixed ${channelCount} channels to stereo.`);
+    return { left, right };
+}
+
+/**
+ * How the encoded streams rebuild left and right. Whatever the mode, the first stream is
+ * kept under the key "mid" and the second under "side"; names and labels say what they
+ * really hold. The volumes are the S-DSP voice volumes (left, right) of each stream, used
+ * by the ROM player and the previews alike.
+ */
+const STEREO_MODES = {
+    ms: { names: ['mid', 'side'], labels: ['Mid', 'Side'], volumes: [[0x7F, 0x7F], [0x7F, -0x7F]] },
+    // Mid/Side with the side scaled down, which narrows the stereo image on purpose
+    width: { names: ['mid', 'side'], labels: ['Mid', 'Side'], volumes: [[0x7F, 0x7F], [0x7F, -0x7F]] },
+    // Plain left and right, both at the same rate
+    lr: { names: ['left', 'right'], labels: ['Left', 'Right'], volumes: [[0x7F, 0x00], [0x00, 0x7F]], equalRates: true },
+    mono: { names: ['mono'], labels: ['Mono'], volumes: [[0x7F, 0x7F]] }
+};
+
+/**
+ * The mode a file is actually encoded in: single-channel files are always mono.
+ * @param {number} channelCount The number of channels in the file.
+ * @param {string} mode The chosen STEREO_MODES key.
+ * @returns {string}
+ */
+function effectiveStereoMode(channelCount, mode) {
+    if (!STEREO_MODES[mode]) throw new Error(`Unknown stereo mode "${mode}".`);
+    return (channelCount === 1) ? 'mono' : mode;
+}
+
 /**
- * Splits a stereo AudioBuffer into its Mid and Side components.
- * (This function remains unchanged)
+ * Splits an AudioBuffer into the streams of a stereo mode. Files with more than two
+ * channels are downmixed to stereo first. Mono files, and mono mode, give only the first
+ * stream; the second is then null.
+ * @param {AudioBuffer} audioBuffer The decoded audio (anything with numberOfChannels, length and getChannelData).
+ * @param {object} [options]
+ * @param {string} [options.mode] A STEREO_MODES key (default "ms").
+ * @param {number} [options.width] The side gain in width mode, from 0 to 1.
+ * @param {number[][]} [options.matrix] The downmix matrix for files with more than two channels.
+ * @returns {{mid: Float32Array, side: Float32Array|null}} The first and second stream.
  */
-function convertToMidSide(stereoBuffer) {
-    if (stereoBuffer.numberOfChannels !== 2) {
-        console.error("Input is not stereo. Cannot perform Mid/Side split.");
-        return null;
+function convertToMidSide(audioBuffer, options = {}) {
+    const mode = effectiveStereoMode(audioBuffer.numberOfChannels, options.mode || 'ms');
+    if (audioBuffer.numberOfChannels === 1) {
+        return { mid: audioBuffer.getChannelData(0).slice(), side: null };
     }
-    const leftChannel = stereoBuffer.getChannelData(0);
-    const rightChannel = stereoBuffer.getChannelData(1);
-    const sampleCount = stereoBuffer.length;
+    const { left, right } = downmixToStereo(audioBuffer, options.matrix);
+    if (mode === 'lr') {
+        console.log("Keeping the left and right signals.");
+        return { mid: left.slice(), side: right.slice() };
+    }
+
+    if (mode === 'width' && !(options.width >= 0 && options.width <= 1)) {
+        throw new Error('The stereo width must be between 0 and 1.');
+    }
+    const sideGain = (mode === 'width') ? options.width : 1;
+    const sampleCount = audioBuffer.length;
     const midSignal = new Float32Array(sampleCount);
-    const sideSignal = new Float32Array(sampleCount);
+    const sideSignal = (mode === 'mono') ? null : new Float32Array(sampleCount);
     for (let i = 0; i < sampleCount; i++) {
-        const leftSample = leftChannel[i];
-        const rightSample = rightChannel[i];
+        const leftSample = left[i];
+        const rightSample = right[i];
         midSignal[i] = (leftSample + rightSample) / 2;
-        sideSignal[i] = (leftSample - rightSample) / 2;
+        if (sideSignal) sideSignal[i] = (leftSample - rightSample) / 2 * sideGain;
     }
-    console.log("Successfully converted to Mid/Side signals.");
+    console.log(sideSignal ? "Successfully converted to Mid/Side signals." : "Mixed down to a mono Mid signal.");
     return { mid: midSignal, side: sideSignal };
 }
 
+/**
+ * The left and right signals a stereo mode aims to reproduce, i.e. the input with the side
+ * scaled in width mode.
+ * @param {{left: Float32Array, right: Float32Array}} stereo The (downmixed) input.
+ * @param {string} mode A STEREO_MODES key.
+ * @param {number} [width] The side gain in width mode.
+ * @returns {{left: Float32Array, right: Float32Array}}
+ */
+function intendedStereo(stereo, mode, width) {
+    if (mode !== 'width') return stereo;
+    const left = new Float32Array(stereo.left.length);
+    const right = new Float32Array(stereo.right.length);
+    for (let i = 0; i < left.length; i++) {
+        const mid = (stereo.left[i] + stereo.right[i]) / 2;
+        const side = (stereo.left[i] - stereo.right[i]) / 2 * width;
+        left[i] = mid + side;
+        right[i] = mid - side;
+    }
+    return { left, right };
+}
+
+/**
+ * Rebuilds left and right from decoded streams at a common rate, with the gains the
+ * S-DSP voice volumes of the stereo mode would give.
+ * @param {Float32Array[]} streams The streams in STEREO_MODES order.
+ * @param {string} mode A STEREO_MODES key.
+ * @returns {{left: Float32Array, right: Float32Array}}
+ */
+function mixStreams(streams, mode) {
+    const length = Math.max(...streams.map(stream => stream.length));
+    const left = new Float32Array(length);
+    const right = new Float32Array(length);
+    streams.forEach((stream, i) => {
+        const [volumeLeft, volumeRight] = STEREO_MODES[mode].volumes[i].map(volume => volume / 0x7F);
+        for (let j = 0; j < stream.length; j++) {
+            left[j] += stream[j] * volumeLeft;
+            right[j] += stream[j] * volumeRight;
+        }
+    });
+    return { left, right };
+}
+
 /**
  * Normalizes Mid and Side signals together, applying the same gain reduction to both.
  * @param {Float32Array} midSignal The mid channel audio data.
- * @param {Float32Array} sideSignal The side channel audio data.
- * @returns {{mid: Float32Array, side: Float32Array}} The processed signals.
+ * @param {Float32Array|null} sideSignal The side channel audio data, or null for a mono file.
+ * @returns {{mid: Float32Array, side: Float32Array|null, gain: number}} The processed signals and the gain applied to them.
  */
 function normalizeCoupled(midSignal, sideSignal) {
     let overallPeak = 0;
@@ -39,144 +316,164 @@ function normalizeCoupled(midSignal, sideSignal) {
         }
     }
     // Find peak in side signal (and update overall if it's higher)
-    for (let i = 0; i < sideSignal.length; i++) {
+    for (let i = 0; sideSignal && i < sideSignal.length; i++) {
         const absSample = Math.abs(sideSignal[i]);
         if (absSample > overallPeak) {
             overallPeak = absSample;
         }
     }
 
+    let multiplier = 1;
     if (overallPeak > 0.95) {
         console.log(`Overall peak is ${overallPeak.toFixed(3)}, which is > 0.95. Normalizing both channels.`);
-        const multiplier = 0.95 / overallPeak;
+        multiplier = 0.95 / overallPeak;
 
         // Apply the same multiplier to both signals
         for (let i = 0; i < midSignal.length; i++) {
             midSignal[i] *= multiplier;
         }
-        for (let i = 0; i < sideSignal.length; i++) {
+        for (let i = 0; sideSignal && i < sideSignal.length; i++) {
             sideSignal[i] *= multiplier;
         }
     } else {
         console.log(`Overall peak is ${overallPeak.toFixed(3)}, which is <= 0.95. No normalization needed.`);
     }
 
-    return { mid: midSignal, side: sideSignal };
+    return { mid: midSignal, side: sideSignal, gain: multiplier };
 }
 
 /**
- * A router function that chooses the best downsampling method based on the target rate.
- * (This function remains unchanged)
+ * Downsamples a channel for encoding. Runs the same resampler everywhere (page, worker
+ * and CLI), so the encoded result doesn't depend on the browser.
+ * @param {function(number): void} [onProgress] Called with the completed fraction.
+ * @param {string} [quality] A RESAMPLER_QUALITIES key. Defaults to "standard".
+ * @returns {Promise<Float32Array>} A promise that resolves with the downsampled audio data.
  */
-function downsampleSignal(signalData, originalSampleRate, targetSampleRate) {
-    if (targetSampleRate < 8000) {
-        console.log(`Using MANUAL downsampler for target rate: ${targetSampleRate} Hz`);
-        return Promise.resolve(manualDownsample(signalData, originalSampleRate, targetSampleRate));
-    } else {
-        console.log(`Using NATIVE Web Audio downsampler for target rate: ${targetSampleRate} Hz`);
-        return nativeDownsample(signalData, originalSampleRate, targetSampleRate);
-    }
+function downsampleSignal(signalData, originalSampleRate, targetSampleRate, onProgress, quality) {
+    console.log(`Resampling from ${originalSampleRate} Hz to ${targetSampleRate} Hz (${quality || 'standard'} quality)`);
+    return Promise.resolve(resampleSignal(signalData, originalSampleRate, targetSampleRate, { quality, onProgress }));
 }
 
-// --- REFINED DOWNSAMPLING ALGORITHM ---
+// --- POLYPHASE RESAMPLER ---
 
-const FIR_TAPS = 64; // The new, much larger filter window size.
+/**
+ * Resampler presets. halfTaps is the number of filter zero crossings on each side of a
+ * sample, beta the Kaiser window's shape (higher: more stopband attenuation, wider
+ * transition), and rolloff where the passband ends relative to the lower Nyquist frequency.
+ */
+const RESAMPLER_QUALITIES = {
+    draft: { halfTaps: 8, beta: 6, rolloff: 0.85 },
+    standard: { halfTaps: 16, beta: 8, rolloff: 0.9 },
+    high: { halfTaps: 32, beta: 10, rolloff: 0.95 }
+};
 
 /**
- * Generates coefficients for a Windowed-Sinc FIR low-pass filter.
- * @param {number} originalSr Original sample rate.
- * @param {number} targetSr Target sample rate.
- * @param {number} taps The number of coefficients to generate (window size).
- * @returns {Float32Array} The array of filter coefficients.
+ * The zeroth-order modified Bessel function of the first kind, for the Kaiser window.
  */
-function generateFirCoefficients(originalSr, targetSr, taps) {
-    const cutoff = targetSr / 2;
-    const normalizedCutoff = cutoff / originalSr;
-    const coeffs = new Float32Array(taps);
-    let sum = 0;
-
-    for (let i = 0; i < taps; i++) {
-        const x = i - (taps - 1) / 2;
-        
-        // Sinc function
-        let sinc = x === 0 ? 1.0 : Math.sin(2 * Math.PI * normalizedCutoff * x) / (2 * Math.PI * normalizedCutoff * x);
-        
-        // Blackman window function for smoothing
-        let blackman = 0.42 - 0.5 * Math.cos(2 * Math.PI * i / (taps - 1)) + 0.08 * Math.cos(4 * Math.PI * i / (taps - 1));
-        
-        coeffs[i] = sinc * blackman;
-        sum += coeffs[i];
-    }
-    
-    // Normalize the coefficients to have a gain of 1.0 (prevents volume changes)
-    for (let i = 0; i < taps; i++) {
-        coeffs[i] /= sum;
+function besselI0(x) {
+    let sum = 1;
+    let term = 1;
+    for (let k = 1; k < 50; k++) {
+        term *= (x / (2 * k)) * (x / (2 * k));
+        sum += term;
+        if (term < sum * 1e-12) break;
     }
+    return sum;
+}
 
-    return coeffs;
+function greatestCommonDivisor(a, b) {
+    while (b) [a, b] = [b, a % b];
+    return a;
 }
 
 /**
- * Manually downsamples an audio signal using the refined high-quality FIR filter.
+ * Resamples by any ratio with a Kaiser-windowed sinc filter.
+ * The ratio is reduced to up/down integers, so output sample n sits exactly at input
+ * position n * down / up and only `up` different filter phases exist. Each phase's
+ * coefficients are computed once, when first needed, and normalized to unity gain.
+ * @param {Float32Array} signalData The audio data.
+ * @param {number} originalSampleRate The sample rate of the audio data in Hz. It must be a multiple of
+ *     1/16 Hz, which every exact S-DSP rate (pitch * 7.8125 Hz) is.
+ * @param {number} targetSampleRate The desired sample rate in Hz, also a multiple of 1/16 Hz.
+ * @param {object} [options]
+ * @param {string} [options.quality] A RESAMPLER_QUALITIES key. Defaults to "standard".
+ * @param {number} [options.halfTaps] Overrides the preset's zero crossings per side.
+ * @param {number} [options.beta] Overrides the preset's Kaiser beta.
+ * @param {function(number): void} [options.onProgress] Called with the completed fraction.
+ * @returns {Float32Array} The resampled audio data, floor(length * target / original) samples long.
  */
-function manualDownsample(signalData, originalSampleRate, targetSampleRate) {
-    const ratio = originalSampleRate / targetSampleRate;
-    const newLength = Math.floor(signalData.length / ratio);
+function resampleSignal(signalData, originalSampleRate, targetSampleRate, options = {}) {
+    const preset = RESAMPLER_QUALITIES[options.quality || 'standard'];
+    if (!preset) throw new Error(`Unknown resampler quality "${options.quality}".`);
+    // Exact S-DSP rates (see rateForPitch) are multiples of 1/16 Hz, so in 16ths of a Hz the ratio is whole numbers
+    const scale = (Number.isInteger(originalSampleRate) && Number.isInteger(targetSampleRate)) ? 1 : 16;
+    if (!(originalSampleRate > 0 && targetSampleRate > 0) ||
+        !Number.isInteger(originalSampleRate * scale) || !Number.isInteger(targetSampleRate * scale)) {
+        throw new Error(`Can't resample from ${originalSampleRate} Hz to ${targetSampleRate} Hz.`);
+    }
+    const halfTaps = options.halfTaps || preset.halfTaps;
+    const beta = (options.beta != null) ? options.beta : preset.beta;
+
+    const divisor = greatestCommonDivisor(originalSampleRate * scale, targetSampleRate * scale);
+    const up = targetSampleRate * scale / divisor;
+    const down = originalSampleRate * scale / divisor;
+    const newLength = Math.floor(signalData.length * up / down);
+    if (up === down) return signalData.slice(0, newLength);
+
+    // Cutoff relative to the input Nyquist frequency; downsampling stretches the filter
+    const cutoff = Math.min(1, up / down) * preset.rolloff;
+    const reach = Math.ceil(halfTaps / cutoff); // Input samples on each side
+    const windowWidth = reach + 1;
+    const windowScale = besselI0(beta);
+    const phases = new Array(up);
+    const phaseCoefficients = (phase) => {
+        const fraction = phase / up;
+        const coefficients = new Float32Array(2 * reach);
+        let sum = 0;
+        for (let j = 0; j < coefficients.length; j++) {
+            const x = j - reach + 1 - fraction; // Distance from the output position, in input samples
+            const sinc = (x === 0) ? 1 : Math.sin(Math.PI * cutoff * x) / (Math.PI * cutoff * x);
+            const w = x / windowWidth;
+            const kaiser = (Math.abs(w) < 1) ? besselI0(beta * Math.sqrt(1 - w * w)) / windowScale : 0;
+            coefficients[j] = sinc * kaiser;
+            sum += coefficients[j];
+        }
+        for (let j = 0; j < coefficients.length; j++) coefficients[j] /= sum;
+        return coefficients;
+    };
+
     const result = new Float32Array(newLength);
-    
-    // Dynamically generate the high-quality filter coefficients
-    const firCoeffs = generateFirCoefficients(originalSampleRate, targetSampleRate, FIR_TAPS);
-    const halfCoeffsLen = Math.floor(firCoeffs.length / 2);
-
-    // 1. Apply the low-pass filter (convolution)
-    const filteredSignal = new Float32Array(signalData.length);
-    for (let i = 0; i < signalData.length; i++) {
-        let filteredSample = 0;
-        for (let j = 0; j < firCoeffs.length; j++) {
-            const sampleIndex = i - halfCoeffsLen + j;
-            if (sampleIndex >= 0 && sampleIndex < signalData.length) {
-                filteredSample += signalData[sampleIndex] * firCoeffs[j];
+    for (let n = 0; n < newLength; n++) {
+        const position = n * down;
+        const index = Math.floor(position / up);
+        const phase = position - index * up;
+        const coefficients = phases[phase] || (phases[phase] = phaseCoefficients(phase));
+        const first = index - reach + 1;
+        let sample = 0;
+        if (first >= 0 && first + coefficients.length <= signalData.length) {
+            for (let j = 0; j < coefficients.length; j++) sample += signalData[first + j] * coefficients[j];
+        } else {
+            // Near the edges the signal is treated as silence
+            for (let j = 0; j < coefficients.length; j++) {
+                const k = first + j;
+                if (k >= 0 && k < signalData.length) sample += signalData[k] * coefficients[j];
             }
         }
-        filteredSignal[i] = filteredSample;
-    }
-
-    // 2. Decimate the filtered signal
-    for (let i = 0; i < newLength; i++) {
-        result[i] = filteredSignal[Math.floor(i * ratio)];
+        result[n] = sample;
+        if (options.onProgress && (n & 0xFFFF) === 0) options.onProgress(n / newLength);
     }
-
     return result;
 }
 
-// --- End of refined section ---
-
-/**
- * Downsamples using the high-quality native OfflineAudioContext.
- * (This function remains unchanged)
- */
-async function nativeDownsample(signalData, originalSampleRate, targetSampleRate) {
-    const tempAudioContext = new (window.AudioContext || window.webkitAudioContext)();
-    const sourceBuffer = tempAudioContext.createBuffer(1, signalData.length, originalSampleRate);
-    sourceBuffer.copyToChannel(signalData, 0);
-    const duration = sourceBuffer.duration;
-    const newLength = Math.ceil(duration * targetSampleRate);
-    const offlineCtx = new OfflineAudioContext(1, newLength, targetSampleRate);
-    const sourceNode = offlineCtx.createBufferSource();
-    sourceNode.buffer = sourceBuffer;
-    sourceNode.connect(offlineCtx.destination);
-    sourceNode.start(0);
-    const downsampledBuffer = await offlineCtx.startRendering();
-    return downsampledBuffer.getChannelData(0);
-}
-
 /**
  * NEW: Encodes a Float32Array into a PCM WAV file Blob.
  * @param {Float32Array} samples The audio data.
  * @param {number} sampleRate The sample rate of the audio.
+ * @param {object} [options]
+ * @param {string} [options.dither] "off", "tpdf" or "shaped" (see quantizeToInt16 in dither.js).
  * @returns {Blob} A Blob object representing the WAV file.
  */
-function encodeWAV(samples, sampleRate) {
+function encodeWAV(samples, sampleRate, options = {}) {
     const buffer = new ArrayBuffer(44 + samples.length * 2);
     const view = new DataView(buffer);
 
@@ -189,8 +486,9 @@ function encodeWAV(samples, sampleRate) {
     view.setUint32(16, 16, true);
     view.setUint16(20, 1, true); // Audio format 1 is PCM
     view.setUint16(22, 1, true); // Mono
-    view.setUint32(24, sampleRate, true);
-    view.setUint32(28, sampleRate * 2, true); // Byte rate
+    // Exact S-DSP rates can have a fraction, which the header can't hold
+    view.setUint32(24, Math.round(sampleRate), true);
+    view.setUint32(28, Math.round(sampleRate) * 2, true); // Byte rate
     view.setUint16(32, 2, true); // Block align
     view.setUint16(34, 16, true); // 16 bits per sample
     // data sub-chunk
@@ -198,10 +496,10 @@ function encodeWAV(samples, sampleRate) {
     view.setUint32(40, samples.length * 2, true);
 
     // Write the PCM data
+    const pcm = quantizeToInt16(samples, { dither: options.dither });
     let offset = 44;
-    for (let i = 0; i < samples.length; i++, offset += 2) {
-        const s = Math.max(-1, Math.min(1, samples[i]));
-        view.setInt16(offset, s < 0 ? s * 0x8000 : s * 0x7FFF, true);
+    for (let i = 0; i < pcm.length; i++, offset += 2) {
+        view.setInt16(offset, pcm[i], true);
     }
     
     return new Blob([view], { type: 'audio/wav' });
@@ -214,8 +512,7 @@ function writeString(view, offset, string) {
 }
 
 /**
- * NEW: Upsamples an audio signal to a new sample rate using OfflineAudioContext.
- * This version uses a playbackRate trick to handle source sample rates below the API's limit.
+ * Upsamples a decoded channel for preview.
  * @param {Float32Array} signalData The raw audio data to upsample.
  * @param {number} originalSampleRate The original (low) sample rate of the signal.
  * @param {number} targetSampleRate The desired (high) new sample rate.
@@ -223,31 +520,7 @@ function writeString(view, offset, string) {
  */
 async function upsampleSignal(signalData, originalSampleRate, targetSampleRate) {
     console.log(`Upsampling signal from ${originalSampleRate}Hz to ${targetSampleRate}Hz for preview.`);
-    const tempAudioContext = new (window.AudioContext || window.webkitAudioContext)();
-    
-    // 1. Create a buffer at a SUPPORTED sample rate (the context's own rate).
-    const sourceBuffer = tempAudioContext.createBuffer(1, signalData.length, tempAudioContext.sampleRate);
-    sourceBuffer.copyToChannel(signalData, 0);
-    
-    // 2. Calculate the true duration based on the ORIGINAL sample rate.
-    const trueDuration = signalData.length / originalSampleRate;
-    const newLength = Math.ceil(trueDuration * targetSampleRate);
-    
-    // 3. Create an offline context at the HIGH target rate.
-    const offlineCtx = new OfflineAudioContext(1, newLength, targetSampleRate);
-    
-    const sourceNode = offlineCtx.createBufferSource();
-    sourceNode.buffer = sourceBuffer;
-    
-    // 4. THE TRICK: Adjust playbackRate to stretch the audio.
-    // This forces high-quality resampling to fill the gaps.
-    sourceNode.playbackRate.value = originalSampleRate / tempAudioContext.sampleRate;
-    
-    sourceNode.connect(offlineCtx.destination);
-    sourceNode.start(0);
-    const upsampledBuffer = await offlineCtx.startRendering();
-    
-    return upsampledBuffer.getChannelData(0);
+    return resampleSignal(signalData, originalSampleRate, targetSampleRate);
 }
 
 /**
@@ -255,9 +528,11 @@ async function upsampleSignal(signalData, originalSampleRate, targetSampleRate)
  * @param {Float32Array} leftChannel The left channel audio data.
  * @param {Float32Array} rightChannel The right channel audio data.
  * @param {number} sampleRate The sample rate of the audio.
+ * @param {object} [options]
+ * @param {string} [options.dither] "off", "tpdf" or "shaped" (see quantizeToInt16 in dither.js).
  * @returns {Blob} A Blob object representing the stereo WAV file.
  */
-function encodeStereoWAV(leftChannel, rightChannel, sampleRate) {
+function encodeStereoWAV(leftChannel, rightChannel, sampleRate, options = {}) {
     const length = Math.min(leftChannel.length, rightChannel.length);
     const buffer = new ArrayBuffer(44 + length * 4); // 2 channels, 2 bytes per sample
     const view = new DataView(buffer);
@@ -271,26 +546,43 @@ function encodeStereoWAV(leftChannel, rightChannel, sampleRate) {
     view.setUint32(16, 16, true);
     view.setUint16(20, 1, true); // PCM
     view.setUint16(22, 2, true); // 2 channels (Stereo)
-    view.setUint32(24, sampleRate, true);
-    view.setUint32(28, sampleRate * 4, true); // Byte rate
+    view.setUint32(24, Math.round(sampleRate), true);
+    view.setUint32(28, Math.round(sampleRate) * 4, true); // Byte rate
     view.setUint16(32, 4, true); // Block align
     view.setUint16(34, 16, true); // 16 bits per sample
     // data sub-chunk
     writeString(view, 36, 'data');
     view.setUint32(40, length * 4, true);
 
-    // Write interleaved PCM data
+    // Write interleaved PCM data. Each channel gets its own dither noise.
+    const left = quantizeToInt16(leftChannel.subarray(0, length), { dither: options.dither, seed: 1 });
+    const right = quantizeToInt16(rightChannel.subarray(0, length), { dither: options.dither, seed: 2 });
     let offset = 44;
     for (let i = 0; i < length; i++) {
-        // Left channel
-        let s = Math.max(-1, Math.min(1, leftChannel[i]));
-        view.setInt16(offset, s < 0 ? s * 0x8000 : s * 0x7FFF, true);
+        view.setInt16(offset, left[i], true);
         offset += 2;
-        // Right channel
-        s = Math.max(-1, Math.min(1, rightChannel[i]));
-        view.setInt16(offset, s < 0 ? s * 0x8000 : s * 0x7FFF, true);
+        view.setInt16(offset, right[i], true);
         offset += 2;
     }
     
     return new Blob([view], { type: 'audio/wav' });
-}
\ No newline at end of file
+}
+
+/**
+ * Calculates the signal-to-noise ratio of a processed signal against its reference.
+ * @param {Float32Array} reference The original audio data.
+ * @param {Float32Array} processed The processed audio data (compared over the shorter of the two lengths).
+ * @returns {number} The SNR in dB (Infinity when the signals are identical).
+ */
+function calculateSNR(reference, processed) {
+    const length = Math.min(reference.length, processed.length);
+    let signalPower = 0;
+    let noisePower = 0;
+    for (let i = 0; i < length; i++) {
+        const error = reference[i] - processed[i];
+        signalPower += reference[i] * reference[i];
+        noisePower += error * error;
+    }
+    if (noisePower === 0) return Infinity;
+    return 10 * Math.log10(signalPower / noisePower);
+}
@@ -0,0 +1,89 @@
+// Project files: a song's settings together with its source file's hash and what the settings
+// produced, so the song can be converted again exactly, or the settings shared.
+
+const PROJECT_FORMAT = 'sp3conv-project';
+const PROJECT_VERSION = 1;
+
+/**
+ * The SHA-256 hash of some data, as used to recognize a project's source file and its BRR output.
+ * @param {ArrayBuffer|Uint8Array} data
+ * @returns {Promise<string>} The hash as lowercase hex.
+ */
+async function sha256Hex(data) {
+    const digest = await crypto.subtle.digest('SHA-256', data);
+    return Array.from(new Uint8Array(digest), byte => byte.toString(16).padStart(2, '0')).join('');
+}
+
+/**
+ * Builds a project.
+ * @param {{name: string, size: number, sha256: string, sampleRate: number}} source The source file, and the rate it was decoded at.
+ * @param {Object<string, string|boolean>} settings The settings fields.
+ * @param {Object<string, Uint8Array>} brrFiles The BRR data of each channel, by file name suffix.
+ * @param {object} [extra] Anything else to store, e.g. the loudness.
+ * @returns {Promise<object>}
+ */
+async function createProject(source, settings, brrFiles, extra = {}) {
+    const channels = {};
+    for (const [name, data] of Object.entries(brrFiles)) {
+        channels[name] = { bytes: data.length, sha256: await sha256Hex(data) };
+    }
+    const encodedBytes = Object.values(channels).reduce((total, channel) => total + channel.bytes, 0);
+    return {
+        format: PROJECT_FORMAT,
+        version: PROJECT_VERSION,
+        createdAt: new Date().toISOString(),
+        source,
+        settings,
+        result: { encodedBytes, channels, ...extra }
+    };
+}
+
+/**
+ * Reads a project file and checks that it is one this version can open.
+ * @param {string} text The file's JSON.
+ * @returns {object} The project.
+ */
+function parseProject(text) {
+    let project;
+    try {
+        project = JSON.parse(text);
+    } catch (error) {
+        throw new Error(`The project file isn't valid JSON (${error.message}).`);
+    }
+    if (!project || project.format !== PROJECT_FORMAT) throw new Error('This is not an SP3-Conv project file.');
+    if (!(project.version <= PROJECT_VERSION)) {
+        throw new Error(`The project is from a newer version of SP3-Conv (format ${project.version}).`);
+    }
+    if (!project.source || typeof project.source.sha256 !== 'string' || !project.settings || typeof project.settings !== 'object') {
+        throw new Error('The project file is incomplete.');
+    }
+    return project;
+}
+
+/**
+ * Whether a project was saved by an earlier version of the BRR codec, so its stored output
+ * may differ even with the same source and settings.
+ * @param {object} project The project from parseProject.
+ * @param {number} codecVersion The codec version encoding now, BRR_CODEC_VERSION.
+ * @returns {boolean}
+ */
+function projectFromOlderCodec(project, codecVersion) {
+    // Projects from before the field was added were all encoded by version 1
+    return ((project.result && project.result.codecVersion) || 1) < codecVersion;
+}
+
+/**
+ * Compares BRR output with the output stored in a project.
+ * @param {object} project The project from parseProject.
+ * @param {Object<string, Uint8Array>} brrFiles The BRR data of each channel, by file name suffix.
+ * @returns {Promise<string[]>} The channels whose data differs, or that only one side has.
+ */
+async function projectMismatches(project, brrFiles) {
+    const stored = (project.result && project.result.channels) || {};
+    const names = new Set([...Object.keys(stored), ...Object.keys(brrFiles)]);
+    const mismatches = [];
+    for (const name of names) {
+        if (!stored[name] || !brrFiles[name] || stored[name].sha256 !== await sha256Hex(brrFiles[name])) mismatches.push(name);
+    }
+    return mismatches;
+}
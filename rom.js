@@ -0,0 +1,521 @@
+// SNES ROM builder: packs the Mid/Side BRR streams into a LoROM/HiROM image together
+// with a small 65816 program that uploads an SPC700 streaming driver and then feeds it.
+//
+// How the player works:
+//  - The SPC700 driver keeps one ring buffer per voice in ARAM, split in two halves.
+//    The last block of each half has the END+LOOP flags, so the voice jumps to the
+//    directory loop address when it finishes a half. The driver points that address
+//    at the half that was just played, sees the ENDX bits, and asks the 65816 to
+//    refill the finished halves.
+//  - The halves are sized so every voice takes exactly as long to play one, and all
+//    voices are keyed on together. They therefore finish their halves in the same
+//    sample, and the driver only clears ENDX once every voice's bit is set. Clearing
+//    it after a single bit could wipe out a bit set a moment later.
+//  - Requests and data go through the APU ports. The SPC writes the channel to port 1
+//    and a new counter value to port 0; the 65816 answers with 3 data bytes in ports
+//    1-3 plus the next counter value in port 0, which the SPC echoes back.
+//  - The voice volumes come from the stereo mode. For Mid/Side, the mid voice plays at
+//    full volume on both sides, the side voice with its right volume inverted, so the
+//    DSP mix rebuilds L = M + S and R = M - S. Left/right songs pan each voice to its
+//    side, and mono songs only have the one voice.
+//
+// Uses pitchForRate from dsp.js, streamTransferRates from stream.js and STEREO_MODES from processing.js.
+
+const ROM_SIZES_KB = [256, 512, 1024, 2048, 4096];
+const ROM_MAPPINGS = {
+    lorom: { mapMode: 0x20, codeOffset: 0x0000, headerOffset: 0x7FC0, dataOffset: 0x8000 },
+    hirom: { mapMode: 0x21, codeOffset: 0x8000, headerOffset: 0xFFC0, dataOffset: 0x10000 }
+};
+
+// ARAM layout. The driver is uploaded to $0200 and the ring buffers end below $FF00,
+// which keeps them clear of the (disabled) echo buffer and the IPL ROM at $FFC0.
+const SPC_DRIVER_ORIGIN = 0x0200;
+const SPC_RING_END = 0xFF00;
+
+// Driver variables in the SPC700 direct page
+const SPC_ACK = 0x00, SPC_DST = 0x02, SPC_CNT = 0x04, SPC_NINE = 0x06, SPC_CUR = 0x08;
+
+// 65816 variables in the direct page, and the layout of one channel's parameter record
+const CPU_LAST = 0x00, CPU_SEQ = 0x01, CPU_WPTR = 0x03, CPU_COUNT = 0x06, CPU_PTRS = 0x10;
+const PARAM_START = 0, PARAM_END = 3, PARAM_LOOP = 6, PARAM_LOOP_FLAG = 9, PARAM_TRIPLETS = 10, PARAM_SIZE = 16;
+// The player's receive loop, as stream.js models it: 3 bytes per handshake, all frame long
+const ROM_TRANSFER_ROUTINE = 'tripletFrame';
+
+/**
+ * A minimal two-pass assembler shared by the 65816 and SPC700 programs. A program is a list of
+ * bytes, label definitions ("name:") and references: { rel: 'name' } for a branch offset,
+ * { abs: 'name' } for a little-endian 16-bit address, { lo: 'name' } / { hi: 'name' } for
+ * one byte of it. Labels can be predefined through the labels argument.
+ * @param {number} origin The address of the first byte.
+ * @param {Array} program The program.
+ * @param {object} [labels] Addresses of labels defined outside the program.
+ * @returns {{bytes: Uint8Array, labels: object}} The machine code and all label addresses.
+ */
+function assemble(origin, program, labels = {}) {
+    labels = { ...labels };
+    const sizeOf = (item) => (typeof item === 'number' || item.rel || item.lo || item.hi) ? 1 : 2;
+
+    let address = origin;
+    for (const item of program) {
+        if (typeof item === 'string') {
+            labels[item.slice(0, -1)] = address;
+        } else {
+            address += sizeOf(item);
+        }
+    }
+
+    const resolve = (name) => {
+        if (!(name in labels)) throw new Error(`Undefined label "${name}".`);
+        return labels[name];
+    };
+    const bytes = [];
+    for (const item of program) {
+        if (typeof item === 'string') continue;
+        if (typeof item === 'number') {
+            bytes.push(item & 0xFF);
+        } else if (item.rel) {
+            const offset = resolve(item.rel) - (origin + bytes.length + 1);
+            if (offset < -128 || offset > 127) throw new Error(`Branch to "${item.rel}" is out of range.`);
+            bytes.push(offset & 0xFF);
+        } else if (item.abs) {
+            const target = resolve(item.abs) + (item.offset || 0);
+            bytes.push(target & 0xFF, (target >> 8) & 0xFF);
+        } else if (item.lo) {
+            bytes.push(resolve(item.lo) & 0xFF);
+        } else if (item.hi) {
+            bytes.push((resolve(item.hi) >> 8) & 0xFF);
+        }
+    }
+    return { bytes: Uint8Array.from(bytes), labels };
+}
+
+/**
+ * Splits the ARAM left after the driver between the voices' ring buffers. A half holds
+ * pitch / gcd(pitches) blocks per unit, so all halves take exactly the same time to play,
+ * and the unit count is as large as ARAM allows.
+ * @param {number} ringStart The first free ARAM address.
+ * @param {number[]} pitches The voices' pitch register values.
+ * @returns {object[]} Per voice: the start address of each half and the half size in blocks.
+ */
+function planRingBuffers(ringStart, pitches) {
+    const gcd = (a, b) => (b === 0 ? a : gcd(b, a % b));
+    const divisor = pitches.reduce(gcd);
+    const unitBlocks = pitches.map(pitch => pitch / divisor);
+    const units = Math.floor((SPC_RING_END - ringStart) / (18 * unitBlocks.reduce((sum, blocks) => sum + blocks, 0)));
+    if (units < 1) {
+        throw new Error(`The pitch values ${pitches.join(' and ')} have no common step small enough to share ARAM. ` +
+            'Pick sample rates that are simple multiples of each other.');
+    }
+    let address = ringStart;
+    return unitBlocks.map(blocks => {
+        const halfBlocks = blocks * units;
+        const ring = { halfA: address, halfB: address + halfBlocks * 9, halfBlocks };
+        address += halfBlocks * 18;
+        return ring;
+    });
+}
+
+/**
+ * Builds the SPC700 streaming driver for one or two voices.
+ * @param {object[]} voices Per voice: { pitch, volumeLeft, volumeRight }.
+ * @returns {{image: Uint8Array, rings: object[]}} The ARAM image to upload at SPC_DRIVER_ORIGIN
+ * (driver code followed by the sample directory) and the ring buffer layout.
+ */
+function buildSpcDriver(voices) {
+    // The directory goes right after the code, so the code is assembled once to find its size
+    const program = (dirAddress, rings) => {
+        const dspWrites = [
+            [0x6C, 0x20],                   // FLG: unmute, echo writes off
+            [0x5C, 0x00],                   // KOFF
+            [0x5D, dirAddress >> 8],        // DIR
+            [0x0C, 0x7F], [0x1C, 0x7F],     // Main volume
+            [0x2C, 0x00], [0x3C, 0x00],     // Echo volume
+            [0x4D, 0x00], [0x3D, 0x00], [0x2D, 0x00], // EON, NON, PMON
+            [0x6D, 0xFF], [0x7D, 0x00], [0x0D, 0x00]  // ESA, EDL, EFB
+        ];
+        voices.forEach((voice, v) => {
+            const base = v << 4;
+            dspWrites.push(
+                [base + 0, voice.volumeLeft], [base + 1, voice.volumeRight],
+                [base + 2, voice.pitch & 0xFF], [base + 3, voice.pitch >> 8],
+                [base + 4, v],                       // SRCN
+                [base + 5, 0x00], [base + 6, 0x00],  // ADSR off
+                [base + 7, 0x7F]                     // GAIN: direct, full
+            );
+        });
+        const setDst = (address) => [0xE8, address & 0xFF, 0x8D, address >> 8, 0xDA, SPC_DST];
+        const setCnt = (count) => [0xE8, count & 0xFF, 0x8D, count >> 8, 0xDA, SPC_CNT];
+        const triplets = (ring) => (ring ? ring.halfBlocks * 3 : 0);
+        const keyOnMask = (1 << voices.length) - 1;
+
+        const code = [
+            0xCD, 0xEF, 0xBD,                     // mov x,#$ef ; mov sp,x
+            0xE4, 0xF4, 0xC4, SPC_ACK,            // ack = value the IPL echoed
+            0x8F, 0x09, SPC_NINE, 0x8F, 0x00, SPC_NINE + 1,
+            ...voices.flatMap((voice, v) => [0x8F, 0x00, SPC_CUR + v]),
+            ...dspWrites.flatMap(([reg, value]) => [0x8F, reg, 0xF2, 0x8F, value & 0xFF, 0xF3]),
+            // Fill both halves of every ring before keying on
+            ...voices.flatMap((voice, v) => [
+                ...setDst(rings ? rings[v].halfA : 0), ...setCnt(triplets(rings && rings[v])), 0xE8, v, 0x3F, { abs: 'fill' },
+                ...setDst(rings ? rings[v].halfB : 0), ...setCnt(triplets(rings && rings[v])), 0xE8, v, 0x3F, { abs: 'fill' }
+            ]),
+            0x8F, 0x7C, 0xF2, 0x8F, 0x00, 0xF3,   // clear ENDX
+            0x8F, 0x4C, 0xF2, 0x8F, keyOnMask, 0xF3, // KON
+            0x8F, 0x7C, 0xF2,
+            'main:',
+            0xE4, 0xF3,                           // mov a,$f3 (ENDX)
+            0x68, keyOnMask,                      // wait until every voice has finished its half
+            0xD0, { rel: 'main' },
+            0xC4, 0xF3,                           // any write clears ENDX
+            ...voices.flatMap((voice, v) => [0x3F, { abs: `voice${v}` }]),
+            0x8F, 0x7C, 0xF2,
+            0x2F, { rel: 'main' },
+
+            // A voice finished a half: loop back to it after the other half, and refill it
+            ...voices.flatMap((voice, v) => {
+                const ring = rings ? rings[v] : { halfA: 0, halfB: 0 };
+                const dirLoop = dirAddress + v * 4 + 2;
+                return [
+                    `voice${v}:`,
+                    0xE4, SPC_CUR + v, 0x48, 0x01, 0xC4, SPC_CUR + v, // cur ^= 1
+                    0xF0, { rel: `finishedB${v}` },
+                    0xE8, ring.halfA & 0xFF, 0x8D, ring.halfA >> 8,
+                    0x2F, { rel: `refill${v}` },
+                    `finishedB${v}:`,
+                    0xE8, ring.halfB & 0xFF, 0x8D, ring.halfB >> 8,
+                    `refill${v}:`,
+                    0xC5, dirLoop & 0xFF, dirLoop >> 8,   // mov !dirLoop,a
+                    0xCC, (dirLoop + 1) & 0xFF, (dirLoop + 1) >> 8,
+                    0xDA, SPC_DST,
+                    ...setCnt(triplets(rings && rings[v])),
+                    0xE8, v,
+                    0x5F, { abs: 'fill' }
+                ];
+            }),
+
+            // Request a half for channel A and receive it into (dst), 3 bytes per handshake
+            'fill:',
+            0xC4, 0xF5,                           // port 1 = channel
+            0xAB, SPC_ACK, 0xFA, SPC_ACK, 0xF4,   // port 0 = ++ack
+            0x8D, 0x00,                           // mov y,#0
+            'fill_loop:',
+            0xE4, SPC_ACK, 0xBC,                  // a = ack + 1
+            'fill_wait:',
+            0x64, 0xF4,                           // cmp a,$f4
+            0xD0, { rel: 'fill_wait' },
+            0xE4, 0xF5, 0xD7, SPC_DST, 0x3A, SPC_DST,
+            0xE4, 0xF6, 0xD7, SPC_DST, 0x3A, SPC_DST,
+            0xE4, 0xF7, 0xD7, SPC_DST, 0x3A, SPC_DST,
+            0xAB, SPC_ACK, 0xFA, SPC_ACK, 0xF4,   // echo the counter
+            0x1A, SPC_CNT,                        // decw cnt
+            0xD0, { rel: 'fill_loop' },
+            // Mark the last block of the half END+LOOP
+            0xBA, SPC_DST, 0x9A, SPC_NINE, 0xDA, SPC_DST,
+            0x8D, 0x00,
+            0xF7, SPC_DST, 0x08, 0x03, 0xD7, SPC_DST,
+            0x6F                                  // ret
+        ];
+        return assemble(SPC_DRIVER_ORIGIN, code).bytes;
+    };
+
+    const dirAddress = (SPC_DRIVER_ORIGIN + program(0, null).length + 0xFF) & ~0xFF;
+    const rings = planRingBuffers(dirAddress + voices.length * 4, voices.map(voice => voice.pitch));
+    const code = program(dirAddress, rings);
+
+    const image = new Uint8Array(dirAddress + voices.length * 4 - SPC_DRIVER_ORIGIN);
+    image.set(code, 0);
+    rings.forEach((ring, v) => {
+        const entry = dirAddress - SPC_DRIVER_ORIGIN + v * 4;
+        image[entry] = ring.halfA & 0xFF;
+        image[entry + 1] = ring.halfA >> 8;
+        image[entry + 2] = ring.halfB & 0xFF;  // First loop goes to half B
+        image[entry + 3] = ring.halfB >> 8;
+    });
+    return { image, rings };
+}
+
+/**
+ * Builds the 65816 player. It uploads the SPC700 driver through the IPL boot ROM, then
+ * answers the driver's refill requests from the channel streams in ROM. A stream that
+ * reaches its end jumps to its loop point, or sends silence when it doesn't loop.
+ * @param {string} mapping "lorom" or "hirom", which decides how stream pointers cross banks.
+ * @param {Uint8Array} driverImage The SPC700 image from buildSpcDriver.
+ * @param {Uint8Array} params The channel parameter records (PARAM_SIZE bytes each).
+ * @returns {{code: Uint8Array, reset: number, interrupt: number}} The code (with the driver and
+ * parameters appended), to be placed so that it runs from $00:8000, and its vector addresses.
+ */
+function buildCpuPlayer(mapping, driverImage, params) {
+    const channelCount = params.length / PARAM_SIZE;
+    const param = (field) => ({ abs: 'params', offset: field });
+    const code = [
+        'reset:',
+        0x78, 0x18, 0xFB,                     // sei ; clc ; xce
+        0xC2, 0x10, 0xE2, 0x20,               // rep #$10 ; sep #$20
+        0xA2, 0xFF, 0x1F, 0x9A,               // ldx #$1fff ; txs
+        0xA9, 0x80, 0x8D, 0x00, 0x21,         // force blank
+        0x9C, 0x00, 0x42,                     // NMI and joypad polling off
+
+        // Copy each channel's start pointer to its stream pointer
+        0xA2, 0x00, 0x00,
+        'copy:',
+        ...Array.from({ length: channelCount }, (_, c) => [
+            0xBD, param(c * PARAM_SIZE + PARAM_START),    // lda params+start,x
+            0x95, CPU_PTRS + c * 3                        // sta ptrs,x
+        ]).flat(),
+        0xE8, 0xE0, 0x03, 0x00,               // inx ; cpx #3
+        0xD0, { rel: 'copy' },
+
+        // Upload the driver with the IPL protocol
+        0xC2, 0x20, 0xA9, 0xAA, 0xBB,         // rep #$20 ; lda #$bbaa
+        'wait_ipl:',
+        0xCD, 0x40, 0x21, 0xD0, { rel: 'wait_ipl' },
+        0xA9, SPC_DRIVER_ORIGIN & 0xFF, SPC_DRIVER_ORIGIN >> 8, 0x8D, 0x42, 0x21,
+        0xE2, 0x20,
+        0xA9, 0x01, 0x8D, 0x41, 0x21,
+        0xA9, 0xCC, 0x8D, 0x40, 0x21,
+        'wait_cc:',
+        0xCD, 0x40, 0x21, 0xD0, { rel: 'wait_cc' },
+        0xA2, 0x00, 0x00,
+        'upload:',
+        0xBD, { abs: 'driver' }, 0x8D, 0x41, 0x21,  // lda driver,x ; sta $2141
+        0x8A, 0x8D, 0x40, 0x21,                     // txa ; sta $2140
+        'wait_byte:',
+        0xCD, 0x40, 0x21, 0xD0, { rel: 'wait_byte' },
+        0xE8, 0xE0, driverImage.length & 0xFF, driverImage.length >> 8,
+        0xD0, { rel: 'upload' },
+        0xC2, 0x20,
+        0xA9, SPC_DRIVER_ORIGIN & 0xFF, SPC_DRIVER_ORIGIN >> 8, 0x8D, 0x42, 0x21,
+        0xE2, 0x20,
+        0x9C, 0x41, 0x21,                     // stz $2141: jump
+        0x8A, 0x1A, 0x8D, 0x40, 0x21,         // txa ; inc a ; sta $2140
+        'wait_jump:',
+        0xCD, 0x40, 0x21, 0xD0, { rel: 'wait_jump' },
+        0x85, CPU_LAST,
+
+        // Wait for a request: a new, stable value in port 0
+        'main:',
+        0xAD, 0x40, 0x21, 0xCD, 0x40, 0x21,   // lda $2140 ; cmp $2140
+        0xD0, { rel: 'main' },
+        0xC5, CPU_LAST,
+        0xF0, { rel: 'main' },
+        0x85, CPU_SEQ,
+        0xAD, 0x41, 0x21, 0x29, 0x01,         // channel = port 1 & 1
+        0xF0, { rel: 'channel0' },
+        0xA2, PARAM_SIZE, 0x00, 0xA0, 0x03, 0x00,   // ldx #param record ; ldy #pointer offset
+        0x80, { rel: 'serve' },
+        'channel0:',
+        0xA2, 0x00, 0x00, 0xA0, 0x00, 0x00,
+        'serve:',
+        0xB9, CPU_PTRS, 0x00, 0x85, CPU_WPTR,       // wptr = ptrs[y]
+        0xB9, CPU_PTRS + 1, 0x00, 0x85, CPU_WPTR + 1,
+        0xB9, CPU_PTRS + 2, 0x00, 0x85, CPU_WPTR + 2,
+        0xC2, 0x20, 0xBD, param(PARAM_TRIPLETS), 0x85, CPU_COUNT, 0xE2, 0x20,
+        0x5A,                                 // phy
+        // Streams are whole 9-byte blocks, so the end can only be reached between triplets
+        'triplet:',
+        0xA5, CPU_WPTR + 2, 0xDD, param(PARAM_END + 2),
+        0xD0, { rel: 'read' },
+        0xC2, 0x20, 0xA5, CPU_WPTR, 0xDD, param(PARAM_END), 0xE2, 0x20,
+        0xD0, { rel: 'read' },
+        0xBD, param(PARAM_LOOP_FLAG),
+        0xD0, { rel: 'loop' },
+        0x9C, 0x41, 0x21, 0x9C, 0x42, 0x21, 0x9C, 0x43, 0x21,   // past the end: silence
+        0x80, { rel: 'send' },
+        'loop:',
+        0xC2, 0x20, 0xBD, param(PARAM_LOOP), 0x85, CPU_WPTR, 0xE2, 0x20,
+        0xBD, param(PARAM_LOOP + 2), 0x85, CPU_WPTR + 2,
+        'read:',
+        ...[0x41, 0x42, 0x43].flatMap(port => [
+            0xA7, CPU_WPTR, 0x8D, port, 0x21,         // lda [wptr] ; sta $214x
+            0xC2, 0x20, 0xE6, CPU_WPTR, 0xE2, 0x20,   // 16-bit inc (sep keeps Z)
+            0xD0, { rel: `read_${port}` },
+            0x20, { abs: 'next_bank' },
+            `read_${port}:`
+        ]),
+        'send:',
+        0xE6, CPU_SEQ, 0xA5, CPU_SEQ, 0x8D, 0x40, 0x21,
+        'wait_ack:',
+        0xCD, 0x40, 0x21, 0xD0, { rel: 'wait_ack' },
+        0xC2, 0x20, 0xC6, CPU_COUNT, 0xE2, 0x20,    // 16-bit dec count
+        0xF0, { rel: 'served' },
+        0x4C, { abs: 'triplet' },
+        'served:',
+        0x7A,                                 // ply
+        0xA5, CPU_WPTR, 0x99, CPU_PTRS, 0x00,       // ptrs[y] = wptr
+        0xA5, CPU_WPTR + 1, 0x99, CPU_PTRS + 1, 0x00,
+        0xA5, CPU_WPTR + 2, 0x99, CPU_PTRS + 2, 0x00,
+        0xA5, CPU_SEQ, 0x85, CPU_LAST,
+        0x4C, { abs: 'main' },
+
+        // The stream pointer ran off the end of a bank
+        'next_bank:',
+        ...(mapping === 'lorom' ? [0xC2, 0x20, 0xA9, 0x00, 0x80, 0x85, CPU_WPTR, 0xE2, 0x20] : []),
+        0xE6, CPU_WPTR + 2,
+        0x60,
+
+        'interrupt:',
+        0x40                                  // rti
+    ];
+
+    // The driver image and parameter records follow the code
+    const codeOnly = assemble(0x8000, code, { driver: 0, params: 0 });
+    const driverAddress = 0x8000 + codeOnly.bytes.length;
+    const { bytes, labels } = assemble(0x8000, code, { driver: driverAddress, params: driverAddress + driverImage.length });
+    const player = new Uint8Array(bytes.length + driverImage.length + params.length);
+    player.set(bytes, 0);
+    player.set(driverImage, bytes.length);
+    player.set(params, bytes.length + driverImage.length);
+    return { code: player, reset: labels.reset, interrupt: labels.interrupt };
+}
+
+/**
+ * Maps a file offset to a 24-bit SNES address for the chosen mapping.
+ * Data in LoROM uses the $80-$FF mirrors so banks $7E/$7F (WRAM) are never hit.
+ */
+function romAddress(mapping, fileOffset) {
+    if (mapping === 'lorom') {
+        return { bank: 0x80 + (fileOffset >> 15), offset: 0x8000 | (fileOffset & 0x7FFF) };
+    }
+    return { bank: 0xC0 + (fileOffset >> 16), offset: fileOffset & 0xFFFF };
+}
+
+/**
+ * Packs BRR blocks into one stream with the END/LOOP flags cleared; the driver sets
+ * them itself on the ring buffer halves.
+ */
+function packStream(blocks) {
+    const stream = new Uint8Array(blocks.length * 9);
+    for (let i = 0; i < blocks.length; i++) {
+        stream.set(blocks[i], i * 9);
+        stream[i * 9] &= 0xFC;
+    }
+    return stream;
+}
+
+/**
+ * Builds a playable SNES ROM image for an encode in any stereo mode.
+ * @param {object} song
+ * @param {string} [song.stereoMode] A STEREO_MODES key (default "ms", or "mono" without a side stream).
+ * @param {Uint8Array[]} song.mid The first stream's BRR blocks.
+ * @param {Uint8Array[]|null} song.side The second stream's BRR blocks, or null for a mono song.
+ * @param {number} song.midSampleRate The first stream's sample rate.
+ * @param {number} song.sideSampleRate The second stream's sample rate.
+ * @param {{mid: number|null, side: number|null}} song.loopBlocks Loop-start blocks (null to play once).
+ * @param {string} song.title The internal ROM title (ASCII, up to 21 characters).
+ * @param {string} mapping "lorom" or "hirom".
+ * @param {number} romSizeKB The ROM size in KB, one of ROM_SIZES_KB.
+ * @returns {Uint8Array} The .sfc image.
+ */
+function buildRom(song, mapping, romSizeKB) {
+    const layout = ROM_MAPPINGS[mapping];
+    if (!layout) throw new Error(`Unknown ROM mapping "${mapping}".`);
+    if (!ROM_SIZES_KB.includes(romSizeKB)) throw new Error(`Unsupported ROM size ${romSizeKB} KB.`);
+
+    const romSize = romSizeKB * 1024;
+    const { volumes } = STEREO_MODES[song.stereoMode || (song.side ? 'ms' : 'mono')];
+    const channels = [
+        { blocks: song.mid, loopBlock: song.loopBlocks.mid, sampleRate: song.midSampleRate },
+        { blocks: song.side, loopBlock: song.loopBlocks.side, sampleRate: song.sideSampleRate }
+    ].filter(channel => channel.blocks);
+    if (channels.length !== volumes.length) throw new Error('The streams do not match the stereo mode.');
+    const slow = romTransferProblem(channels);
+    if (slow) throw new Error(slow);
+    const streams = channels.map(channel => ({ data: packStream(channel.blocks), loopBlock: channel.loopBlock }));
+    const audioBytes = streams.reduce((sum, stream) => sum + stream.data.length, 0);
+    const capacity = romDataCapacity(mapping, romSizeKB);
+    if (audioBytes > capacity) {
+        throw new Error(`The song needs ${(audioBytes / 1024).toFixed(1)} KB of BRR data, but a ${romSizeKB} KB ROM ` +
+            `only has room for ${(capacity / 1024).toFixed(1)} KB. Choose a bigger ROM or lower the sample rates.`);
+    }
+
+    const { image: driverImage, rings } = buildSpcDriver(channels.map((channel, c) => (
+        { pitch: pitchForRate(channel.sampleRate), volumeLeft: volumes[c][0], volumeRight: volumes[c][1] }
+    )));
+
+    const rom = new Uint8Array(romSize);
+    const params = new Uint8Array(streams.length * PARAM_SIZE);
+    const writeAddress = (offset, fileOffset) => {
+        const { bank, offset: address } = romAddress(mapping, fileOffset);
+        params[offset] = address & 0xFF;
+        params[offset + 1] = address >> 8;
+        params[offset + 2] = bank;
+    };
+    let fileOffset = layout.dataOffset;
+    streams.forEach((stream, c) => {
+        const record = c * PARAM_SIZE;
+        rom.set(stream.data, fileOffset);
+        writeAddress(record + PARAM_START, fileOffset);
+        writeAddress(record + PARAM_END, fileOffset + stream.data.length);
+        writeAddress(record + PARAM_LOOP, fileOffset + (stream.loopBlock || 0) * 9);
+        params[record + PARAM_LOOP_FLAG] = (stream.loopBlock !== null) ? 1 : 0;
+        params[record + PARAM_TRIPLETS] = (rings[c].halfBlocks * 3) & 0xFF;
+        params[record + PARAM_TRIPLETS + 1] = (rings[c].halfBlocks * 3) >> 8;
+        fileOffset += stream.data.length;
+    });
+
+    const player = buildCpuPlayer(mapping, driverImage, params);
+    if (player.code.length > 0x7FC0) throw new Error('The player code does not fit in bank 0.');
+    rom.set(player.code, layout.codeOffset);
+    writeRomHeader(rom, layout, song.title, romSizeKB, player);
+    return rom;
+}
+
+/**
+ * How many bytes of BRR data fit in a ROM of the given mapping and size.
+ * @param {string} mapping "lorom" or "hirom".
+ * @param {number} romSizeKB One of ROM_SIZES_KB.
+ * @returns {number}
+ */
+function romDataCapacity(mapping, romSizeKB) {
+    return romSizeKB * 1024 - ROM_MAPPINGS[mapping].dataOffset;
+}
+
+/**
+ * Whether the player can feed the voices fast enough. It refills the ring buffers from ROM
+ * with no packet headers, so only the BRR blocks count against what its receive loop moves.
+ * @param {{sampleRate: number}[]} channels The streams' sample rates.
+ * @returns {string|null} Why the player can't keep up, or null if it can.
+ */
+function romTransferProblem(channels) {
+    // The smallest packet holds two blocks, so its packets per frame give the blocks per frame exactly
+    const rates = streamTransferRates(channels, STREAM_MIN_PACKET, ROM_TRANSFER_ROUTINE);
+    const blockBytes = STREAM_MIN_PACKET - STREAM_PACKET_HEADER;
+    const slow = Object.keys(rates).filter(system => rates[system].packetsPerFrame * blockBytes > rates[system].capacity);
+    if (!slow.length) return null;
+    const bytesPerSecond = channels.reduce((total, channel) => total + channel.sampleRate * 9 / 16, 0);
+    const capacity = Math.min(...slow.map(system => rates[system].capacity * TV_SYSTEMS[system].frameRate));
+    return `These sample rates need ${(bytesPerSecond / 1024).toFixed(1)} KB/s of BRR data, but the ROM player only ` +
+        `moves about ${(capacity / 1024).toFixed(1)} KB/s to the sound chip on ${slow.map(system => TV_SYSTEMS[system].label).join(' or ')}. ` +
+        'Lower the sample rates.';
+}
+
+/**
+ * Writes the internal header and interrupt vectors, then fixes up the checksum.
+ */
+function writeRomHeader(rom, layout, title, romSizeKB, player) {
+    const header = layout.headerOffset;
+    const asciiTitle = title.replace(/[^\x20-\x7E]/g, '?').toUpperCase().slice(0, 21).padEnd(21, ' ');
+    for (let i = 0; i < 21; i++) rom[header + i] = asciiTitle.charCodeAt(i);
+    rom[header + 0x15] = layout.mapMode;
+    rom[header + 0x16] = 0x00;                    // ROM only
+    rom[header + 0x17] = Math.log2(romSizeKB);    // ROM size: 1 << n KB
+    rom[header + 0x18] = 0x00;                    // No SRAM
+    rom[header + 0x19] = 0x01;                    // North America
+    rom[header + 0x1A] = 0x00;
+    rom[header + 0x1B] = 0x00;                    // Version
+
+    const setWord = (offset, value) => {
+        rom[header + offset] = value & 0xFF;
+        rom[header + offset + 1] = (value >> 8) & 0xFF;
+    };
+    // Native mode vectors (COP, BRK, ABORT, NMI, -, IRQ), then emulation mode (COP, -, ABORT, NMI, RESET, IRQ)
+    [0x24, 0x26, 0x28, 0x2A, 0x2E, 0x34, 0x38, 0x3A, 0x3E].forEach(offset => setWord(offset, player.interrupt));
+    setWord(0x3C, player.reset);
+
+    setWord(0x1C, 0xFFFF);
+    setWord(0x1E, 0x0000);
+    let checksum = 0;
+    for (let i = 0; i < rom.length; i++) checksum = (checksum + rom[i]) & 0xFFFF;
+    setWord(0x1C, checksum ^ 0xFFFF);
+    setWord(0x1E, checksum);
+}
@@ -0,0 +1,161 @@
+// SPC export: a snapshot of the sound chip with the whole song in audio RAM, for SPC players
+// and emulators. Unlike the ROM, nothing is streamed, so only short songs and loops fit.
+//
+// ARAM layout:
+//  - $0000-$01FF: direct page and stack.
+//  - $0200: a tiny driver that keys the voices on and then idles. Every other DSP
+//    register is already set in the snapshot.
+//  - The sample directory on the next page, then the BRR streams one after another.
+//  - $FF00: the echo buffer. Echo is off (EDL = 0, echo writes disabled), but the
+//    region stays free so the IPL ROM at $FFC0 doesn't cover any data either.
+//
+// Uses assemble from rom.js, pitchForRate from dsp.js and STEREO_MODES from processing.js.
+
+const SPC_HEADER = 'SNES-SPC700 Sound File Data v0.30';
+const SPC_FILE_SIZE = 0x10200;
+const SPC_RAM_OFFSET = 0x100;
+const SPC_DSP_OFFSET = 0x10100;
+const SPC_ECHO_START = 0xFF00;
+// How long players keep a looping song going, and how it fades out
+const SPC_LOOP_PASSES = 2;
+const SPC_LOOP_FADE_MS = 5000;
+
+/**
+ * Builds the driver: key off nothing, key on every voice, then loop forever.
+ * @param {number} voiceCount The number of voices (1 or 2).
+ * @returns {Uint8Array} The code to place at SPC_DRIVER_ORIGIN.
+ */
+function buildSpcSnapshotDriver(voiceCount) {
+    return assemble(SPC_DRIVER_ORIGIN, [
+        0x8F, 0x5C, 0xF2, 0x8F, 0x00, 0xF3,                   // KOFF = 0
+        0x8F, 0x4C, 0xF2, 0x8F, (1 << voiceCount) - 1, 0xF3, // KON
+        'idle:',
+        0x2F, { rel: 'idle' }                                // bra idle
+    ]).bytes;
+}
+
+/**
+ * Where the BRR data goes in ARAM, and how much room it has.
+ * @param {number} voiceCount The number of voices (1 or 2).
+ * @returns {{directory: number, dataStart: number, capacity: number}}
+ */
+function spcLayout(voiceCount) {
+    const directory = (SPC_DRIVER_ORIGIN + buildSpcSnapshotDriver(voiceCount).length + 0xFF) & ~0xFF;
+    const dataStart = directory + voiceCount * 4;
+    return { directory, dataStart, capacity: SPC_ECHO_START - dataStart };
+}
+
+/**
+ * Checks that the streams fit in ARAM.
+ * @param {{blocks: Uint8Array[], sampleRate: number}[]} channels The streams.
+ * @returns {string|null} Why they don't fit, or null if they do.
+ */
+function spcSpaceProblem(channels) {
+    const { capacity } = spcLayout(channels.length);
+    const dataBytes = channels.reduce((total, channel) => total + channel.blocks.length * 9, 0);
+    if (dataBytes <= capacity) return null;
+    const bytesPerSecond = channels.reduce((total, channel) => total + channel.sampleRate * 9 / 16, 0);
+    return `The song needs ${(dataBytes / 1024).toFixed(1)} KB of BRR data, but an SPC file only has ` +
+        `${(capacity / 1024).toFixed(1)} KB of audio RAM for it, between the player and the echo buffer at ` +
+        `$${SPC_ECHO_START.toString(16).toUpperCase()}. That's about ${(capacity / bytesPerSecond).toFixed(1)} seconds ` +
+        'at these sample rates: trim the song, set a shorter loop or lower the sample rates.';
+}
+
+/**
+ * How long a player should play the song: once through, or the intro and SPC_LOOP_PASSES
+ * passes of the loop, whichever voice takes longest.
+ * @returns {{seconds: number, fadeMs: number}}
+ */
+function spcPlayLength(channels) {
+    const looping = channels.some(channel => channel.loopBlock !== null);
+    const seconds = Math.max(...channels.map(channel => {
+        const blocks = (channel.loopBlock === null) ? channel.blocks.length
+            : channel.loopBlock + SPC_LOOP_PASSES * (channel.blocks.length - channel.loopBlock);
+        return blocks * 16 / channel.sampleRate;
+    }));
+    return { seconds: Math.min(999, Math.ceil(seconds)), fadeMs: looping ? SPC_LOOP_FADE_MS : 0 };
+}
+
+/**
+ * Writes a text field of the ID666 tag: ASCII, cut to the field and padded with zeros.
+ */
+function writeSpcText(file, offset, length, text) {
+    const ascii = String(text).replace(/[^\x20-\x7E]/g, '?').slice(0, length);
+    for (let i = 0; i < ascii.length; i++) file[offset + i] = ascii.charCodeAt(i);
+}
+
+/**
+ * Builds an .spc file that plays an encode in any stereo mode.
+ * @param {object} song
+ * @param {string} [song.stereoMode] A STEREO_MODES key (default "ms", or "mono" without a side stream).
+ * @param {Uint8Array[]} song.mid The first stream's BRR blocks, with their END/LOOP flags.
+ * @param {Uint8Array[]|null} song.side The second stream's BRR blocks, or null for a mono song.
+ * @param {number} song.midSampleRate The first stream's sample rate.
+ * @param {number} song.sideSampleRate The second stream's sample rate.
+ * @param {{mid: number|null, side: number|null}} song.loopBlocks Loop-start blocks (null to play once).
+ * @param {string} [song.title] The song title for the ID666 tag.
+ * @param {string} [song.artist] The artist for the ID666 tag.
+ * @param {Date} [song.date] The date for the ID666 tag (default: now).
+ * @returns {Uint8Array} The .spc file.
+ */
+function buildSpc(song) {
+    const { volumes, labels } = STEREO_MODES[song.stereoMode || (song.side ? 'ms' : 'mono')];
+    const channels = [
+        { blocks: song.mid, loopBlock: song.loopBlocks.mid, sampleRate: song.midSampleRate },
+        { blocks: song.side, loopBlock: song.loopBlocks.side, sampleRate: song.sideSampleRate }
+    ].filter(channel => channel.blocks);
+    if (channels.length !== volumes.length) throw new Error('The streams do not match the stereo mode.');
+
+    const problem = spcSpaceProblem(channels);
+    if (problem) throw new Error(problem);
+    const { directory, dataStart } = spcLayout(channels.length);
+
+    const file = new Uint8Array(SPC_FILE_SIZE);
+    writeSpcText(file, 0, 33, SPC_HEADER);
+    file[0x21] = 26;
+    file[0x22] = 26;
+    file[0x23] = 26;                              // Has an ID666 tag
+    file[0x24] = 30;                              // Minor version
+    // CPU registers: PC at the driver, A, X, Y and PSW cleared, SP as the IPL leaves it
+    file[0x25] = SPC_DRIVER_ORIGIN & 0xFF;
+    file[0x26] = SPC_DRIVER_ORIGIN >> 8;
+    file[0x2B] = 0xEF;
+
+    // ID666 tag, text format
+    const date = song.date || new Date();
+    const { seconds, fadeMs } = spcPlayLength(channels);
+    writeSpcText(file, 0x2E, 32, song.title || '');
+    writeSpcText(file, 0x4E, 32, 'SP3-Conv');
+    writeSpcText(file, 0x6E, 16, 'SP3-Conv');
+    writeSpcText(file, 0x7E, 32, channels.map((channel, c) => `${labels[c]} ${Math.round(channel.sampleRate)} Hz`).join(', '));
+    writeSpcText(file, 0x9E, 11, `${String(date.getMonth() + 1).padStart(2, '0')}/${String(date.getDate()).padStart(2, '0')}/${date.getFullYear()}`);
+    writeSpcText(file, 0xA9, 3, String(seconds));
+    writeSpcText(file, 0xAC, 5, String(fadeMs));
+    writeSpcText(file, 0xB1, 32, song.artist || '');
+
+    // ARAM: driver, directory and streams
+    const ram = file.subarray(SPC_RAM_OFFSET, SPC_RAM_OFFSET + 0x10000);
+    ram[0xF1] = 0x80;                             // CONTROL: IPL ROM mapped, timers off
+    ram.set(buildSpcSnapshotDriver(channels.length), SPC_DRIVER_ORIGIN);
+    let address = dataStart;
+    channels.forEach((channel, c) => {
+        const loop = address + (channel.loopBlock || 0) * 9;
+        ram.set([address & 0xFF, address >> 8, loop & 0xFF, loop >> 8], directory + c * 4);
+        channel.blocks.forEach((block, b) => ram.set(block, address + b * 9));
+        address += channel.blocks.length * 9;
+    });
+
+    // DSP registers, everything but the key-on the driver does
+    const dsp = file.subarray(SPC_DSP_OFFSET, SPC_DSP_OFFSET + 0x80);
+    channels.forEach((channel, v) => {
+        const pitch = pitchForRate(channel.sampleRate);
+        dsp.set([volumes[v][0] & 0xFF, volumes[v][1] & 0xFF, pitch & 0xFF, pitch >> 8, v, 0x00, 0x00, 0x7F], v << 4);
+    });
+    dsp[0x0C] = 0x7F;                             // Main volume
+    dsp[0x1C] = 0x7F;
+    dsp[0x5D] = directory >> 8;                   // DIR
+    dsp[0x6C] = 0x20;                             // FLG: unmuted, echo writes off
+    dsp[0x6D] = SPC_ECHO_START >> 8;              // ESA
+    dsp[0x7D] = 0x00;                             // EDL
+    return file;
+}
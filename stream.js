@@ -0,0 +1,187 @@
+// Streaming export: the BRR streams cut into fixed-size packets for players that copy one
+// packet at a time into audio RAM, e.g. during vblank, and the transfer rate that takes.
+//
+// File layout (all values little-endian):
+//  - A 24-byte header: "SP3S", the format version, the channel count, the packet size
+//    (16 bits), the packet count and the loop packet (32 bits each, $FFFFFFFF without a
+//    loop), each voice's pitch register value (16 bits) and its left and right volume.
+//  - The packets. Each starts with STREAM_PACKET_HEADER bytes: the number of blocks of
+//    the first and of the second channel, flags (STREAM_FLAG_LOOP on the first packet of
+//    the loop, STREAM_FLAG_LAST on the last packet) and a sequence number that wraps at
+//    256. The first channel's blocks follow, then the second's, then zero padding.
+//
+// Packets only split the streams between whole blocks and keep each channel's blocks in
+// order, so the decoder's history carries over from packet to packet exactly as if the
+// stream were one file. The END/LOOP flags are cleared: the player sets them itself
+// where its ring buffer wraps. When the song loops, the loop starts on a packet of its
+// own, so the player can send the packets from the loop packet on again.
+//
+// Uses packStream from rom.js, pitchForRate from dsp.js and STEREO_MODES from processing.js.
+
+const STREAM_FORMAT_VERSION = 1;
+const STREAM_FILE_HEADER = 24;
+const STREAM_PACKET_HEADER = 4;
+const STREAM_FLAG_LOOP = 0x01;
+const STREAM_FLAG_LAST = 0x02;
+const STREAM_NO_LOOP = 0xFFFFFFFF;
+// At least one block per channel, and block counts that fit in a byte
+const STREAM_MIN_PACKET = STREAM_PACKET_HEADER + 18;
+const STREAM_MAX_PACKET = STREAM_PACKET_HEADER + 255 * 9;
+
+const SPC_CLOCK = 1024000;
+// Frame rates and vertical blanks (scanlines 225 up to the end of the frame) of both TV systems
+const TV_SYSTEMS = {
+    ntsc: { label: 'NTSC', frameRate: 21477272 / (1364 * 262 - 2), vblankSeconds: 37 * 1364 / 21477272 },
+    pal: { label: 'PAL', frameRate: 21281370 / (1364 * 312), vblankSeconds: 87 * 1364 / 21281370 }
+};
+
+/**
+ * Transfer routines, by the SPC700 cycles one handshake of their receive loop takes. The
+ * SPC700 is the slower side, so this sets the rate as long as the 65816 keeps up.
+ *  - byte: the IPL boot ROM's loop, one byte per handshake.
+ *  - triplet: the ROM player's loop, three bytes per handshake through (dp)+Y with a word pointer.
+ *  - fast: three bytes per handshake into absolute+X addresses, unrolled.
+ * "wholeFrame" routines may also transfer outside vblank, like the ROM player, which does nothing else.
+ */
+const TRANSFER_ROUTINES = {
+    byte: { label: '1 byte per handshake (IPL loop), vblank', bytesPerHandshake: 1, spcCycles: 25 },
+    triplet: { label: '3 bytes per handshake (ROM player loop), vblank', bytesPerHandshake: 3, spcCycles: 77 },
+    fast: { label: '3 bytes per handshake, unrolled, vblank', bytesPerHandshake: 3, spcCycles: 48 },
+    tripletFrame: { label: '3 bytes per handshake (ROM player loop), whole frame', bytesPerHandshake: 3, spcCycles: 77, wholeFrame: true }
+};
+
+/**
+ * How many bytes a transfer routine can move in one frame.
+ * @param {string} routine A TRANSFER_ROUTINES key.
+ * @param {string} system A TV_SYSTEMS key.
+ * @returns {number}
+ */
+function transferCapacity(routine, system) {
+    const { bytesPerHandshake, spcCycles, wholeFrame } = TRANSFER_ROUTINES[routine];
+    const { frameRate, vblankSeconds } = TV_SYSTEMS[system];
+    const seconds = wholeFrame ? 1 / frameRate : vblankSeconds;
+    return Math.floor(seconds * SPC_CLOCK / spcCycles) * bytesPerHandshake;
+}
+
+/**
+ * Fills packets from one section of the streams (the intro, or the loop). Each block goes
+ * to the channel that is furthest behind in playing time, so the channels share every
+ * packet in the ratio of their sample rates.
+ * @param {{data: Uint8Array, sampleRate: number}[]} channels
+ * @param {number[]} starts The section's first block of each channel.
+ * @param {number[]} ends The block after the section's last, for each channel.
+ * @param {number} capacity The blocks per packet.
+ * @returns {number[][]} For each packet, the number of blocks of each channel.
+ */
+function fillStreamPackets(channels, starts, ends, capacity) {
+    const next = [...starts];
+    const packets = [];
+    while (next.some((block, c) => block < ends[c])) {
+        const counts = channels.map(() => 0);
+        for (let taken = 0; taken < capacity; taken++) {
+            let pick = -1;
+            channels.forEach((channel, c) => {
+                if (next[c] >= ends[c] || counts[c] === 255) return;
+                const time = (next[c] - starts[c]) / channel.sampleRate;
+                if (pick < 0 || time < (next[pick] - starts[pick]) / channels[pick].sampleRate) pick = c;
+            });
+            if (pick < 0) break;
+            counts[pick]++;
+            next[pick]++;
+        }
+        packets.push(counts);
+    }
+    return packets;
+}
+
+/**
+ * Cuts a song's BRR streams into packets.
+ * @param {object} song
+ * @param {string} [song.stereoMode] A STEREO_MODES key (default "ms", or "mono" without a side stream).
+ * @param {Uint8Array[]} song.mid The first stream's BRR blocks.
+ * @param {Uint8Array[]|null} song.side The second stream's BRR blocks, or null for a mono song.
+ * @param {number} song.midSampleRate The first stream's sample rate.
+ * @param {number} song.sideSampleRate The second stream's sample rate.
+ * @param {{mid: number|null, side: number|null}} song.loopBlocks Loop-start blocks (null to play once).
+ * @param {number} packetSize The packet size in bytes, header included.
+ * @returns {{file: Uint8Array, packetCount: number, loopPacket: number|null, blocksPerPacket: number}}
+ */
+function buildStream(song, packetSize) {
+    if (!Number.isInteger(packetSize) || packetSize < STREAM_MIN_PACKET || packetSize > STREAM_MAX_PACKET) {
+        throw new Error(`The packet size must be from ${STREAM_MIN_PACKET} to ${STREAM_MAX_PACKET} bytes.`);
+    }
+    const { volumes } = STEREO_MODES[song.stereoMode || (song.side ? 'ms' : 'mono')];
+    const channels = [
+        { blocks: song.mid, loopBlock: song.loopBlocks.mid, sampleRate: song.midSampleRate },
+        { blocks: song.side, loopBlock: song.loopBlocks.side, sampleRate: song.sideSampleRate }
+    ].filter(channel => channel.blocks).map(channel => ({ ...channel, data: packStream(channel.blocks) }));
+    if (channels.length !== volumes.length) throw new Error('The streams do not match the stereo mode.');
+
+    const capacity = Math.floor((packetSize - STREAM_PACKET_HEADER) / 9);
+    const looping = channels.every(channel => channel.loopBlock !== null);
+    const lengths = channels.map(channel => channel.blocks.length);
+    const loopStarts = channels.map(channel => looping ? channel.loopBlock : channel.blocks.length);
+    const intro = fillStreamPackets(channels, channels.map(() => 0), loopStarts, capacity);
+    const loop = looping ? fillStreamPackets(channels, loopStarts, lengths, capacity) : [];
+    const packets = [...intro, ...loop];
+    const loopPacket = looping ? intro.length : null;
+
+    const file = new Uint8Array(STREAM_FILE_HEADER + packets.length * packetSize);
+    const view = new DataView(file.buffer);
+    [...'SP3S'].forEach((char, i) => { file[i] = char.charCodeAt(0); });
+    file[4] = STREAM_FORMAT_VERSION;
+    file[5] = channels.length;
+    view.setUint16(6, packetSize, true);
+    view.setUint32(8, packets.length, true);
+    view.setUint32(12, looping ? loopPacket : STREAM_NO_LOOP, true);
+    channels.forEach((channel, c) => {
+        view.setUint16(16 + c * 2, pitchForRate(channel.sampleRate), true);
+        file[20 + c * 2] = volumes[c][0] & 0xFF;
+        file[21 + c * 2] = volumes[c][1] & 0xFF;
+    });
+
+    const next = channels.map(() => 0);
+    packets.forEach((counts, p) => {
+        let offset = STREAM_FILE_HEADER + p * packetSize;
+        file[offset] = counts[0];
+        file[offset + 1] = counts[1] || 0;
+        file[offset + 2] = ((p === loopPacket) ? STREAM_FLAG_LOOP : 0) | ((p === packets.length - 1) ? STREAM_FLAG_LAST : 0);
+        file[offset + 3] = p & 0xFF;
+        offset += STREAM_PACKET_HEADER;
+        channels.forEach((channel, c) => {
+            const bytes = channel.data.subarray(next[c] * 9, (next[c] + counts[c]) * 9);
+            file.set(bytes, offset);
+            offset += bytes.length;
+            next[c] += counts[c];
+        });
+    });
+    return { file, packetCount: packets.length, loopPacket, blocksPerPacket: capacity };
+}
+
+/**
+ * What streaming a song takes per frame on each TV system, and whether a transfer routine
+ * keeps up. A packet is moved in one go, so a frame that needs part of a packet gets all of it.
+ * @param {{sampleRate: number}[]} channels The streams' sample rates.
+ * @param {number} packetSize The packet size in bytes.
+ * @param {string} routine A TRANSFER_ROUTINES key.
+ * @returns {Object<string, {bytesPerFrame: number, packetsPerFrame: number, peakBytes: number, capacity: number, fits: boolean}>}
+ *     By TV_SYSTEMS key: the average bytes and packets per frame, the most bytes one frame
+ *     has to move, and what the routine can move.
+ */
+function streamTransferRates(channels, packetSize, routine) {
+    const capacity = Math.floor((packetSize - STREAM_PACKET_HEADER) / 9);
+    const blocksPerSecond = channels.reduce((total, channel) => total + channel.sampleRate / 16, 0);
+    const packetsPerSecond = blocksPerSecond / capacity;
+    return Object.fromEntries(Object.entries(TV_SYSTEMS).map(([system, { frameRate }]) => {
+        const packetsPerFrame = packetsPerSecond / frameRate;
+        const peakBytes = Math.ceil(packetsPerFrame) * packetSize;
+        const routineCapacity = transferCapacity(routine, system);
+        return [system, {
+            bytesPerFrame: packetsPerFrame * packetSize,
+            packetsPerFrame,
+            peakBytes,
+            capacity: routineCapacity,
+            fits: peakBytes <= routineCapacity
+        }];
+    }));
+}
@@ -0,0 +1,217 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const { loadScripts } = require('./load-scripts');
+
+const app = loadScripts('dither.js', 'processing.js', 'brr.js');
+
+// decodeBRR's output as the 16-bit samples the DSP produces
+const decodeToInt16 = (blocks, options) => Array.from(app.decodeBRR(blocks, options), value => Math.round(value * 32768));
+
+/**
+ * An integer model of the S-DSP decoder, written apart from brr.js: the previous sample
+ * kept doubled, the sum clamped to 16 bits and then doubled with wrapping.
+ */
+function referenceDecode(blocks) {
+    const out = [];
+    let previous1 = 0; // Both doubled
+    let previous2 = 0;
+    for (const block of blocks) {
+        const shift = block[0] >> 4;
+        const filter = (block[0] >> 2) & 3;
+        for (let i = 0; i < 16; i++) {
+            const byte = block[1 + (i >> 1)];
+            let s = (((i & 1) ? (byte & 0x0F) : (byte >> 4)) ^ 8) - 8;
+            s = (shift <= 12) ? (s << shift) >> 1 : (s < 0 ? -2048 : 0);
+            const p1 = previous1;
+            const p2 = previous2 >> 1;
+            if (filter === 1) {
+                s += (p1 >> 1) + ((-p1) >> 5);
+            } else if (filter === 2) {
+                s += p1 - p2 + (p2 >> 4) + ((p1 * -3) >> 6);
+            } else if (filter === 3) {
+                s += p1 - p2 + ((p1 * -13) >> 7) + ((p2 * 3) >> 4);
+            }
+            s = Math.max(-32768, Math.min(32767, s));
+            s = ((s * 2) << 16) >> 16;
+            previous2 = previous1;
+            previous1 = s;
+            out.push(s);
+        }
+    }
+    return out;
+}
+
+// A repeatable generator, so failures can be reproduced
+function random(seed) {
+    return () => (seed = (Math.imul(seed, 1103515245) + 12345) >>> 0) / 4294967296;
+}
+
+test('wrap16 wraps and clamp16 saturates', () => {
+    assert.deepStrictEqual([32767, 32768, 65535, -32769, -65536].map(app.wrap16), [32767, -32768, -1, 32767, 0]);
+    assert.deepStrictEqual([40000, -40000, 1.5, -1.5].map(app.clamp16), [32767, -32768, 2, -1]);
+});
+
+// Worked out with referenceDecode, so these pin the decoder down but don't check the model itself
+test('decodeBRR matches reference vectors', () => {
+    const vectors = [
+        {
+            // Filter 0 at the largest valid shift, every nibble value
+            blocks: [[0xC0, 0x78, 0x01, 0xF0, 0x12, 0x34, 0x56, 0x9A, 0xBC]],
+            expected: [28672, -32768, 0, 4096, -4096, 0, 4096, 8192, 12288, 16384, 20480, 24576, -28672, -24576, -20480, -16384]
+        },
+        {
+            // Filter 1 climbing past the 15-bit range, where the DSP wraps around
+            blocks: [[0xB4, 0x77, 0x77, 0x77, 0x77, 0x77, 0x77, 0x77, 0x77]],
+            expected: [14336, 27776, -25160, -9252, 5662, 19644, 32752, -20496, -4880, 9760, 23486, -29182, -13024, 2126, 16328, 29642]
+        },
+        {
+            // Filters 0, 2 and 3 in a row, each depending on the history the last one left
+            blocks: [[0x90, 0x37, 0x7F, 0x1E, 0x2D, 0x3C, 0x4B, 0x5A, 0x69],
+                [0x78, 0x0F, 0xE1, 0xD2, 0xC3, 0xB4, 0xA5, 0x96, 0x87],
+                [0x8C, 0x80, 0x08, 0x77, 0x88, 0x12, 0xEF, 0x34, 0xCD]],
+            expected: [1536, 3584, 3584, -512, 512, -1024, 1024, -1536, 1536, -2048, 2048, -2560, 2560, -3072, 3072, -3584,
+                -9712, -15282, -20284, -24214, -27526, -29516, -30974, -30992, -30682, -28922, -27138, -23978, -21166, -17102, -13784, -9348,
+                -7648, -6150, -4838, -5746, -4604, -1814, -1568, -3394, -4570, -4944, -5684, -6454, -6212, -4898, -4780, -5380]
+        },
+        {
+            // Shifts 13 to 15 are invalid: -2048 for negative nibbles, 0 for the rest
+            blocks: [[0xD0, 0x8F, 0x07, 0xF8, 0x00, 0x11, 0x99, 0x7F, 0x80]],
+            expected: [-4096, -4096, 0, 0, -4096, -4096, 0, 0, 0, 0, -4096, -4096, 0, -4096, -4096, 0]
+        }
+    ];
+    for (const { blocks, expected } of vectors) {
+        const brrBlocks = blocks.map(block => Uint8Array.from(block));
+        assert.deepStrictEqual(decodeToInt16(brrBlocks), expected);
+        assert.deepStrictEqual(referenceDecode(brrBlocks), expected);
+    }
+});
+
+/**
+ * fixtures/decoder-vectors.brr holds the blocks above, then one block for every shift and
+ * filter with random nibbles; only the last block has the END flag. The .pcm file next to it
+ * is the decoded stream as 16-bit little-endian samples, from a C transcription of the integer
+ * decoder (history kept in 15-bit units, clamped, wrapped at 15 bits and doubled on output),
+ * not from a released tool. Once it is regenerated with BRRtools' brr_decoder, name the
+ * tool's version here and in the test.
+ */
+test('decodeBRR matches the transcribed C decoder on the fixture', () => {
+    const fixture = (name) => fs.readFileSync(path.join(__dirname, 'fixtures', name));
+    const brr = fixture('decoder-vectors.brr');
+    const pcm = fixture('decoder-vectors.pcm');
+    const blocks = Array.from({ length: brr.length / 9 }, (_, b) => Uint8Array.from(brr.subarray(b * 9, b * 9 + 9)));
+    const expected = Array.from({ length: pcm.length / 2 }, (_, i) => pcm.readInt16LE(i * 2));
+    assert.strictEqual(expected.length, blocks.length * 16);
+    assert.deepStrictEqual(decodeToInt16(blocks), expected);
+});
+
+test('decodeBRR matches the reference decoder on random blocks', () => {
+    const next = random(1);
+    for (let run = 0; run < 200; run++) {
+        const blocks = Array.from({ length: 8 }, () => Uint8Array.from({ length: 9 }, () => Math.floor(next() * 256)));
+        assert.deepStrictEqual(decodeToInt16(blocks), referenceDecode(blocks), `run ${run}`);
+    }
+});
+
+test('decodeBRR follows the loop chain', () => {
+    // Two blocks of one level each; the second ends and loops back to the first
+    const blocks = [[0xC0, 0x11, 0x11, 0x11, 0x11, 0x11, 0x11, 0x11, 0x11], [0xC3, 0x22, 0x22, 0x22, 0x22, 0x22, 0x22, 0x22, 0x22]]
+        .map(block => Uint8Array.from(block));
+    const looped = decodeToInt16(blocks, { sampleCount: 64, loopBlock: 0 });
+    assert.deepStrictEqual(looped.slice(32), looped.slice(0, 32));
+    // Without the loop flag the voice stops after the end block
+    blocks[1][0] = 0xC1;
+    assert.deepStrictEqual(decodeToInt16(blocks, { sampleCount: 64 }).slice(32), new Array(32).fill(0));
+});
+
+test('synthetic signals survive a round trip', () => {
+    const length = 4096;
+    const next = random(7);
+    const signals = {
+        sine: { signal: Float32Array.from({ length }, (_, i) => 0.5 * Math.sin(2 * Math.PI * 440 * i / 32000)), minSnr: 50 },
+        square: { signal: Float32Array.from({ length }, (_, i) => (Math.floor(i / 40) % 2) ? 0.5 : -0.5), minSnr: 60 },
+        noise: { signal: Float32Array.from({ length }, () => next() - 0.5), minSnr: 20 },
+        clipped: { signal: Float32Array.from({ length }, (_, i) => Math.max(-1, Math.min(1, 1.5 * Math.sin(2 * Math.PI * 100 * i / 32000)))), minSnr: 50 }
+    };
+    for (const quality of ['fast', 'high']) {
+        for (const [name, { signal, minSnr }] of Object.entries(signals)) {
+            const { blocks } = app.encodeBRR(signal, { quality });
+            const snr = app.calculateSNR(signal, app.decodeBRR(blocks));
+            assert.ok(snr > minSnr, `${name} (${quality}): ${snr.toFixed(2)} dB`);
+        }
+    }
+});
+
+test('the encoder\'s block errors are the errors of the decoded blocks', () => {
+    // With the history kept doubled, as before the beam search, greedy encoding misjudged every block but the first
+    const signal = Float32Array.from({ length: 2048 }, (_, i) => [220, 277, 1760].reduce((sum, f) => sum + 0.3 * Math.sin(2 * Math.PI * f * i / 32000), 0));
+    const pcm = app.quantizeToInt16(signal, { dither: 'off' });
+    for (const quality of ['fast', 'high']) {
+        const { blocks, blockErrors } = app.encodeBRR(signal, { quality, dither: 'off' });
+        const decoded = decodeToInt16(blocks);
+        blocks.forEach((_, b) => {
+            let error = 0;
+            for (let i = b * 16; i < b * 16 + 16; i++) error += (pcm[i] - decoded[i]) ** 2;
+            assert.ok(Math.abs(error / 16 - blockErrors[b]) <= 1e-6 * error, `block ${b} (${quality})`);
+        });
+    }
+});
+
+test('silence encodes exactly and full-scale jumps never wrap', () => {
+    const { blocks } = app.encodeBRR(new Float32Array(1000));
+    assert.strictEqual(blocks.length, 63);
+    assert.ok(app.decodeBRR(blocks).every(value => value === 0));
+
+    // The encoder must not reach a full-scale level through the DSP's wraparound
+    const square = Float32Array.from({ length: 4096 }, (_, i) => (Math.floor(i / 40) % 2) ? 1 : -1);
+    const decoded = app.decodeBRR(app.encodeBRR(square).blocks);
+    decoded.forEach((value, i) => assert.ok(value * square[i] > 0, `sample ${i} is ${value}, expected ${square[i]}`));
+    assert.ok(app.calculateSNR(square, decoded) > 25);
+});
+
+test('encodeWAV and encodeStereoWAV write standard 16-bit PCM headers', async () => {
+    app.Blob = Blob;
+    const read = async (blob) => new DataView(await blob.arrayBuffer());
+    const text = (view, offset) => String.fromCharCode(...new Uint8Array(view.buffer, offset, 4));
+
+    const mono = await read(app.encodeWAV(Float32Array.from([0, 0.5, -1, 1]), 22050));
+    assert.deepStrictEqual([text(mono, 0), text(mono, 8), text(mono, 12), text(mono, 36)], ['RIFF', 'WAVE', 'fmt ', 'data']);
+    assert.strictEqual(mono.byteLength, 52);
+    assert.deepStrictEqual([mono.getUint32(4, true), mono.getUint32(16, true), mono.getUint16(20, true), mono.getUint16(22, true)], [44, 16, 1, 1]);
+    assert.deepStrictEqual([mono.getUint32(24, true), mono.getUint32(28, true), mono.getUint16(32, true), mono.getUint16(34, true)], [22050, 44100, 2, 16]);
+    assert.strictEqual(mono.getUint32(40, true), 8);
+    assert.deepStrictEqual([0, 1, 2, 3].map(i => mono.getInt16(44 + i * 2, true)), [0, 16384, -32767, 32767]);
+
+    // The shorter channel sets the length
+    const stereo = await read(app.encodeStereoWAV(Float32Array.from([0.25, 0.5, 0.75]), Float32Array.from([-0.25, -0.5]), 32000));
+    assert.strictEqual(stereo.byteLength, 52);
+    assert.deepStrictEqual([stereo.getUint32(4, true), stereo.getUint16(22, true), stereo.getUint32(28, true), stereo.getUint16(32, true)], [44, 2, 128000, 4]);
+    assert.strictEqual(stereo.getUint32(40, true), 8);
+    assert.deepStrictEqual([0, 1, 2, 3].map(i => stereo.getInt16(44 + i * 2, true)), [8192, -8192, 16384, -16383]);
+});
+
+test('normalizeCoupled edge cases', () => {
+    // Silence, and a peak right at the limit, are left alone
+    const silence = app.normalizeCoupled(new Float32Array(10), new Float32Array(10));
+    assert.strictEqual(silence.gain, 1);
+    assert.ok(silence.mid.every(value => value === 0));
+    assert.strictEqual(app.normalizeCoupled(Float32Array.from([0.95, -0.5]), null).gain, 1);
+    assert.strictEqual(app.normalizeCoupled(new Float32Array(0), null).gain, 1);
+
+    // A negative peak in the side channel turns both channels down by the same gain
+    const mid = Float32Array.from([0.5, -0.25]);
+    const side = Float32Array.from([0.1, -1.9]);
+    const { gain, side: sideOut, mid: midOut } = app.normalizeCoupled(mid, side);
+    assert.ok(Math.abs(gain - 0.5) < 1e-6);
+    assert.ok(Math.abs(sideOut[1] + 0.95) < 1e-6);
+    assert.ok(Math.abs(midOut[0] - 0.25) < 1e-6);
+    assert.strictEqual(midOut, mid, 'works in place');
+
+    // Mono: the side stays null
+    const mono = app.normalizeCoupled(Float32Array.from([2, -1]), null);
+    assert.strictEqual(mono.side, null);
+    assert.ok(Math.abs(mono.mid[0] - 0.95) < 1e-6);
+});
@@ -0,0 +1,65 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadScripts } = require('./load-scripts');
+
+const app = loadScripts('dither.js', 'metrics.js');
+
+// A sine 2 LSB high, on an exact FFT bin so it doesn't leak into the others
+const SIZE = 1 << 16;
+const SINE_BIN = 1001;
+const LSB = 1 / 32767;
+const lowSine = Float32Array.from({ length: SIZE }, (_, i) => 2 * LSB * Math.sin(2 * Math.PI * SINE_BIN * i / SIZE));
+
+// The power spectrum of the quantization error, in LSB squared per bin
+function errorSpectrum(input, quantized) {
+    const re = Float64Array.from(input, (x, i) => quantized[i] - x * 32767);
+    const im = new Float64Array(SIZE);
+    app.fft(re, im);
+    return Array.from({ length: SIZE / 2 }, (_, k) => (re[k] * re[k] + im[k] * im[k]) / SIZE);
+}
+
+const mean = (values) => values.reduce((sum, value) => sum + value, 0) / values.length;
+const toDb = (power) => 10 * Math.log10(power);
+// The odd harmonics, where plain rounding of a sine puts its distortion
+const harmonics = [3, 5, 7, 9].map(n => n * SINE_BIN);
+
+test('plain rounding turns a low-level sine into harmonic distortion', () => {
+    const spectrum = errorSpectrum(lowSine, app.quantizeToInt16(lowSine, { dither: 'off' }));
+    const peak = Math.max(...harmonics.map(bin => spectrum[bin]));
+    assert.ok(toDb(peak) - toDb(mean(spectrum)) > 20, 'the error should have strong harmonics');
+});
+
+test('TPDF dither leaves a flat noise floor of 1/4 LSB squared', () => {
+    const spectrum = errorSpectrum(lowSine, app.quantizeToInt16(lowSine, { dither: 'tpdf' }));
+    // Rounding (1/12) plus triangular dither (1/6)
+    const floor = mean(spectrum);
+    assert.ok(Math.abs(floor - 0.25) < 0.03, `noise floor ${floor.toFixed(3)} LSB^2`);
+    for (const bin of harmonics) {
+        assert.ok(toDb(spectrum[bin]) - toDb(floor) < 15, `harmonic bin ${bin} stands out of the noise`);
+    }
+});
+
+test('noise shaping lowers the floor in the bottom of the band', () => {
+    const bottom = (spectrum) => mean(spectrum.slice(1, SIZE / 16));
+    const tpdf = errorSpectrum(lowSine, app.quantizeToInt16(lowSine, { dither: 'tpdf' }));
+    const shaped = errorSpectrum(lowSine, app.quantizeToInt16(lowSine, { dither: 'shaped' }));
+    assert.ok(toDb(bottom(tpdf)) - toDb(bottom(shaped)) > 6, 'the shaped floor should be at least 6 dB lower');
+    for (const bin of harmonics) {
+        assert.ok(toDb(shaped[bin]) - toDb(mean(shaped.slice(bin - 32, bin + 32))) < 15, `harmonic bin ${bin} stands out`);
+    }
+});
+
+test('dither repeats for the same seed and clips at full scale', () => {
+    const first = app.quantizeToInt16(lowSine, { dither: 'shaped', seed: 7 });
+    assert.deepStrictEqual(app.quantizeToInt16(lowSine, { dither: 'shaped', seed: 7 }), first);
+    assert.notDeepStrictEqual(app.quantizeToInt16(lowSine, { dither: 'shaped', seed: 8 }), first);
+
+    const loud = Float32Array.from([1.5, -1.5, 1, -1, 0.5]);
+    assert.deepStrictEqual(Array.from(app.quantizeToInt16(loud, { dither: 'off' })), [32767, -32768, 32767, -32767, 16384]);
+    const clipped = app.quantizeToInt16(loud, { dither: 'tpdf' });
+    assert.strictEqual(clipped[0], 32767);
+    assert.strictEqual(clipped[1], -32768);
+    assert.throws(() => app.quantizeToInt16(loud, { dither: 'rectangular' }), /Unknown dither mode/);
+});
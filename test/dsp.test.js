@@ -0,0 +1,38 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadScripts } = require('./load-scripts');
+
+const app = loadScripts('dither.js', 'processing.js', 'dsp.js');
+
+test('pitch values and the rates the S-DSP plays them at', () => {
+    assert.strictEqual(app.rateForPitch(0x1000), 32000);
+    assert.strictEqual(app.rateForPitch(0x0B06), 22046.875);
+    assert.strictEqual(app.pitchForRate(22046.875), 0x0B06);
+    // Hz are snapped to the nearest pitch value, hex is taken as a pitch value
+    assert.strictEqual(app.parsePitchRate('22050'), 22046.875);
+    assert.strictEqual(app.parsePitchRate(' 44100 Hz '), 44101.5625);
+    assert.strictEqual(app.parsePitchRate('$0200'), 4000);
+    assert.strictEqual(app.parsePitchRate('0x3fff'), 127992.1875);
+    for (const text of ['', 'fast', '$0000', '$4000', '1']) assert.throws(() => app.parsePitchRate(text), /pitch value/);
+    assert.strictEqual(app.formatPitchRate(22046.875), '22046.875 Hz ($0B06)');
+});
+
+test('signals resample to exact S-DSP rates', () => {
+    const signal = Float32Array.from({ length: 48000 }, (_, i) => Math.sin(2 * Math.PI * 1000 * i / 48000));
+    const resampled = app.resampleSignal(signal, 48000, 22046.875, { quality: 'draft' });
+    assert.strictEqual(resampled.length, 22046);
+    // A 1 kHz tone is still a 1 kHz tone at the exact rate
+    const middle = 11000;
+    for (let i = middle; i < middle + 100; i++) {
+        assert.ok(Math.abs(resampled[i] - Math.sin(2 * Math.PI * 1000 * i / 22046.875)) < 0.01, `sample ${i}`);
+    }
+    assert.throws(() => app.resampleSignal(signal, 48000, 22050.1), /Can't resample/);
+});
+
+test('WAV headers round exact rates to whole Hz', async () => {
+    app.Blob = Blob;
+    const view = new DataView(await app.encodeWAV(new Float32Array(4), 22046.875).arrayBuffer());
+    assert.deepStrictEqual([view.getUint32(24, true), view.getUint32(28, true)], [22047, 44094]);
+});
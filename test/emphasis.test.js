@@ -0,0 +1,55 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadScripts } = require('./load-scripts');
+
+const app = loadScripts('dsp.js', 'emphasis.js');
+
+const toDb = (gain) => 20 * Math.log10(Math.abs(gain));
+
+test('full pre-emphasis flattens the Gaussian response', () => {
+    for (const sampleRate of [16000, 32000]) {
+        const taps = app.designPreEmphasis(sampleRate, 1);
+        // Above this the boost reaches its cap
+        for (let frequency = 100; frequency <= 0.35 * sampleRate; frequency += 100) {
+            const combined = app.gaussResponse(sampleRate, frequency) * app.filterResponse(taps, sampleRate, frequency);
+            assert.ok(Math.abs(toDb(combined)) < 0.5, `${toDb(combined).toFixed(2)} dB at ${frequency} Hz, ${sampleRate} Hz`);
+        }
+    }
+});
+
+test('the boost stays below the cap and zero strength changes nothing', () => {
+    const taps = app.designPreEmphasis(32000, 1);
+    for (let frequency = 0; frequency <= 16000; frequency += 250) {
+        assert.ok(toDb(app.filterResponse(taps, 32000, frequency)) < app.get('EMPHASIS_MAX_BOOST_DB') + 0.5);
+    }
+    const signal = Float32Array.from({ length: 1000 }, (_, i) => Math.sin(i * 0.3) * 0.5);
+    const { signals, gain } = app.preEmphasizeChannels([{ signal, sampleRate: 16000, loop: null }], 0);
+    assert.strictEqual(gain, 1);
+    signals[0].forEach((value, i) => assert.ok(Math.abs(value - signal[i]) < 1e-6));
+});
+
+test('clip protection scales all channels by the same gain', () => {
+    // A full-scale tone near the top of the band gets the biggest boost
+    const loud = Float32Array.from({ length: 4000 }, (_, i) => 0.9 * Math.sin(i * 0.8 * Math.PI));
+    const quiet = loud.map(value => value * 0.1);
+    const { signals, gain } = app.preEmphasizeChannels([
+        { signal: loud, sampleRate: 16000, loop: null },
+        { signal: quiet, sampleRate: 16000, loop: null }
+    ], 1);
+    assert.ok(gain < 1);
+    const peak = (signal) => signal.reduce((max, value) => Math.max(max, Math.abs(value)), 0);
+    assert.ok(Math.abs(peak(signals[0]) - app.get('EMPHASIS_PEAK_LIMIT')) < 1e-6);
+    assert.ok(Math.abs(peak(signals[1]) / peak(signals[0]) - 0.1) < 1e-3);
+});
+
+test('the loop seam is filtered with the samples from the loop start', () => {
+    const signal = Float32Array.from({ length: 400 }, (_, i) => Math.sin(2 * Math.PI * i / 25));
+    const taps = app.designPreEmphasis(16000, 1);
+    const looped = app.applyPreEmphasis(signal, taps, { loopStart: 100, loopEnd: 400 });
+    const unlooped = app.applyPreEmphasis(signal, taps);
+    // The period divides the loop, so the looped filter sees one continuous sine
+    assert.ok(Math.abs(looped[399] - looped[374]) < 1e-5);
+    assert.ok(Math.abs(unlooped[399] - unlooped[374]) > 1e-2);
+});
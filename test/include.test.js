@@ -0,0 +1,37 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadScripts } = require('./load-scripts');
+
+const app = loadScripts('dsp.js', 'include.js');
+
+const samples = [
+    { name: 'mid', label: 'Mid', file: '01 intro_mid.brr', data: new Uint8Array(9 * 1000), loopBlock: 250, sampleRate: 32000 },
+    { name: 'side', label: 'Side', file: '01 intro_side.brr', data: new Uint8Array(9 * 125), loopBlock: null, sampleRate: 4000 }
+];
+
+test('includeSymbol makes identifiers of file names', () => {
+    assert.strictEqual(app.includeSymbol('my song-mid'), 'my_song_mid');
+    assert.strictEqual(app.includeSymbol('01 intro'), '_01_intro');
+});
+
+test('buildIncludeFiles writes the same values for every assembler and C', () => {
+    const files = app.buildIncludeFiles('01 intro', samples);
+    assert.deepStrictEqual([...files.map(file => file.name)], ['_01_intro_ca65.inc', '_01_intro_asar.asm', '_01_intro_wla.inc', '_01_intro.h']);
+    const [ca65, asar, wla, c] = files.map(file => file.data.split('\n'));
+
+    for (const line of ['_01_INTRO_MID_SIZE = 9000', '_01_INTRO_MID_BLOCKS = 1000', '_01_INTRO_MID_LOOP_OFFSET = 2250',
+        '_01_INTRO_MID_LOOPS = 1', '_01_INTRO_MID_RATE = 32000', '_01_INTRO_MID_PITCH = $1000',
+        '_01_INTRO_SIDE_LOOP_OFFSET = 0', '_01_INTRO_SIDE_LOOPS = 0', '_01_INTRO_SIDE_PITCH = $0200',
+        '_01_intro_mid:', '    .incbin "01 intro_mid.brr"', '_01_intro_mid_end:']) {
+        assert.ok(ca65.includes(line), `ca65: ${line}`);
+    }
+    assert.ok(asar.includes('!_01_INTRO_SIDE_BLOCKS = 125'));
+    assert.ok(asar.includes('    incbin "01 intro_side.brr"'));
+    assert.ok(wla.includes('.DEFINE _01_INTRO_MID_PITCH $1000'));
+    assert.ok(wla.includes('    .INCBIN "01 intro_mid.brr"'));
+    assert.ok(c.includes('#ifndef _01_INTRO_BRR_H'));
+    assert.ok(c.includes('#define _01_INTRO_SIDE_PITCH 0x0200'));
+    assert.ok(c.includes('extern const unsigned char _01_intro_side[_01_INTRO_SIDE_SIZE];'));
+});
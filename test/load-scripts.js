@@ -0,0 +1,22 @@
+// Loads the app's browser scripts into a fresh context, the way the page's <script>
+// tags do, so the tests run without a DOM. Functions become properties of the returned
+// context; top-level constants can be read with context.get('NAME').
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+const APP_ROOT = path.join(__dirname, '..');
+
+function loadScripts(...files) {
+    // The scripts log their progress; keep the test output clean
+    const context = vm.createContext({ console: { ...console, log: () => {} } });
+    for (const file of files) {
+        vm.runInContext(fs.readFileSync(path.join(APP_ROOT, file), 'utf8'), context, { filename: file });
+    }
+    context.get = (name) => vm.runInContext(name, context);
+    return context;
+}
+
+module.exports = { loadScripts };
@@ -0,0 +1,56 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadScripts } = require('./load-scripts');
+
+const app = loadScripts('dither.js', 'processing.js', 'brr.js', 'budget.js');
+
+// Aligns a loop in every channel of a song the way the encoder does, in seconds
+function alignChannels(loop, sourceLength, sourceSr, rates) {
+    return rates.map(rate => {
+        const points = app.scaleLoopPoints(loop, sourceLength, sourceSr, rate, rates);
+        const { signal, loopBlock } = app.alignLoop(new Float32Array(Math.floor(sourceLength * rate / sourceSr)),
+            points.loopStart, points.loopEnd, points.padStart, points.loopLength);
+        return {
+            points,
+            leadIn: points.padStart / rate,
+            loopStart: loopBlock * 16 / rate,
+            loopLength: (signal.length - loopBlock * 16) / rate,
+            bytes: app.encodedChannelBytes(sourceLength, sourceSr, rate, loop, rates),
+            encodedBytes: signal.length / 16 * 9
+        };
+    });
+}
+
+test('Mid and Side loops start together and last as long', () => {
+    const loop = { loopStart: 12345, loopEnd: 77000 };
+    // 21937.5 and 4062.5 Hz are pitch values $0AF8 and $0208, which line up every 19.7 ms
+    for (const rates of [[32000, 4000], [32000, 6000], [21937.5, 4062.5], [16000, 16000]]) {
+        const [mid, side] = alignChannels(loop, 100000, 44100, rates);
+        assert.ok(Math.abs(mid.leadIn - side.leadIn) < 1 / Math.min(...rates), `lead-in at ${rates}`);
+        assert.ok(Math.abs(mid.loopStart - side.loopStart) < 1e-12, `loop start at ${rates}`);
+        assert.ok(Math.abs(mid.loopLength - side.loopLength) < 1e-12, `loop length at ${rates}`);
+        // Never shorter than the loop that was set, and at most one grid step longer
+        const grid = app.loopGridSeconds(rates);
+        assert.ok(mid.loopLength >= (77000 - 12345) / 44100 - 0.5 / rates[0] && mid.loopLength < (77000 - 12345) / 44100 + grid);
+        for (const channel of [mid, side]) assert.strictEqual(channel.bytes, channel.encodedBytes);
+    }
+});
+
+test('a single channel is aligned to its own blocks', () => {
+    assert.deepStrictEqual({ ...app.scaleLoopPoints({ loopStart: 1000, loopEnd: 3000 }, 4000, 32000, 16000) },
+        { loopStart: 500, loopEnd: 1500, padStart: 12, loopLength: 1008 });
+    assert.strictEqual(app.alignLoop(new Float32Array(40), 5, 30).loopBlock, 1);
+    assert.throws(() => app.alignLoop(new Float32Array(40), 5, 30, 10, 32), /Can't align the loop/);
+});
+
+test('rates without a fine shared grid fall back to each channel\'s own blocks', () => {
+    // Pitch values $0B06 and $0200 only line up every 1.024 s
+    const rates = [22046.875, 4000];
+    assert.strictEqual(app.loopGridSeconds(rates), null);
+    const [mid, side] = alignChannels({ loopStart: 12345, loopEnd: 77000 }, 100000, 44100, rates);
+    assert.ok(mid.points.padStart < 16 && side.points.padStart < 16);
+    assert.strictEqual(mid.points.loopLength % 16, 0);
+    assert.strictEqual(app.loopGridSeconds([32000, 4000]), 0.004);
+});
@@ -0,0 +1,56 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadScripts } = require('./load-scripts');
+
+const app = loadScripts('processing.js', 'loudness.js');
+
+const SAMPLE_RATE = 48000;
+const sine = (frequency, amplitude, seconds, sampleRate = SAMPLE_RATE) =>
+    Float32Array.from({ length: seconds * sampleRate }, (_, i) => amplitude * Math.sin(2 * Math.PI * frequency * i / sampleRate));
+
+test('a full-scale 997 Hz sine in one channel measures -3.01 LUFS at any rate', () => {
+    for (const sampleRate of [48000, 44100, 32000]) {
+        const tone = sine(997, 1, 3, sampleRate);
+        const loudness = app.measureLoudness([tone, new Float32Array(tone.length)], sampleRate);
+        assert.ok(Math.abs(loudness + 3.01) < 0.05, `${loudness} LUFS at ${sampleRate} Hz`);
+    }
+});
+
+test('the gates leave out silence and quiet passages', () => {
+    const loud = sine(1000, 0.1, 4);
+    const withPause = new Float32Array(loud.length * 2);
+    withPause.set(loud);
+    // 40 dB down, below the relative gate
+    withPause.set(sine(1000, 0.001, 2), loud.length);
+    const reference = app.measureLoudness([loud, loud], SAMPLE_RATE);
+    assert.ok(Math.abs(app.measureLoudness([withPause, withPause], SAMPLE_RATE) - reference) < 0.3);
+    assert.strictEqual(app.measureLoudness([new Float32Array(SAMPLE_RATE)], SAMPLE_RATE), -Infinity);
+});
+
+test('normalization reaches the target and the limiter holds the true-peak ceiling', () => {
+    // A quiet tone with one loud burst, which the limiter has to catch
+    const mid = sine(1000, 0.02, 3);
+    mid.set(sine(1000, 0.5, 0.01), SAMPLE_RATE);
+    const side = mid.map(value => value * 0.3);
+    const { gain, loudness } = app.normalizeLoudness(mid, side, { mode: 'ms', sampleRate: SAMPLE_RATE, target: -14 });
+    assert.ok(gain > 1);
+    assert.ok(loudness.limiterReduction > 3);
+    assert.ok(Math.abs(loudness.final + 14) < 0.5, `${loudness.final} LUFS`);
+
+    const { left, right } = app.mixStreams([mid, side], 'ms');
+    const truePeak = [left, right].reduce((peak, channel) =>
+        app.truePeakEnvelope(channel).reduce((max, value) => Math.max(max, value), peak), 0);
+    assert.ok(20 * Math.log10(truePeak) <= app.get('LIMITER_CEILING_DBTP') + 0.01);
+    // Both streams get the same gain, so the image stays put
+    side.forEach((value, i) => assert.ok(Math.abs(value - mid[i] * 0.3) < 1e-6));
+});
+
+test('without a target only peaks above 0.95 are scaled down', () => {
+    const mid = sine(440, 1, 1);
+    const { gain, loudness } = app.normalizeLoudness(mid, null, { mode: 'mono', sampleRate: SAMPLE_RATE, target: null });
+    assert.ok(Math.abs(gain - 0.95) < 1e-3);
+    assert.ok(Math.abs(loudness.final - loudness.measured - 20 * Math.log10(gain)) < 1e-9);
+    assert.strictEqual(loudness.limiterReduction, 0);
+});
@@ -0,0 +1,53 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadScripts } = require('./load-scripts');
+
+const app = loadScripts('dither.js', 'processing.js', 'loudness.js', 'msu.js');
+// The browser globals msu.js uses
+app.Blob = Blob;
+app.TextEncoder = TextEncoder;
+
+test('encodeMsuPcm writes the MSU1 header and interleaved 16-bit frames', async () => {
+    const pcm = app.encodeMsuPcm(Float32Array.from([0.5, -1, 0.25]), Float32Array.from([-0.5, 1]), { loopStart: 1 });
+    const view = new DataView(await pcm.arrayBuffer());
+    assert.strictEqual(view.byteLength, 8 + 2 * 4);
+    assert.strictEqual(String.fromCharCode(...new Uint8Array(view.buffer, 0, 4)), 'MSU1');
+    assert.strictEqual(view.getUint32(4, true), 1);
+    assert.deepStrictEqual([0, 1, 2, 3].map(i => view.getInt16(8 + i * 2, true)), [16384, -16383, -32767, 32767]);
+
+    // No loop point: the header holds 0
+    const once = new DataView(await app.encodeMsuPcm(new Float32Array(4), new Float32Array(4)).arrayBuffer());
+    assert.strictEqual(once.getUint32(4, true), 0);
+    assert.throws(() => app.encodeMsuPcm(new Float32Array(4), new Float32Array(4), { loopStart: 4 }), /from 0 to 3/);
+});
+
+test('renderMsuTrack cuts at the loop end and moves the loop to 44.1 kHz', () => {
+    const length = 32000;
+    const left = Float32Array.from({ length }, (_, i) => 0.5 * Math.sin(2 * Math.PI * 440 * i / 32000));
+    const right = left.map(value => -value);
+    const track = app.renderMsuTrack(left, right, 32000, {
+        loop: { loopStart: 8000, loopEnd: 16000 }, normalize: false, resamplerQuality: 'draft'
+    });
+    assert.strictEqual(track.left.length, 22050);
+    assert.strictEqual(track.right.length, 22050);
+    assert.strictEqual(track.loopStart, 11025);
+    assert.strictEqual(track.loudness, null);
+    assert.ok(Math.abs(track.left[5000] + track.right[5000]) < 1e-6);
+
+    // 44.1 kHz input passes through, normalized down from the clip level
+    const loud = Float32Array.from({ length: 44100 }, (_, i) => 1.5 * Math.sin(2 * Math.PI * 100 * i / 44100));
+    const normalized = app.renderMsuTrack(loud, loud.slice(), 44100, { loop: null, normalize: true, loudnessTarget: null });
+    assert.strictEqual(normalized.loopStart, null);
+    assert.ok(Math.max(...normalized.left.map(Math.abs)) <= 0.95 + 1e-6);
+    assert.ok(Number.isFinite(normalized.loudness.final));
+});
+
+test('msuPackFiles names the files the way MSU-1 players look for them', () => {
+    const files = app.msuPackFiles('song', new Blob([]), { loopStart: 10 });
+    assert.deepStrictEqual([...files.map(file => file.name)], ['song.msu', 'song-1.pcm', 'manifest.json']);
+    assert.strictEqual(files[0].data.length, 0);
+    const manifest = JSON.parse(new TextDecoder().decode(files[2].data));
+    assert.deepStrictEqual(manifest.tracks, [{ number: 1, file: 'song-1.pcm', sampleRate: 44100, loopStart: 10 }]);
+});
@@ -0,0 +1,41 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadScripts } = require('./load-scripts');
+
+const app = loadScripts('project.js');
+// The browser global project.js uses
+app.crypto = globalThis.crypto;
+
+test('sha256Hex matches the standard test vector', async () => {
+    assert.strictEqual(await app.sha256Hex(new TextEncoder().encode('abc')),
+        'ba7816bf8f01cfea414140de5dae2223b00361a396177a9cb410ff61f20015ad');
+});
+
+test('projects survive a round trip and detect changed output', async () => {
+    const source = { name: 'song.wav', size: 1234, sha256: 'ab'.repeat(32), sampleRate: 48000 };
+    const brr = { mid: new Uint8Array([0x03, 1, 2, 3, 4, 5, 6, 7, 8]), side: new Uint8Array(9) };
+    const project = await app.createProject(source, { midSampleRate: '32000', dspPreview: true }, brr);
+    assert.strictEqual(project.result.encodedBytes, 18);
+
+    const opened = app.parseProject(JSON.stringify(project));
+    assert.deepStrictEqual({ ...opened.source }, source);
+    assert.deepStrictEqual([...await app.projectMismatches(opened, brr)], []);
+    brr.side[0] = 1;
+    assert.deepStrictEqual([...await app.projectMismatches(opened, brr)], ['side']);
+    assert.deepStrictEqual([...await app.projectMismatches(opened, { mid: brr.mid })], ['side']);
+});
+
+test('projects from an earlier codec are told apart', () => {
+    assert.strictEqual(app.projectFromOlderCodec({ result: { channels: {} } }, 2), true);
+    assert.strictEqual(app.projectFromOlderCodec({ result: { codecVersion: 1 } }, 2), true);
+    assert.strictEqual(app.projectFromOlderCodec({ result: { codecVersion: 2 } }, 2), false);
+});
+
+test('parseProject rejects other files', () => {
+    assert.throws(() => app.parseProject('{'), /valid JSON/);
+    assert.throws(() => app.parseProject('{"format": "other"}'), /not an SP3-Conv project/);
+    assert.throws(() => app.parseProject('{"format": "sp3conv-project", "version": 99}'), /newer version/);
+    assert.throws(() => app.parseProject('{"format": "sp3conv-project", "version": 1}'), /incomplete/);
+});
@@ -0,0 +1,141 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadScripts } = require('./load-scripts');
+
+const app = loadScripts('processing.js', 'dsp.js', 'rom.js', 'stream.js');
+
+// Blocks whose bytes tell them apart, with the end flags encodeBRR sets
+function blocks(count, fill, loop) {
+    const list = Array.from({ length: count }, (_, i) => Uint8Array.from({ length: 9 }, (_, k) => (k === 0) ? 0xC0 : (fill + i) & 0xFF));
+    list[count - 1][0] |= loop ? 0x03 : 0x01;
+    return list;
+}
+
+const bytes = (array) => Buffer.from(array.buffer, array.byteOffset, array.length);
+const contains = (array, sequence) => bytes(array).includes(Buffer.from(sequence));
+
+const SONGS = {
+    ms: { stereoMode: 'ms', mid: blocks(2000, 1, true), side: blocks(250, 100, true), midSampleRate: 32000, sideSampleRate: 4000,
+        loopBlocks: { mid: 800, side: 100 }, voices: [[0x1000, 0x7F, 0x7F], [0x0200, 0x7F, 0x81]] },
+    lr: { stereoMode: 'lr', mid: blocks(1000, 1, true), side: blocks(1000, 50, true), midSampleRate: 16000, sideSampleRate: 16000,
+        loopBlocks: { mid: 10, side: 10 }, voices: [[0x0800, 0x7F, 0x00], [0x0800, 0x00, 0x7F]] },
+    mono: { stereoMode: 'mono', mid: blocks(3000, 7, false), side: null, midSampleRate: 32000,
+        loopBlocks: { mid: null, side: null }, voices: [[0x1000, 0x7F, 0x7F]] }
+};
+
+test('assemble resolves labels, branches and address bytes', () => {
+    const { bytes: code, labels } = app.assemble(0x0400, [
+        'start:', 0xEA, 0xD0, { rel: 'start' }, 0x4C, { abs: 'end' }, 0xA9, { lo: 'far' }, 0xA9, { hi: 'far' },
+        0x4C, { abs: 'far', offset: 2 }, 'end:'
+    ], { far: 0x1234 });
+    assert.deepStrictEqual([...code], [0xEA, 0xD0, 0xFD, 0x4C, 0x0D, 0x04, 0xA9, 0x34, 0xA9, 0x12, 0x4C, 0x36, 0x12]);
+    assert.deepStrictEqual([labels.start, labels.end, labels.far], [0x0400, 0x040D, 0x1234]);
+    assert.throws(() => app.assemble(0, [0x4C, { abs: 'nowhere' }]), /Undefined label "nowhere"/);
+    assert.throws(() => app.assemble(0, ['back:', ...new Array(200).fill(0xEA), 0xD0, { rel: 'back' }]), /out of range/);
+});
+
+test('planRingBuffers gives every voice halves of the same playing time', () => {
+    const rings = app.planRingBuffers(0x0600, [0x1000, 0x0200]);
+    assert.strictEqual(rings[0].halfBlocks / 0x1000, rings[1].halfBlocks / 0x0200);
+    assert.strictEqual(rings[0].halfA, 0x0600);
+    assert.strictEqual(rings[0].halfB, rings[0].halfA + rings[0].halfBlocks * 9);
+    assert.strictEqual(rings[1].halfA, rings[0].halfB + rings[0].halfBlocks * 9);
+    const end = rings[1].halfB + rings[1].halfBlocks * 9;
+    assert.ok(end <= 0xFF00 && end + 18 * 9 > 0xFF00, 'uses the ARAM up to $FF00');
+    assert.throws(() => app.planRingBuffers(0x0600, [0x3FFF, 0x3FFE]), /no common step small enough/);
+});
+
+test('romDataCapacity leaves the player bank out', () => {
+    assert.strictEqual(app.romDataCapacity('lorom', 256), 256 * 1024 - 0x8000);
+    assert.strictEqual(app.romDataCapacity('hirom', 4096), 4096 * 1024 - 0x10000);
+});
+
+for (const mapping of ['lorom', 'hirom']) {
+    for (const [mode, song] of Object.entries(SONGS)) {
+        test(`buildRom makes a ${mapping} image of a ${mode} song`, () => {
+            const rom = app.buildRom({ ...song, title: 'Test song' }, mapping, 256);
+            const layout = app.get('ROM_MAPPINGS')[mapping];
+            assert.strictEqual(rom.length, 256 * 1024);
+            const word = (offset) => rom[offset] | (rom[offset + 1] << 8);
+
+            // Header, where the mapping puts it
+            const header = { lorom: 0x7FC0, hirom: 0xFFC0 }[mapping];
+            assert.strictEqual(String.fromCharCode(...rom.subarray(header, header + 21)), 'TEST SONG'.padEnd(21, ' '));
+            assert.deepStrictEqual([...rom.subarray(header + 0x15, header + 0x18)], [{ lorom: 0x20, hirom: 0x21 }[mapping], 0x00, 8]);
+            const checksum = rom.reduce((sum, value) => (sum + value) & 0xFFFF, 0);
+            assert.strictEqual(word(header + 0x1E), checksum);
+            assert.strictEqual(word(header + 0x1C) + word(header + 0x1E), 0xFFFF);
+
+            // The vectors point into the player, which runs from $00:8000
+            const fileOffset = (address) => address - 0x8000 + layout.codeOffset;
+            const reset = word(header + 0x3C);
+            assert.strictEqual(reset, 0x8000);
+            assert.deepStrictEqual([...rom.subarray(fileOffset(reset), fileOffset(reset) + 3)], [0x78, 0x18, 0xFB]);
+            for (const vector of [0x2A, 0x2E, 0x3A, 0x3E]) assert.strictEqual(rom[fileOffset(word(header + vector))], 0x40);
+
+            // The uploaded driver, with the sample directory at its end
+            const voices = song.voices.map(([pitch, volumeLeft, volumeRight]) => ({ pitch, volumeLeft, volumeRight }));
+            const { image, rings } = app.buildSpcDriver(voices);
+            const driverOffset = bytes(rom).indexOf(bytes(image));
+            assert.ok(driverOffset > layout.codeOffset && driverOffset < layout.codeOffset + 0x8000);
+            const directory = 0x0200 + image.length - voices.length * 4;
+            assert.strictEqual(directory & 0xFF, 0);
+            assert.ok(contains(image, [0x8F, 0x5D, 0xF2, 0x8F, directory >> 8, 0xF3]), 'DIR');
+            assert.ok(contains(image, [0x8F, 0x4C, 0xF2, 0x8F, (1 << voices.length) - 1, 0xF3]), 'KON');
+            voices.forEach((voice, v) => {
+                const entry = directory - 0x0200 + v * 4;
+                const imageWord = (offset) => image[offset] | (image[offset + 1] << 8);
+                assert.deepStrictEqual([imageWord(entry), imageWord(entry + 2)], [rings[v].halfA, rings[v].halfB]);
+                // The driver moves the loop address between the halves as they are refilled
+                const dirLoop = directory + v * 4 + 2;
+                assert.ok(contains(image, [0xC5, dirLoop & 0xFF, dirLoop >> 8, 0xCC, (dirLoop + 1) & 0xFF, dirLoop >> 8]), `voice ${v} loop`);
+                const base = v << 4;
+                assert.ok(contains(image, [0x8F, base, 0xF2, 0x8F, voice.volumeLeft, 0xF3, 0x8F, base + 1, 0xF2, 0x8F, voice.volumeRight, 0xF3,
+                    0x8F, base + 2, 0xF2, 0x8F, voice.pitch & 0xFF, 0xF3, 0x8F, base + 3, 0xF2, 0x8F, voice.pitch >> 8, 0xF3]), `voice ${v} registers`);
+            });
+
+            // The parameter records follow the driver and point at the streams
+            const params = driverOffset + image.length;
+            const address = (offset) => ({ bank: rom[offset + 2], offset: word(offset) });
+            // LoROM data goes through the $80-$FF mirrors
+            assert.deepStrictEqual(address(params), { lorom: { bank: 0x81, offset: 0x8000 }, hirom: { bank: 0xC1, offset: 0x0000 } }[mapping]);
+            let dataOffset = layout.dataOffset;
+            [song.mid, song.side].filter(Boolean).forEach((channel, c) => {
+                const record = params + c * 16;
+                const loopBlock = [song.loopBlocks.mid, song.loopBlocks.side][c];
+                assert.deepStrictEqual(address(record), { ...app.romAddress(mapping, dataOffset) });
+                assert.deepStrictEqual(address(record + 3), { ...app.romAddress(mapping, dataOffset + channel.length * 9) });
+                assert.deepStrictEqual(address(record + 6), { ...app.romAddress(mapping, dataOffset + (loopBlock || 0) * 9) });
+                assert.strictEqual(rom[record + 9], (loopBlock === null) ? 0 : 1);
+                assert.strictEqual(word(record + 10), rings[c].halfBlocks * 3);
+                assert.deepStrictEqual([...rom.subarray(dataOffset, dataOffset + channel.length * 9)], [...app.packStream(channel)]);
+                dataOffset += channel.length * 9;
+            });
+        });
+    }
+
+    test(`buildRom explains when a ${mapping} song does not fit`, () => {
+        const capacity = app.romDataCapacity(mapping, 256);
+        const song = { ...SONGS.mono, mid: blocks(Math.floor(capacity / 9) + 1, 0, false), title: '' };
+        assert.throws(() => app.buildRom(song, mapping, 256), /but a 256 KB ROM only has room for/);
+        song.mid = blocks(Math.floor(capacity / 9), 0, false);
+        assert.strictEqual(app.buildRom(song, mapping, 256).length, 256 * 1024);
+    });
+}
+
+test('buildRom checks the mapping, the size and the stereo mode', () => {
+    assert.throws(() => app.buildRom({ ...SONGS.mono, title: '' }, 'exhirom', 256), /Unknown ROM mapping/);
+    assert.throws(() => app.buildRom({ ...SONGS.mono, title: '' }, 'lorom', 384), /Unsupported ROM size/);
+    assert.throws(() => app.buildRom({ ...SONGS.mono, stereoMode: 'ms', title: '' }, 'lorom', 256), /do not match the stereo mode/);
+});
+
+test('buildRom refuses sample rates the player can\'t stream', () => {
+    // 3 bytes per 77 cycles is about 39 KB/s: two voices at 32 kHz fit, at $1200 (36 kHz) they don't
+    assert.strictEqual(app.romTransferProblem([{ sampleRate: 32000 }, { sampleRate: 32000 }]), null);
+    const fast = [{ sampleRate: 36000 }, { sampleRate: 36000 }];
+    assert.match(app.romTransferProblem(fast), /need 39\.6 KB\/s .* about 38\.8 KB\/s .* on NTSC or PAL/);
+    const song = { ...SONGS.lr, midSampleRate: 36000, sideSampleRate: 36000, title: '' };
+    assert.throws(() => app.buildRom(song, 'lorom', 256), /the ROM player only moves about/);
+});
@@ -0,0 +1,65 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadScripts } = require('./load-scripts');
+
+const app = loadScripts('processing.js', 'dsp.js', 'rom.js', 'spc.js');
+
+// Blocks whose bytes tell them apart, with the end flags encodeBRR sets
+function blocks(count, fill, loop) {
+    const list = Array.from({ length: count }, (_, i) => Uint8Array.from({ length: 9 }, (_, k) => (k === 0) ? 0xC0 : (fill + i) & 0xFF));
+    list[count - 1][0] |= loop ? 0x03 : 0x01;
+    return list;
+}
+
+const text = (file, offset, length) => String.fromCharCode(...file.subarray(offset, offset + length)).replace(/\0+$/, '');
+
+test('buildSpc lays out the header, tag, ARAM and DSP registers', () => {
+    const mid = blocks(2000, 1, true);
+    const side = blocks(500, 100, true);
+    const spc = app.buildSpc({
+        stereoMode: 'ms', mid, side, midSampleRate: 32000, sideSampleRate: 8000,
+        loopBlocks: { mid: 1000, side: 250 }, title: 'Intro Loop', artist: 'The Band', date: new Date(2026, 9, 19)
+    });
+    assert.strictEqual(spc.length, 0x10200);
+    assert.strictEqual(text(spc, 0, 33), 'SNES-SPC700 Sound File Data v0.30');
+    assert.deepStrictEqual([...spc.subarray(0x21, 0x27)], [26, 26, 26, 30, 0x00, 0x02]);
+    assert.strictEqual(text(spc, 0x2E, 32), 'Intro Loop');
+    assert.strictEqual(text(spc, 0xB1, 32), 'The Band');
+    assert.strictEqual(text(spc, 0x7E, 32), 'Mid 32000 Hz, Side 8000 Hz');
+    assert.strictEqual(text(spc, 0x9E, 11), '10/19/2026');
+    // One pass of the intro and two of the loop: 3000 blocks of 16 samples at 32 kHz
+    assert.strictEqual(text(spc, 0xA9, 3), '2');
+    assert.strictEqual(text(spc, 0xAC, 5), '5000');
+
+    const ram = spc.subarray(0x100, 0x10100);
+    const dsp = spc.subarray(0x10100, 0x10180);
+    const directory = dsp[0x5D] << 8;
+    const word = (address) => ram[address] | (ram[address + 1] << 8);
+    const midStart = word(directory);
+    const sideStart = word(directory + 4);
+    assert.strictEqual(word(directory + 2), midStart + 1000 * 9);
+    assert.strictEqual(sideStart, midStart + 2000 * 9);
+    assert.strictEqual(word(directory + 6), sideStart + 250 * 9);
+    assert.deepStrictEqual([...ram.subarray(sideStart + 499 * 9, sideStart + 500 * 9)], [...side[499]]);
+    assert.ok(sideStart + 500 * 9 <= 0xFF00);
+
+    // The driver keys both voices on
+    assert.deepStrictEqual([...ram.subarray(0x200, 0x20C)], [0x8F, 0x5C, 0xF2, 0x8F, 0x00, 0xF3, 0x8F, 0x4C, 0xF2, 0x8F, 0x03, 0xF3]);
+    // Mid on both sides, Side with the right volume inverted, 8 kHz = pitch $0400
+    assert.deepStrictEqual([...dsp.subarray(0x00, 0x08)], [0x7F, 0x7F, 0x00, 0x10, 0, 0, 0, 0x7F]);
+    assert.deepStrictEqual([...dsp.subarray(0x10, 0x18)], [0x7F, 0x81, 0x00, 0x04, 1, 0, 0, 0x7F]);
+    assert.deepStrictEqual([dsp[0x6C], dsp[0x6D], dsp[0x7D], dsp[0x4C]], [0x20, 0xFF, 0x00, 0x00]);
+});
+
+test('buildSpc explains when the song does not fit', () => {
+    const song = { mid: blocks(8000, 0, false), side: null, midSampleRate: 32000, loopBlocks: { mid: null, side: null } };
+    assert.throws(() => app.buildSpc(song), /needs 70\.3 KB of BRR data, but an SPC file only has 63\.0 KB .* about 3\.\d seconds/);
+    // A mono song that fits plays once, without a fade
+    song.mid = blocks(6000, 0, false);
+    const spc = app.buildSpc(song);
+    assert.strictEqual(spc[0x10100 + 0x4C], 0);
+    assert.strictEqual(text(spc, 0xA9, 3), '3');
+    assert.strictEqual(text(spc, 0xAC, 5), '0');
+});
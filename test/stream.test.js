@@ -0,0 +1,90 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadScripts } = require('./load-scripts');
+
+const app = loadScripts('processing.js', 'dsp.js', 'rom.js', 'stream.js');
+
+// Blocks whose bytes tell them apart, with the end flags encodeBRR sets
+function blocks(count, fill, loop) {
+    const list = Array.from({ length: count }, (_, i) => Uint8Array.from({ length: 9 }, (_, k) => (k === 0) ? 0xC0 : (fill + i) & 0xFF));
+    list[count - 1][0] |= loop ? 0x03 : 0x01;
+    return list;
+}
+
+// Reads the packets back into each channel's stream
+function unpack(file) {
+    const view = new DataView(file.buffer);
+    const packetSize = view.getUint16(6, true);
+    const packets = [];
+    const streams = [[], []];
+    for (let p = 0; p < view.getUint32(8, true); p++) {
+        const offset = 24 + p * packetSize;
+        const counts = [file[offset], file[offset + 1]];
+        packets.push({ counts, flags: file[offset + 2], sequence: file[offset + 3] });
+        let data = offset + 4;
+        counts.forEach((count, c) => {
+            streams[c].push(...file.subarray(data, data + count * 9));
+            data += count * 9;
+        });
+    }
+    return { packets, streams };
+}
+
+test('buildStream interleaves the channels by rate and starts the loop on its own packet', () => {
+    const mid = blocks(1000, 1, true);
+    const side = blocks(125, 100, true);
+    const stream = app.buildStream({
+        stereoMode: 'ms', mid, side, midSampleRate: 32000, sideSampleRate: 4000, loopBlocks: { mid: 400, side: 50 }
+    }, 256);
+    const { file } = stream;
+    const view = new DataView(file.buffer);
+    assert.strictEqual(String.fromCharCode(...file.subarray(0, 4)), 'SP3S');
+    assert.deepStrictEqual([file[4], file[5], view.getUint16(6, true)], [1, 2, 256]);
+    assert.strictEqual(stream.blocksPerPacket, 28);
+    assert.strictEqual(view.getUint32(8, true), stream.packetCount);
+    assert.deepStrictEqual([view.getUint16(16, true), view.getUint16(18, true)], [0x1000, 0x0200]);
+    assert.deepStrictEqual([...file.subarray(20, 24)], [0x7F, 0x7F, 0x7F, 0x81]);
+    assert.strictEqual(file.length, 24 + stream.packetCount * 256);
+
+    const { packets, streams } = unpack(file);
+    // 8 Mid blocks for each Side block
+    assert.deepStrictEqual(packets[0].counts, [25, 3]);
+    // 400 + 50 intro blocks fill 16 full packets and part of a 17th
+    assert.strictEqual(stream.loopPacket, 17);
+    assert.strictEqual(view.getUint32(12, true), 17);
+    const before = packets.slice(0, 17).reduce((sum, packet) => [sum[0] + packet.counts[0], sum[1] + packet.counts[1]], [0, 0]);
+    assert.deepStrictEqual(before, [400, 50]);
+    assert.deepStrictEqual(packets.map(packet => packet.flags).filter(flags => flags), [0x01, 0x02]);
+    assert.strictEqual(packets[packets.length - 1].flags, 0x02);
+    assert.deepStrictEqual(packets.map(packet => packet.sequence), packets.map((packet, p) => p));
+
+    // Every block arrives in order, whole, with the END/LOOP flags cleared
+    const expected = (list) => list.flatMap(block => [block[0] & 0xFC, ...block.subarray(1)]);
+    assert.deepStrictEqual(streams[0], expected(mid));
+    assert.deepStrictEqual(streams[1], expected(side));
+});
+
+test('buildStream handles mono songs without a loop and checks the packet size', () => {
+    const stream = app.buildStream({ mid: blocks(100, 0, false), side: null, midSampleRate: 16000, loopBlocks: { mid: null, side: null } }, 94);
+    assert.strictEqual(stream.loopPacket, null);
+    assert.strictEqual(new DataView(stream.file.buffer).getUint32(12, true), 0xFFFFFFFF);
+    const { packets } = unpack(stream.file);
+    assert.deepStrictEqual(packets.map(packet => packet.counts[0]), [10, 10, 10, 10, 10, 10, 10, 10, 10, 10]);
+    assert.throws(() => app.buildStream({ mid: blocks(1, 0, false), side: null, midSampleRate: 16000, loopBlocks: { mid: null, side: null } }, 16),
+        /from 22 to 2299 bytes/);
+});
+
+test('streamTransferRates states the bytes per frame and whether the routine keeps up', () => {
+    const channels = [{ sampleRate: 32000 }, { sampleRate: 4000 }];
+    const rates = app.streamTransferRates(channels, 256, 'fast');
+    // 2250 blocks per second in packets of 28 blocks
+    assert.ok(Math.abs(rates.ntsc.packetsPerFrame - 2250 / 28 / 60.0988) < 1e-3);
+    assert.ok(Math.abs(rates.pal.bytesPerFrame - 2250 / 28 / 50.007 * 256) < 0.1);
+    assert.strictEqual(rates.ntsc.peakBytes, 512);
+    assert.strictEqual(rates.ntsc.fits, false);
+    assert.strictEqual(rates.pal.fits, false);
+    assert.strictEqual(app.streamTransferRates(channels, 256, 'tripletFrame').ntsc.fits, true);
+    assert.strictEqual(app.streamTransferRates([{ sampleRate: 8000 }], 128, 'byte').pal.fits, true);
+});
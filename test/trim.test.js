@@ -0,0 +1,51 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadScripts } = require('./load-scripts');
+
+const app = loadScripts('processing.js');
+
+// An AudioBuffer stand-in: silence, a burst of 0.5 from 1000 to 3000 on both channels, silence
+function testBuffer() {
+    const channels = [0, 1].map(() => Float32Array.from({ length: 4000 }, (_, i) => (i >= 1000 && i < 3000) ? 0.5 : 0));
+    return { numberOfChannels: 2, length: 4000, sampleRate: 1000, duration: 4, getChannelData: (c) => channels[c] };
+}
+
+test('trimming without options returns the buffer untouched', () => {
+    const buffer = testBuffer();
+    const { audio, start, end } = app.trimAudio(buffer, {});
+    assert.strictEqual(audio, buffer);
+    assert.deepStrictEqual([start, end], [0, 4000]);
+});
+
+test('trim points, auto-trim and fades', () => {
+    const cut = app.trimAudio(testBuffer(), { start: 0.5, end: 3.5 });
+    assert.deepStrictEqual([cut.start, cut.end, cut.audio.length], [500, 3500, 3000]);
+    assert.strictEqual(cut.audio.getChannelData(1)[500], 0.5);
+
+    const faded = app.trimAudio(testBuffer(), { silenceThreshold: -60, fadeIn: 0.1, fadeOut: 0.1, fadeCurve: 'linear' });
+    assert.deepStrictEqual([faded.start, faded.end, faded.audio.duration], [1000, 3000, 2]);
+    const data = faded.audio.getChannelData(0);
+    assert.strictEqual(data[0], 0);
+    assert.strictEqual(data[50], 0.25);
+    assert.strictEqual(data[1000], 0.5);
+    assert.strictEqual(data[data.length - 1], 0);
+    // The exponential fade is a straight line in dB
+    const exponential = app.trimAudio(testBuffer(), { silenceThreshold: -60, fadeIn: 0.1, fadeCurve: 'exponential' }).audio.getChannelData(0);
+    assert.strictEqual(exponential[0], 0);
+    assert.ok(Math.abs(20 * Math.log10(exponential[50] / 0.5) + 30) < 0.01);
+    // The source is left alone
+    assert.strictEqual(testBuffer().getChannelData(0)[1000], 0.5);
+
+    assert.throws(() => app.trimAudio(testBuffer(), { start: 3, end: 2 }), /trim start/);
+    assert.throws(() => app.trimAudio(testBuffer(), { end: 0.5, silenceThreshold: -60 }), /below the auto-trim threshold/);
+});
+
+test('loop points move into the trimmed region', () => {
+    const region = { start: 1000, end: 3000 };
+    assert.deepStrictEqual({ ...app.loopInRegion(1500, null, region) }, { loopStart: 500, loopEnd: 2000 });
+    assert.deepStrictEqual({ ...app.loopInRegion(1000, 2500, region) }, { loopStart: 0, loopEnd: 1500 });
+    assert.throws(() => app.loopInRegion(500, null, region), /1000 <= start < end <= 3000/);
+    assert.throws(() => app.loopInRegion(1500, 3500, region), /Loop points/);
+});
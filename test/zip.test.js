@@ -0,0 +1,47 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadScripts } = require('./load-scripts');
+
+const app = loadScripts('zip.js');
+// The browser globals zip.js uses
+app.Blob = Blob;
+app.TextEncoder = TextEncoder;
+
+test('crc32 matches the standard check value', () => {
+    assert.strictEqual(app.crc32(new TextEncoder().encode('123456789')), 0xCBF43926);
+    assert.strictEqual(app.crc32(new Uint8Array(0)), 0);
+});
+
+test('createZip writes stored entries the central directory points to', async () => {
+    const files = [
+        { name: 'song/song_mid.brr', data: Uint8Array.from({ length: 900 }, (_, i) => i & 0xFF) },
+        { name: 'manifest.json', data: new Blob(['{"songs":[]}']) }
+    ];
+    const zip = Buffer.from(await (await app.createZip(files, new Date(2024, 4, 17, 12, 30, 10))).arrayBuffer());
+
+    const end = zip.length - 22;
+    assert.strictEqual(zip.readUInt32LE(end), 0x06054B50);
+    assert.strictEqual(zip.readUInt16LE(end + 10), 2);
+    let entry = zip.readUInt32LE(end + 16);
+    assert.strictEqual(entry + zip.readUInt32LE(end + 12), end);
+
+    for (const file of files) {
+        const data = (file.data instanceof Blob) ? Buffer.from(await file.data.arrayBuffer()) : Buffer.from(file.data);
+        assert.strictEqual(zip.readUInt32LE(entry), 0x02014B50);
+        const nameLength = zip.readUInt16LE(entry + 28);
+        assert.strictEqual(zip.toString('utf8', entry + 46, entry + 46 + nameLength), file.name);
+        assert.strictEqual(zip.readUInt32LE(entry + 16), app.crc32(data));
+        // DOS date and time: 2024-05-17 12:30:10
+        assert.strictEqual(zip.readUInt16LE(entry + 14), ((2024 - 1980) << 9) | (5 << 5) | 17);
+        assert.strictEqual(zip.readUInt16LE(entry + 12), (12 << 11) | (30 << 5) | 5);
+
+        const local = zip.readUInt32LE(entry + 42);
+        assert.strictEqual(zip.readUInt32LE(local), 0x04034B50);
+        assert.strictEqual(zip.readUInt16LE(local + 8), 0);
+        const start = local + 30 + zip.readUInt16LE(local + 26);
+        assert.deepStrictEqual(zip.subarray(start, start + zip.readUInt32LE(local + 18)), data);
+        entry += 46 + nameLength;
+    }
+});
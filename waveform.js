@@ -0,0 +1,128 @@
+// Canvas views that compare a channel's original (downsampled) signal with its decoded BRR,
+// plus a strip showing the encoder's error for every block, and the pre-emphasis response plot.
+
+// Error strip colour range, in dB relative to a full-scale square wave
+const ERROR_FLOOR_DB = -90;
+const ERROR_CEILING_DB = -20;
+// Frequency response plot range
+const RESPONSE_FLOOR_DB = -24;
+const RESPONSE_CEILING_DB = 18;
+
+/**
+ * Sizes a canvas's backing store to its displayed size, so lines stay sharp on HiDPI screens.
+ * @returns {CanvasRenderingContext2D}
+ */
+function prepareCanvas(canvas) {
+    const ratio = window.devicePixelRatio || 1;
+    canvas.width = Math.max(1, Math.round(canvas.clientWidth * ratio));
+    canvas.height = Math.max(1, Math.round(canvas.clientHeight * ratio));
+    const ctx = canvas.getContext('2d');
+    ctx.clearRect(0, 0, canvas.width, canvas.height);
+    return ctx;
+}
+
+/**
+ * Draws the min/max envelope of a signal, one vertical line per pixel column.
+ */
+function drawEnvelope(ctx, signal, length, color) {
+    const { width, height } = ctx.canvas;
+    const middle = height / 2;
+    ctx.fillStyle = color;
+    for (let x = 0; x < width; x++) {
+        const start = Math.floor(x * length / width);
+        const end = Math.max(start + 1, Math.floor((x + 1) * length / width));
+        let min = 1, max = -1;
+        for (let i = start; i < end && i < signal.length; i++) {
+            if (signal[i] < min) min = signal[i];
+            if (signal[i] > max) max = signal[i];
+        }
+        if (max < min) continue;
+        const top = middle - max * middle;
+        ctx.fillRect(x, top, 1, Math.max(1, (max - min) * middle));
+    }
+}
+
+/**
+ * Draws the original signal with the decoded one on top of it.
+ * Only the span of the original is shown, so extra loop passes in the decode are cut off.
+ * @param {HTMLCanvasElement} canvas The canvas to draw into.
+ * @param {Float32Array} original The signal the encoder was given.
+ * @param {Float32Array} decoded The decoded BRR data.
+ */
+function drawWaveform(canvas, original, decoded) {
+    const ctx = prepareCanvas(canvas);
+    drawEnvelope(ctx, original, original.length, '#adb5bd');
+    ctx.globalAlpha = 0.6;
+    drawEnvelope(ctx, decoded, original.length, '#007bff');
+    ctx.globalAlpha = 1;
+}
+
+/**
+ * Draws the per-block error as a heatmap strip, from blue (quiet) to red (loud).
+ * Each pixel column shows the worst block it covers.
+ * @param {HTMLCanvasElement} canvas The canvas to draw into.
+ * @param {Float32Array} blockErrors The mean squared error of each block, in 16-bit units.
+ */
+function drawErrorHeatmap(canvas, blockErrors) {
+    const ctx = prepareCanvas(canvas);
+    const { width, height } = canvas;
+    const blockCount = blockErrors.length;
+    for (let x = 0; x < width; x++) {
+        const start = Math.floor(x * blockCount / width);
+        const end = Math.max(start + 1, Math.floor((x + 1) * blockCount / width));
+        let worst = 0;
+        for (let b = start; b < end && b < blockCount; b++) {
+            if (blockErrors[b] > worst) worst = blockErrors[b];
+        }
+        const db = 10 * Math.log10(Math.max(worst, 1e-9) / (32768 * 32768));
+        const level = Math.min(1, Math.max(0, (db - ERROR_FLOOR_DB) / (ERROR_CEILING_DB - ERROR_FLOOR_DB)));
+        ctx.fillStyle = `hsl(${Math.round(240 * (1 - level))}, 80%, 50%)`;
+        ctx.fillRect(x, 0, 1, height);
+    }
+}
+
+/**
+ * Converts a click on a waveform view to a position in the signal.
+ * @returns {number} The position as a fraction of the view's width.
+ */
+function clickFraction(canvas, event) {
+    const rect = canvas.getBoundingClientRect();
+    return Math.min(1, Math.max(0, (event.clientX - rect.left) / rect.width));
+}
+
+/**
+ * Plots frequency responses in dB, from 0 Hz to maxFrequency, with a 6 dB grid and a
+ * dashed 0 dB line.
+ * @param {HTMLCanvasElement} canvas The canvas to draw into.
+ * @param {{response: function(number): number, color: string}[]} curves Each curve's linear gain at a frequency.
+ * @param {number} maxFrequency The frequency at the right edge, in Hz.
+ */
+function drawFrequencyResponse(canvas, curves, maxFrequency) {
+    const ctx = prepareCanvas(canvas);
+    const { width, height } = canvas;
+    const toY = (db) => (RESPONSE_CEILING_DB - db) / (RESPONSE_CEILING_DB - RESPONSE_FLOOR_DB) * height;
+
+    ctx.lineWidth = 1;
+    for (let db = RESPONSE_FLOOR_DB + 6; db < RESPONSE_CEILING_DB; db += 6) {
+        ctx.setLineDash(db === 0 ? [4, 4] : []);
+        ctx.strokeStyle = (db === 0) ? '#6c757d' : '#dee2e6';
+        ctx.beginPath();
+        ctx.moveTo(0, toY(db));
+        ctx.lineTo(width, toY(db));
+        ctx.stroke();
+    }
+    ctx.setLineDash([]);
+
+    ctx.lineWidth = 2 * (window.devicePixelRatio || 1);
+    for (const { response, color } of curves) {
+        ctx.strokeStyle = color;
+        ctx.beginPath();
+        for (let x = 0; x < width; x++) {
+            const gain = Math.abs(response((x + 0.5) / width * maxFrequency));
+            const db = Math.min(RESPONSE_CEILING_DB, Math.max(RESPONSE_FLOOR_DB, 20 * Math.log10(Math.max(gain, 1e-6))));
+            if (x === 0) ctx.moveTo(x, toY(db));
+            else ctx.lineTo(x, toY(db));
+        }
+        ctx.stroke();
+    }
+}
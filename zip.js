@@ -0,0 +1,91 @@
+// A minimal ZIP writer for the setlist export. Entries are stored without compression
+// (BRR and WAV data hardly compress anyway), so all it needs is the headers and a CRC-32.
+
+const CRC32_TABLE = Uint32Array.from({ length: 256 }, (_, n) => {
+    let c = n;
+    for (let k = 0; k < 8; k++) c = (c & 1) ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+    return c >>> 0;
+});
+
+/**
+ * The CRC-32 checksum ZIP uses (the same as PNG and gzip).
+ * @param {Uint8Array} bytes The data.
+ * @returns {number} The checksum as an unsigned 32-bit integer.
+ */
+function crc32(bytes) {
+    let crc = 0xFFFFFFFF;
+    for (let i = 0; i < bytes.length; i++) crc = CRC32_TABLE[(crc ^ bytes[i]) & 0xFF] ^ (crc >>> 8);
+    return (crc ^ 0xFFFFFFFF) >>> 0;
+}
+
+// MS-DOS time and date, as ZIP stores them
+function dosDateTime(date) {
+    return {
+        time: (date.getHours() << 11) | (date.getMinutes() << 5) | (date.getSeconds() >> 1),
+        date: ((Math.max(1980, date.getFullYear()) - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate()
+    };
+}
+
+/**
+ * Packs files into a ZIP archive. Blob data is only read for its checksum, so large
+ * archives don't have to fit in memory at once.
+ * @param {{name: string, data: Blob|Uint8Array}[]} files The entries; use "/" in names for folders.
+ * @param {Date} [modified] The modification time of every entry.
+ * @returns {Promise<Blob>}
+ */
+async function createZip(files, modified = new Date()) {
+    const { time, date } = dosDateTime(modified);
+    const encoder = new TextEncoder();
+    const parts = [];
+    const directory = [];
+    let offset = 0;
+
+    for (const file of files) {
+        const data = (file.data instanceof Blob) ? new Uint8Array(await file.data.arrayBuffer()) : file.data;
+        const name = encoder.encode(file.name);
+        const crc = crc32(data);
+        if (offset + 30 + name.length + data.length > 0xFFFFFFFF) {
+            throw new Error('The archive would be larger than 4 GB, which ZIP files without extensions can\'t hold.');
+        }
+
+        // Fields shared by the local header and the central directory entry, from "version needed" on
+        const common = new DataView(new ArrayBuffer(26));
+        common.setUint16(0, 20, true);        // Version needed: 2.0
+        common.setUint16(2, 0x0800, true);    // Flags: UTF-8 names
+        common.setUint16(4, 0, true);         // Method: stored
+        common.setUint16(6, time, true);
+        common.setUint16(8, date, true);
+        common.setUint32(10, crc, true);
+        common.setUint32(14, data.length, true);
+        common.setUint32(18, data.length, true);
+        common.setUint16(22, name.length, true);
+        common.setUint16(24, 0, true);        // Extra field length
+
+        const local = new Uint8Array(30 + name.length);
+        new DataView(local.buffer).setUint32(0, 0x04034B50, true);
+        local.set(new Uint8Array(common.buffer), 4);
+        local.set(name, 30);
+        parts.push(local, file.data);
+
+        const entry = new Uint8Array(46 + name.length);
+        const view = new DataView(entry.buffer);
+        view.setUint32(0, 0x02014B50, true);
+        view.setUint16(4, 20, true);          // Version made by
+        entry.set(new Uint8Array(common.buffer), 6);
+        // Comment length, disk number, internal and external attributes stay 0
+        view.setUint32(42, offset, true);
+        entry.set(name, 46);
+        directory.push(entry);
+
+        offset += local.length + data.length;
+    }
+
+    const directorySize = directory.reduce((total, entry) => total + entry.length, 0);
+    const end = new DataView(new ArrayBuffer(22));
+    end.setUint32(0, 0x06054B50, true);
+    end.setUint16(8, files.length, true);
+    end.setUint16(10, files.length, true);
+    end.setUint32(12, directorySize, true);
+    end.setUint32(16, offset, true);
+    return new Blob([...parts, ...directory, end.buffer], { type: 'application/zip' });
+}